@@ -0,0 +1,73 @@
+// Image attachments for descriptions and comments.
+// POST /bugsapi/attachments takes the raw image as the body (Content-Type image/*,
+// ?name= the original file name) and stores it under a random name in the attachments
+// directory; the reply is the reference the client keeps on the issue:
+//   { id, name, type, size, url, createdAt, createdBy }
+// GET /bugsapi/attachments/:file serves it back. Only PNG, JPEG, GIF and WebP are accepted,
+// checked against the file's leading bytes rather than the declared type, and they are
+// served with nosniff and a locked-down CSP so an upload can never run as a page.
+import { randomBytes } from 'node:crypto';
+import { promises as fs } from 'node:fs';
+import path from 'node:path';
+import { HttpError, readBody } from './http.js';
+import { authorOf } from './auth.js';
+
+const MAX_ATTACHMENT_BYTES = Number(process.env.BUGS_MAX_ATTACHMENT_BYTES) || 5 * 1024 * 1024;
+
+const FORMATS = [
+  { ext: 'png', type: 'image/png', magic: (b) => b.subarray(0, 8).equals(Buffer.from([0x89, 0x50, 0x4e, 0x47, 0x0d, 0x0a, 0x1a, 0x0a])) },
+  { ext: 'jpg', type: 'image/jpeg', magic: (b) => b[0] === 0xff && b[1] === 0xd8 && b[2] === 0xff },
+  { ext: 'gif', type: 'image/gif', magic: (b) => ['GIF87a', 'GIF89a'].includes(b.subarray(0, 6).toString('latin1')) },
+  { ext: 'webp', type: 'image/webp', magic: (b) => b.subarray(0, 4).toString('latin1') === 'RIFF' && b.subarray(8, 12).toString('latin1') === 'WEBP' },
+];
+const FILE_PATTERN = /^[0-9a-f]{24}\.(png|jpg|gif|webp)$/;
+
+export const attachmentUrl = (file) => `/bugsapi/attachments/${file}`;
+
+function cleanName(name, ext) {
+  const base = String(name ?? '').replace(/[^\w.\- ]+/g, '').trim().slice(0, 100);
+  return base || `image.${ext}`;
+}
+
+export function createAttachments(dir) {
+  return {
+    async upload(req, user) {
+      const author = authorOf(user);
+      if (!author) throw new HttpError(403, 'Pick a display name before uploading');
+      const body = await readBody(req, MAX_ATTACHMENT_BYTES);
+      const format = body && FORMATS.find(f => f.magic(body));
+      if (!format) throw new HttpError(415, 'Only PNG, JPEG, GIF and WebP images can be attached');
+      const file = `${randomBytes(12).toString('hex')}.${format.ext}`;
+      await fs.mkdir(dir, { recursive: true });
+      await fs.writeFile(path.join(dir, file), body);
+      const name = new URL(req.url, 'http://localhost').searchParams.get('name');
+      return [201, {
+        id: file,
+        name: cleanName(name, format.ext),
+        type: format.type,
+        size: body.length,
+        url: attachmentUrl(file),
+        createdAt: new Date().toISOString(),
+        createdBy: author,
+      }];
+    },
+
+    async get(file) {
+      if (!FILE_PATTERN.test(file)) throw new HttpError(404, 'Attachment not found');
+      let data;
+      try { data = await fs.readFile(path.join(dir, file)); }
+      catch (e) {
+        if (e.code === 'ENOENT') throw new HttpError(404, 'Attachment not found');
+        throw e;
+      }
+      const format = FORMATS.find(f => file.endsWith(`.${f.ext}`));
+      return [200, data, {
+        'Content-Type': format.type,
+        'Content-Length': data.length,
+        'Cache-Control': 'public, max-age=31536000, immutable',
+        'X-Content-Type-Options': 'nosniff',
+        'Content-Security-Policy': "default-src 'none'; sandbox",
+      }];
+    },
+  };
+}
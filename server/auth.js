@@ -0,0 +1,88 @@
+// Who is calling. Two kinds of bearer token are accepted:
+// - maintainer sessions: the maintainer key lives only on the server (BUGS_MAINTAINER_KEY);
+//   a successful login returns a random token kept in memory until it expires or the
+//   maintainer signs out. The session remembers the visitor identity it was opened from.
+// - visitor tokens (see visitors.js): a guest with a name and id that owns what it files.
+// Requests without a token are anonymous guests.
+import { randomBytes, timingSafeEqual, createHash } from 'node:crypto';
+import { HttpError } from './http.js';
+import { publicVisitor } from './visitors.js';
+
+const SESSION_TTL_MS = (Number(process.env.BUGS_SESSION_TTL_HOURS) || 24 * 7) * 60 * 60 * 1000;
+const FAILED_LOGIN_DELAY_MS = 750;
+
+const GUEST = Object.freeze({ role: 'guest' });
+
+// Compare digests so neither the length nor the content of the key leaks through timing.
+function keyMatches(given, expected) {
+  const a = createHash('sha256').update(String(given)).digest();
+  const b = createHash('sha256').update(String(expected)).digest();
+  return timingSafeEqual(a, b);
+}
+
+function bearerToken(req) {
+  const m = /^Bearer\s+(\S+)$/i.exec(req.headers.authorization || '');
+  return m ? m[1] : null;
+}
+
+export function createAuth(maintainerKey, visitors) {
+  const sessions = new Map(); // token -> { role, visitor, expiresAt }
+
+  function prune(now = Date.now()) {
+    for (const [token, s] of sessions) if (s.expiresAt <= now) sessions.delete(token);
+  }
+
+  return {
+    // The caller's identity: { role, visitor?, token? }. An unknown or expired token reads as
+    // a guest flagged `expired`, so writes can answer 401 and the client can tell the user.
+    async userFor(req) {
+      const token = bearerToken(req);
+      if (!token) return GUEST;
+      const session = sessions.get(token);
+      if (session && session.expiresAt > Date.now()) return { role: session.role, visitor: session.visitor, token };
+      sessions.delete(token);
+      const visitor = await visitors.findByToken(token);
+      if (visitor) return { role: 'guest', visitor: publicVisitor(visitor) };
+      return { ...GUEST, expired: true };
+    },
+
+    // POST /bugsapi/session { key }, optionally sent with the caller's visitor token
+    async login(body, user) {
+      if (!maintainerKey) throw new HttpError(503, 'Maintainer login is not configured on this server');
+      if (typeof body?.key !== 'string' || !keyMatches(body.key, maintainerKey)) {
+        await new Promise(r => setTimeout(r, FAILED_LOGIN_DELAY_MS));
+        throw new HttpError(401, 'Invalid key');
+      }
+      prune();
+      const token = randomBytes(32).toString('base64url');
+      const expiresAt = Date.now() + SESSION_TTL_MS;
+      sessions.set(token, { role: 'maintainer', visitor: user.visitor, expiresAt });
+      return [201, { token, role: 'maintainer', visitor: user.visitor ?? null, expiresAt: new Date(expiresAt).toISOString() }];
+    },
+
+    // DELETE /bugsapi/session
+    logout(user) {
+      if (user.token) sessions.delete(user.token);
+      return [204, null];
+    },
+  };
+}
+
+export const isMaintainer = (user) => user.role === 'maintainer';
+
+export function requireMaintainer(user) {
+  if (!isMaintainer(user)) throw new HttpError(403, 'Only maintainers can do that');
+}
+
+// Who an issue or comment is recorded as created by.
+export function authorOf(user) {
+  if (user.visitor) return { id: user.visitor.id, name: user.visitor.name };
+  return isMaintainer(user) ? { id: 'maintainer', name: 'maintainer' } : null;
+}
+
+export const owns = (user, record) => !!user.visitor && record?.createdBy?.id === user.visitor.id;
+
+// Visitors may change what they filed themselves; everything else needs a maintainer.
+export function assertCanWrite(user, issue) {
+  if (!isMaintainer(user) && !owns(user, issue)) throw new HttpError(403, `Only maintainers and the reporter can change ${issue.id}`);
+}
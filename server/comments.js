@@ -0,0 +1,111 @@
+// Comment handlers for /bugsapi/issues/:id/comments (the thread model is in src/comments.js).
+// Anyone with an identity may comment on any issue, reply and react; only the author edits
+// a comment, and the author or a maintainer deletes it. Deleting leaves a tombstone
+// (`deletedAt`, empty body) so replies keep their place.
+// These writes don't bump the issue's rev: comments are merged one by one rather than
+// guarded by If-Match, so a new comment never makes someone's pending field edit stale.
+// Every handler answers with the issue's whole `comments` list.
+import { randomBytes } from 'node:crypto';
+import { HttpError } from './http.js';
+import { authorOf, isMaintainer } from './auth.js';
+import { MAX_COMMENT_LENGTH, REACTIONS } from '../src/comments.js';
+
+function requireAuthor(user) {
+  const author = authorOf(user);
+  if (!author) throw new HttpError(403, 'Pick a display name before commenting');
+  return author;
+}
+
+function bodyOf(raw) {
+  const body = typeof raw?.body === 'string' ? raw.body.trim() : '';
+  if (!body) throw new HttpError(400, 'A comment needs a body');
+  if (body.length > MAX_COMMENT_LENGTH) throw new HttpError(400, `Comments are limited to ${MAX_COMMENT_LENGTH} characters`);
+  return body;
+}
+
+function findComment(comments, commentId) {
+  const comment = comments.find(c => c.id === commentId);
+  if (!comment || comment.deletedAt) throw new HttpError(404, `Comment ${commentId} not found`);
+  return comment;
+}
+
+const isAuthor = (user, comment) => !!authorOf(user) && comment.createdBy?.id === authorOf(user).id;
+
+// Stores the list `fn(comments)` returns as the issue's comments.
+async function updateComments(store, id, fn) {
+  let comments;
+  await store.update(doc => {
+    const idx = doc.issues.findIndex(i => i.id === id);
+    if (idx === -1) throw new HttpError(404, `Issue ${id} not found`);
+    comments = fn(doc.issues[idx].comments ?? []);
+    const issues = [...doc.issues];
+    issues[idx] = { ...issues[idx], comments };
+    return { ...doc, issues };
+  });
+  return comments;
+}
+
+const replaceComment = (comments, next) => comments.map(c => (c.id === next.id ? next : c));
+
+// POST /bugsapi/issues/:id/comments { body, parentId?, id? }
+// A client-chosen id is kept when it is free, so an optimistic copy can be matched up.
+export async function addComment(store, id, raw, user) {
+  const author = requireAuthor(user);
+  const body = bodyOf(raw);
+  let comment;
+  const comments = await updateComments(store, id, (list) => {
+    const parent = raw.parentId == null ? null : findComment(list, raw.parentId);
+    const wanted = typeof raw.id === 'string' && /^[\w-]{1,40}$/.test(raw.id) && !list.some(c => c.id === raw.id);
+    comment = {
+      id: wanted ? raw.id : `c-${randomBytes(5).toString('hex')}`,
+      ...(parent ? { parentId: parent.parentId ?? parent.id } : {}),
+      author: author.name,
+      createdBy: author,
+      body,
+      createdAt: new Date().toISOString(),
+    };
+    return [...list, comment];
+  });
+  return [201, { comment, comments }];
+}
+
+// PATCH /bugsapi/issues/:id/comments/:commentId { body }
+export async function editComment(store, id, commentId, raw, user) {
+  requireAuthor(user);
+  const body = bodyOf(raw);
+  let comment;
+  const comments = await updateComments(store, id, (list) => {
+    const current = findComment(list, commentId);
+    if (!isAuthor(user, current)) throw new HttpError(403, 'Only the author can edit a comment');
+    comment = current.body === body ? current : { ...current, body, editedAt: new Date().toISOString() };
+    return replaceComment(list, comment);
+  });
+  return [200, { comment, comments }];
+}
+
+// DELETE /bugsapi/issues/:id/comments/:commentId
+export async function deleteComment(store, id, commentId, user) {
+  const comments = await updateComments(store, id, (list) => {
+    const current = findComment(list, commentId);
+    if (!isMaintainer(user) && !isAuthor(user, current)) throw new HttpError(403, 'Only the author or a maintainer can delete a comment');
+    const { reactions: _reactions, ...rest } = current;
+    return replaceComment(list, { ...rest, body: '', deletedAt: new Date().toISOString() });
+  });
+  return [200, { comments }];
+}
+
+// PUT / DELETE /bugsapi/issues/:id/comments/:commentId/reactions/:emoji add or take back
+// the caller's reaction.
+export async function setReaction(store, id, commentId, emoji, on, user) {
+  const author = requireAuthor(user);
+  if (!REACTIONS.includes(emoji)) throw new HttpError(400, `Reactions are limited to ${REACTIONS.join(' ')}`);
+  const comments = await updateComments(store, id, (list) => {
+    const current = findComment(list, commentId);
+    const people = (current.reactions?.[emoji] ?? []).filter(p => p.id !== author.id);
+    const reactions = { ...current.reactions, [emoji]: on ? [...people, author] : people };
+    if (!reactions[emoji].length) delete reactions[emoji];
+    const { reactions: _reactions, ...rest } = current;
+    return replaceComment(list, Object.keys(reactions).length ? { ...rest, reactions } : rest);
+  });
+  return [200, { comments }];
+}
@@ -0,0 +1,110 @@
+// Server push for the board: GET /bugsapi/events is a Server-Sent Events stream of
+// - `hello` { connection }: the stream's id. The client sends it back as X-Bugs-Connection
+//   on its writes, so it can tell its own changes from everyone else's, and with its presence.
+//   The id is only ever sent to the stream's opener, and the first request that uses it binds
+//   the stream to that caller's credential; requests with another one can't use it.
+// - `issue` { issue, origin }: an issue was filed or changed (comments included).
+// - `delete` { id, origin } and `workflow` { workflow, origin }.
+// - `presence` { viewers: [{ key, person, viewing }] }: who else has which issue open; `key`
+//   tells the other streams apart without giving away their ids.
+// `origin` is the connection whose request made the change (null for other clients).
+// Changes are picked up by watching the store rather than in each handler, so every write
+// path is covered; the request behind a write is found through AsyncLocalStorage.
+// The stream itself is public, like GET /bugsapi; presence needs an identity.
+import { AsyncLocalStorage } from 'node:async_hooks';
+import { randomBytes } from 'node:crypto';
+import { HttpError } from './http.js';
+import { authorOf } from './auth.js';
+import { workflowOf } from './workflow.js';
+
+const HEARTBEAT_MS = 25 * 1000; // keeps proxies from closing an idle stream
+const RETRY_MS = 3000; // how soon EventSource reconnects after a drop
+
+const origin = new AsyncLocalStorage();
+
+// Runs `fn` on behalf of the stream `connection` (see claim below), or of none when null.
+export const withOrigin = (connection, fn) => origin.run(connection ?? null, fn);
+
+// What a stream is bound to: the visitor (whichever token it uses), else the maintainer session.
+const credentialOf = (user) => (user.visitor ? `visitor:${user.visitor.id}` : user.token ? `session:${user.token}` : 'guest');
+
+export function createEvents() {
+  const clients = new Map(); // connection -> { res, key, owner, person, viewing }
+
+  const send = (res, event, data) => res.write(`event: ${event}\ndata: ${JSON.stringify(data)}\n\n`);
+  const broadcast = (event, data) => { for (const { res } of clients.values()) send(res, event, data); };
+  const viewersFor = (client) => [...clients.values()]
+    .filter(c => c !== client && c.person && c.viewing)
+    .map(c => ({ key: c.key, person: c.person, viewing: c.viewing }));
+  const sendPresence = () => { for (const c of clients.values()) send(c.res, 'presence', { viewers: viewersFor(c) }); };
+
+  // Issues that aren't the same object as before were written (the handlers copy what they change).
+  function publish(prev, next, from) {
+    if (!clients.size) return;
+    const before = new Map(prev.issues.map(i => [i.id, i]));
+    const after = new Set();
+    for (const issue of next.issues) {
+      after.add(issue.id);
+      if (before.get(issue.id) !== issue) broadcast('issue', { issue, origin: from });
+    }
+    for (const id of before.keys()) if (!after.has(id)) broadcast('delete', { id, origin: from });
+    if (prev.workflow !== next.workflow) broadcast('workflow', { workflow: workflowOf(next), origin: from });
+  }
+
+  // `connection` if `user` may act for that stream (binding it on first use), else null.
+  function claim(connection, user) {
+    const client = typeof connection === 'string' ? clients.get(connection) : null;
+    if (!client) return null;
+    client.owner ??= credentialOf(user);
+    return client.owner === credentialOf(user) ? connection : null;
+  }
+
+  return {
+    // GET /bugsapi/events; the response stays open until the client goes away.
+    connect(req, res) {
+      const connection = `s-${randomBytes(8).toString('hex')}`;
+      res.writeHead(200, { 'Content-Type': 'text/event-stream; charset=utf-8', 'Cache-Control': 'no-store', 'X-Accel-Buffering': 'no' });
+      res.write(`retry: ${RETRY_MS}\n\n`);
+      const client = { res, key: `v-${randomBytes(6).toString('hex')}`, owner: null, person: null, viewing: null };
+      clients.set(connection, client);
+      send(res, 'hello', { connection });
+      send(res, 'presence', { viewers: viewersFor(client) });
+      const heartbeat = setInterval(() => res.write(': ping\n\n'), HEARTBEAT_MS);
+      req.on('close', () => {
+        clearInterval(heartbeat);
+        const { viewing } = clients.get(connection);
+        clients.delete(connection);
+        if (viewing) sendPresence();
+      });
+    },
+
+    claim,
+
+    // PUT /bugsapi/presence { connection, viewing } where `viewing` is an issue id or null.
+    setPresence(body, user) {
+      const person = authorOf(user);
+      if (!person) throw new HttpError(403, 'Pick a display name to show up as viewing');
+      const client = clients.get(body?.connection);
+      if (!client) throw new HttpError(404, 'Unknown event stream');
+      if (!claim(body.connection, user)) throw new HttpError(403, 'That event stream belongs to someone else');
+      const viewing = typeof body.viewing === 'string' && body.viewing ? body.viewing.slice(0, 100) : null;
+      if (client.viewing === viewing && client.person?.id === person.id) return [204, null];
+      Object.assign(client, { person, viewing });
+      sendPresence();
+      return [204, null];
+    },
+
+    // The same store, broadcasting what each committed update changed.
+    watch(store) {
+      return {
+        ...store,
+        async update(fn) {
+          let prev;
+          const next = await store.update(doc => { prev = doc; return fn(doc); });
+          publish(prev, next, origin.getStore() ?? null);
+          return next;
+        },
+      };
+    },
+  };
+}
@@ -0,0 +1,45 @@
+// Per-issue audit trail kept in `issue.history`, oldest first:
+//   { id, type: 'created', at, by }
+//   { id, type: 'change', at, by, changes: [{ field, from, to }] }
+// `by` is the Person from authorOf() (null for anonymous/legacy writes).
+import { randomBytes } from 'node:crypto';
+
+export const TRACKED_FIELDS = ['status', 'priority', 'assignee', 'tags', 'title', 'description', 'links'];
+// Successive edits to typed fields by the same person within this window fold into one
+// entry, so typing in the modal doesn't produce an entry per PATCH. Status and priority
+// moves always get their own entry; cycle-time and triage reviews rely on every step.
+const TYPED_FIELDS = ['assignee', 'tags', 'title', 'description'];
+const COALESCE_MS = 2 * 60 * 1000;
+const MAX_ENTRIES = 500;
+
+const same = (a, b) => JSON.stringify(a ?? null) === JSON.stringify(b ?? null);
+const entryId = () => `h-${randomBytes(5).toString('hex')}`;
+
+function diffTracked(before, after) {
+  return TRACKED_FIELDS
+    .filter(field => !same(before[field], after[field]))
+    .map(field => ({ field, from: before[field] ?? null, to: after[field] ?? null }));
+}
+
+export function createdEntry(by, at) {
+  return { id: entryId(), type: 'created', at, by };
+}
+
+// `after` with the tracked-field changes since `before` appended to its history.
+export function withHistory(before, after, by, at) {
+  const changes = diffTracked(before, after);
+  const history = [...(before.history ?? [])];
+  if (!changes.length) return { ...after, history };
+  const last = history[history.length - 1];
+  const typed = (list) => list.every(c => TYPED_FIELDS.includes(c.field));
+  if (last?.type === 'change' && typed(changes) && typed(last.changes) && (last.by?.id ?? null) === (by?.id ?? null) && Date.parse(at) - Date.parse(last.at) < COALESCE_MS) {
+    const merged = new Map(last.changes.map(c => [c.field, c]));
+    for (const c of changes) merged.set(c.field, { ...c, from: merged.has(c.field) ? merged.get(c.field).from : c.from });
+    const folded = [...merged.values()].filter(c => !same(c.from, c.to));
+    if (folded.length) history[history.length - 1] = { ...last, at, changes: folded };
+    else history.pop();
+  } else {
+    history.push({ id: entryId(), type: 'change', at, by, changes });
+  }
+  return { ...after, history: history.slice(-MAX_ENTRIES) };
+}
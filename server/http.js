@@ -0,0 +1,42 @@
+// Small helpers shared by the route handlers.
+
+// `details` is merged into the JSON error body (e.g. the current issue on a 409).
+export class HttpError extends Error {
+  constructor(status, message, details) {
+    super(message);
+    this.status = status;
+    this.details = details;
+  }
+}
+
+const MAX_BODY_BYTES = Number(process.env.BUGS_MAX_BODY_BYTES) || 5 * 1024 * 1024;
+
+// The raw body as a Buffer, or null when it is empty.
+export async function readBody(req, limit = MAX_BODY_BYTES) {
+  let size = 0;
+  const chunks = [];
+  for await (const chunk of req) {
+    size += chunk.length;
+    if (size > limit) throw new HttpError(413, 'Request body too large');
+    chunks.push(chunk);
+  }
+  return chunks.length ? Buffer.concat(chunks) : null;
+}
+
+export async function readJSON(req) {
+  const body = await readBody(req);
+  if (!body) return null;
+  try { return JSON.parse(body.toString('utf8')); }
+  catch { throw new HttpError(400, 'Invalid JSON body'); }
+}
+
+export function sendJSON(res, status, body, headers = {}) {
+  res.writeHead(status, { 'Content-Type': 'application/json; charset=utf-8', 'Cache-Control': 'no-store', ...headers });
+  res.end(JSON.stringify(body));
+}
+
+export function sendError(res, e) {
+  const status = e instanceof HttpError ? e.status : 500;
+  if (status >= 500) console.error(e);
+  sendJSON(res, status, status >= 500 ? { error: 'Internal server error' } : { ...e.details, error: e.message });
+}
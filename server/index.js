@@ -0,0 +1,132 @@
+// Reference server for the bugs board.
+// - GET /bugsapi returns the `{ issues }` document, PUT /bugsapi replaces it.
+// - POST /bugsapi/issues, PATCH and DELETE /bugsapi/issues/:id change single issues;
+//   PATCH/DELETE honour If-Match against the issue's rev and answer 409 when stale.
+// - /bugsapi/issues/:id/comments adds, edits, deletes and reacts to comments (comments.js).
+// - POST/GET/DELETE /bugsapi/session sign a maintainer in and out (BUGS_MAINTAINER_KEY);
+//   POST /bugsapi/visitors gives a guest a name and id (/bugsapi/visitors/me/views keeps
+//   their saved board views). Writes check the bearer token:
+//   maintainers may change anything, visitors only what they filed.
+// - GET/PUT /bugsapi/workflow read and (maintainers) change the board's statuses, WIP
+//   limits and transition rules, which issue writes are checked against.
+// - POST /bugsapi/attachments uploads an image for a description or comment;
+//   GET /bugsapi/attachments/:file serves it (files live in BUGS_ATTACHMENTS_DIR).
+// - GET /bugsapi/events streams issue and workflow changes and presence as Server-Sent
+//   Events; PUT /bugsapi/presence says which issue a stream's user has open (events.js).
+// - Data is persisted to a JSON file shaped like bugs.json (BUGS_DATA_FILE).
+// - Anything else is served from the built Vite app (BUGS_STATIC_DIR, default dist/),
+//   so the front end can run same-origin with API_BASE=''.
+import http from 'node:http';
+import path from 'node:path';
+import { fileURLToPath } from 'node:url';
+import { createStore } from './store.js';
+import { serveStatic } from './static.js';
+import { HttpError, readJSON, sendJSON, sendError } from './http.js';
+import { getIssue, replaceIssues, createIssues, patchIssue, deleteIssue } from './issues.js';
+import { createAuth } from './auth.js';
+import { createVisitors } from './visitors.js';
+import { getWorkflow, putWorkflow, withWorkflow } from './workflow.js';
+import { createAttachments } from './attachments.js';
+import { addComment, deleteComment, editComment, setReaction } from './comments.js';
+import { createEvents, withOrigin } from './events.js';
+
+const ROOT = path.resolve(path.dirname(fileURLToPath(import.meta.url)), '..');
+const PORT = Number(process.env.PORT) || 33123;
+const HOST = process.env.HOST || '0.0.0.0';
+const DATA_FILE = path.resolve(ROOT, process.env.BUGS_DATA_FILE || 'bugs.json');
+const VISITORS_FILE = path.resolve(ROOT, process.env.BUGS_VISITORS_FILE || path.join(path.dirname(DATA_FILE), 'visitors.json'));
+const ATTACHMENTS_DIR = path.resolve(ROOT, process.env.BUGS_ATTACHMENTS_DIR || path.join(path.dirname(DATA_FILE), 'attachments'));
+const STATIC_DIR = path.resolve(ROOT, process.env.BUGS_STATIC_DIR || 'dist');
+// Comma separated list of origins allowed to call the API cross-origin ('*' for any).
+const CORS_ORIGINS = (process.env.BUGS_CORS_ORIGINS || '*').split(',').map(s => s.trim()).filter(Boolean);
+
+const events = createEvents();
+const store = events.watch(createStore(DATA_FILE));
+const visitors = createVisitors(createStore(VISITORS_FILE, (parsed) => ({ visitors: Array.isArray(parsed?.visitors) ? parsed.visitors : [] })));
+const auth = createAuth(process.env.BUGS_MAINTAINER_KEY, visitors);
+const attachments = createAttachments(ATTACHMENTS_DIR);
+
+function corsHeaders(req) {
+  const origin = req.headers.origin;
+  if (!origin) return {};
+  if (!CORS_ORIGINS.includes('*') && !CORS_ORIGINS.includes(origin)) return {};
+  return {
+    'Access-Control-Allow-Origin': origin,
+    'Access-Control-Allow-Methods': 'GET, PUT, POST, PATCH, DELETE, OPTIONS',
+    'Access-Control-Allow-Headers': 'Authorization, Content-Type, If-Match, X-Bugs-Connection, ngrok-skip-browser-warning',
+    'Access-Control-Expose-Headers': 'ETag',
+    'Vary': 'Origin',
+  };
+}
+
+// [method, pattern, handler(req, user, ...params)] — first match wins.
+const ROUTES = [
+  ['GET', /^\/bugsapi\/?$/, async () => [200, withWorkflow(await store.read())]],
+  ['GET', /^\/bugsapi\/workflow\/?$/, async () => getWorkflow(store)],
+  ['PUT', /^\/bugsapi\/workflow\/?$/, async (req, user) => putWorkflow(store, await readJSON(req), user)],
+  ['PUT', /^\/bugsapi\/?$/, async (req, user) => replaceIssues(store, await readJSON(req), user)],
+  ['GET', /^\/bugsapi\/session\/?$/, async (req, user) => [200, { role: user.role, visitor: user.visitor ?? null }]],
+  ['POST', /^\/bugsapi\/session\/?$/, async (req, user) => auth.login(await readJSON(req), user)],
+  ['POST', /^\/bugsapi\/visitors\/?$/, async (req) => visitors.register(await readJSON(req))],
+  ['PATCH', /^\/bugsapi\/visitors\/me$/, async (req, user) => visitors.update(user, await readJSON(req))],
+  ['GET', /^\/bugsapi\/visitors\/me\/views$/, async (req, user) => visitors.views(user)],
+  ['PUT', /^\/bugsapi\/visitors\/me\/views$/, async (req, user) => visitors.saveViews(user, await readJSON(req))],
+  ['DELETE', /^\/bugsapi\/session\/?$/, async (req, user) => auth.logout(user)],
+  ['POST', /^\/bugsapi\/issues\/?$/, async (req, user) => createIssues(store, await readJSON(req), user)],
+  ['GET', /^\/bugsapi\/issues\/([^/]+)$/, async (req, user, id) => getIssue(store, id)],
+  ['PATCH', /^\/bugsapi\/issues\/([^/]+)$/, async (req, user, id) => patchIssue(store, id, await readJSON(req), req.headers['if-match'], user)],
+  ['DELETE', /^\/bugsapi\/issues\/([^/]+)$/, async (req, user, id) => deleteIssue(store, id, req.headers['if-match'], user)],
+  ['POST', /^\/bugsapi\/issues\/([^/]+)\/comments\/?$/, async (req, user, id) => addComment(store, id, await readJSON(req), user)],
+  ['PATCH', /^\/bugsapi\/issues\/([^/]+)\/comments\/([^/]+)$/, async (req, user, id, cid) => editComment(store, id, cid, await readJSON(req), user)],
+  ['DELETE', /^\/bugsapi\/issues\/([^/]+)\/comments\/([^/]+)$/, async (req, user, id, cid) => deleteComment(store, id, cid, user)],
+  ['PUT', /^\/bugsapi\/issues\/([^/]+)\/comments\/([^/]+)\/reactions\/([^/]+)$/, async (req, user, id, cid, emoji) => setReaction(store, id, cid, emoji, true, user)],
+  ['DELETE', /^\/bugsapi\/issues\/([^/]+)\/comments\/([^/]+)\/reactions\/([^/]+)$/, async (req, user, id, cid, emoji) => setReaction(store, id, cid, emoji, false, user)],
+  ['POST', /^\/bugsapi\/attachments\/?$/, async (req, user) => attachments.upload(req, user)],
+  ['GET', /^\/bugsapi\/attachments\/([^/]+)$/, async (req, user, file) => attachments.get(file)],
+  ['PUT', /^\/bugsapi\/presence\/?$/, async (req, user) => events.setPresence(await readJSON(req), user)],
+];
+
+function decodeParam(s) {
+  try { return decodeURIComponent(s); }
+  catch { throw new HttpError(400, 'Malformed URL'); }
+}
+
+async function handleApi(req, res, pathname) {
+  let pathMatched = false;
+  for (const [method, pattern, handler] of ROUTES) {
+    const m = pathname.match(pattern);
+    if (!m) continue;
+    pathMatched = true;
+    if (method !== req.method) continue;
+    const user = await auth.userFor(req);
+    if (user.expired && req.method !== 'GET') throw new HttpError(401, 'Session expired, sign in again');
+    const params = m.slice(1).map(decodeParam);
+    const [status, body, headers] = await withOrigin(events.claim(req.headers['x-bugs-connection'], user), () => handler(req, user, ...params));
+    if (body === null || Buffer.isBuffer(body)) { res.writeHead(status, headers); return res.end(body ?? undefined); }
+    return sendJSON(res, status, body, headers);
+  }
+  throw new HttpError(pathMatched ? 405 : 404, pathMatched ? 'Method not allowed' : 'Not found');
+}
+
+const server = http.createServer(async (req, res) => {
+  const { pathname } = new URL(req.url, 'http://localhost');
+  for (const [k, v] of Object.entries(corsHeaders(req))) res.setHeader(k, v);
+  try {
+    if (pathname === '/bugsapi' || pathname.startsWith('/bugsapi/')) {
+      if (req.method === 'OPTIONS') { res.writeHead(204); return res.end(); }
+      // The event stream stays open, so it doesn't fit the [status, body] routes
+      if (/^\/bugsapi\/events\/?$/.test(pathname) && req.method === 'GET') return events.connect(req, res);
+      return await handleApi(req, res, pathname);
+    }
+    if (await serveStatic(req, res, STATIC_DIR)) return;
+    throw new HttpError(404, 'Not found');
+  } catch (e) {
+    if (res.headersSent) { res.destroy(); return; }
+    sendError(res, e);
+  }
+});
+
+server.listen(PORT, HOST, () => {
+  console.log(`Bugs API listening on http://${HOST}:${PORT}/bugsapi (data: ${DATA_FILE})`);
+  if (!process.env.BUGS_MAINTAINER_KEY) console.warn('BUGS_MAINTAINER_KEY is not set; maintainer login is disabled.');
+});
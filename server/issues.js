@@ -0,0 +1,181 @@
+// Per-issue handlers for /bugsapi/issues. Each returns [status, body, headers?].
+//
+// Every write bumps the issue's `rev`. Clients send the rev their edit was based on
+// as `If-Match: "<rev>"`; if someone else wrote in between, the write is refused
+// with 409 and the current server copy so the client can resolve the conflict.
+// Changes to tracked fields are appended to the issue's history (see history.js).
+// Status changes, and the status of newly filed issues, must follow the board workflow
+// (see workflow.js); imports and maintainer restores skip that check.
+import { HttpError } from './http.js';
+import { assertCanWrite, authorOf, isMaintainer, requireMaintainer } from './auth.js';
+import { createdEntry, withHistory } from './history.js';
+import { assertTransition, withWorkflow } from './workflow.js';
+import { validateIssue, validateIssues } from '../src/schema.js';
+import { linksOf } from '../src/links.js';
+
+// Fields the server owns; a PATCH may not change them. Comments have their own endpoints
+// (comments.js).
+const READ_ONLY_FIELDS = ['id', 'createdAt', 'rev', 'history', 'comments'];
+// Additionally off-limits to guests, so they can't take over someone else's issue
+// or reorder the board (`rank` is the manual card order).
+const MAINTAINER_ONLY_FIELDS = ['createdBy', 'createdByVisitor', 'rank'];
+
+// What a guest may set of `fields` on `current` (null for a new issue): nothing maintainer-only,
+// and no duplicate links, since closing an issue as a duplicate is a maintainer call. Their
+// own other links are fine; the issue keeps the duplicate links it has.
+function guestFields(current, fields) {
+  const allowed = Object.fromEntries(Object.entries(fields).filter(([k]) => !MAINTAINER_ONLY_FIELDS.includes(k)));
+  if ('links' in allowed) allowed.links = [...linksOf(current, 'duplicates'), ...linksOf(allowed).filter(l => l.type !== 'duplicates')];
+  return allowed;
+}
+
+// Incoming issues must match the schema (src/schema.js); a 400 lists every problem.
+function assertIssue(raw, options) {
+  const problems = validateIssue(raw, options);
+  if (problems.length) throw new HttpError(400, problems[0].message, { problems });
+}
+
+function assertIssues(list, options) {
+  const problems = validateIssues(list, options);
+  if (!problems.length) return;
+  const first = problems[0];
+  throw new HttpError(400, `Issue ${first.index + 1}${first.id ? ` (${first.id})` : ''}: ${first.message}`, { problems });
+}
+
+export const etag = (issue) => `"${issue.rev ?? 0}"`;
+
+// If-Match may be missing (unconditional write), "*" or a quoted rev.
+function checkRevision(issue, ifMatch) {
+  if (!ifMatch || ifMatch.trim() === '*') return;
+  const expected = ifMatch.split(',').map(s => s.trim().replace(/^W\//, ''));
+  if (!expected.includes(etag(issue))) {
+    throw new HttpError(409, `Issue ${issue.id} was changed by someone else`, { current: issue });
+  }
+}
+
+// Comments filed along with a new issue are stamped with the caller.
+function stampComments(comments, user) {
+  if (!Array.isArray(comments)) return comments;
+  const author = authorOf(user);
+  return comments.map(c => ({ ...c, author: author?.name ?? '', createdBy: author ?? undefined }));
+}
+
+// Next free ISSUE-n id, mirroring the client's addIssue numbering.
+function nextId(issues) {
+  const max = Math.max(0, ...issues.map(i => Number(String(i.id).split('-').pop()) || 0));
+  return `ISSUE-${max + 1}`;
+}
+
+function findIndex(doc, id) {
+  const idx = doc.issues.findIndex(i => i.id === id);
+  if (idx === -1) throw new HttpError(404, `Issue ${id} not found`);
+  return idx;
+}
+
+// GET /bugsapi/issues/:id
+export async function getIssue(store, id) {
+  const doc = await store.read();
+  const issue = doc.issues[findIndex(doc, id)];
+  return [200, issue, { ETag: etag(issue) }];
+}
+
+// PUT /bugsapi replaces the whole list; issues whose content changed get a new rev
+// and a history entry (history sent by the client is ignored for existing issues).
+export async function replaceIssues(store, body, user) {
+  requireMaintainer(user);
+  const incoming = Array.isArray(body) ? body : body?.issues;
+  if (!Array.isArray(incoming)) throw new HttpError(400, 'Expected { issues: Issue[] }');
+  assertIssues(incoming);
+  const now = new Date().toISOString();
+  const by = authorOf(user);
+  const doc = await store.update(prev => {
+    const byId = new Map(prev.issues.map(i => [i.id, i]));
+    const issues = incoming.map(raw => {
+      const existing = byId.get(raw.id);
+      const { rev: _rev, history: _history, ...content } = raw;
+      if (!existing) return { ...content, history: raw.history ?? [createdEntry(by, now)], rev: 1 };
+      const { rev, history: _existingHistory, ...existingContent } = existing;
+      if (JSON.stringify(content) === JSON.stringify(existingContent)) return existing;
+      return withHistory(existing, { ...content, rev: (rev ?? 0) + 1 }, by, now);
+    });
+    return { ...prev, issues };
+  });
+  return [200, withWorkflow(doc)];
+}
+
+// POST /bugsapi/issues with a single issue (201 + issue) or { issues: Issue[] } (201 + { issues: added }).
+// A single issue whose id is missing or already taken gets a fresh id; in bulk mode
+// existing ids are skipped, matching the client's append-only import. Bulk import is
+// maintainer-only; a single issue is recorded as created by the caller, who needs an identity.
+export async function createIssues(store, body, user) {
+  const bulk = Array.isArray(body?.issues);
+  if (bulk) requireMaintainer(user);
+  if (!authorOf(user)) throw new HttpError(403, 'Pick a display name before filing issues');
+  const incoming = bulk ? body.issues : [body];
+  if (bulk) assertIssues(incoming, { idOptional: true });
+  else assertIssue(body, { idOptional: true });
+  const added = [];
+  await store.update(doc => {
+    const issues = [...doc.issues];
+    const now = new Date().toISOString();
+    for (const raw of incoming) {
+      if (!bulk && !isMaintainer(user) && raw.status !== undefined) assertTransition({ ...doc, issues }, null, raw.status, user);
+      const taken = raw.id == null || issues.some(i => i.id === String(raw.id));
+      if (taken && bulk) continue;
+      const fields = isMaintainer(user) ? raw : guestFields(null, raw);
+      const issue = { ...fields, id: taken ? nextId(issues) : String(raw.id), createdAt: raw.createdAt || now, updatedAt: raw.updatedAt || now, rev: 1 };
+      // Imports and maintainer restores (undo of a delete) keep the issue's own trail and
+      // reporter; anything else starts fresh, recorded as created by the caller.
+      const restore = bulk || isMaintainer(user);
+      issue.history = restore && Array.isArray(raw.history) ? raw.history : [createdEntry(authorOf(user), now)];
+      if (!bulk) {
+        issue.createdBy = (restore && raw.createdBy) || authorOf(user);
+        issue.createdByVisitor = !isMaintainer(user);
+        issue.comments = restore ? raw.comments ?? [] : stampComments(raw.comments ?? [], user);
+      }
+      if (bulk) issues.push(issue); else issues.unshift(issue);
+      added.push(issue);
+    }
+    return { ...doc, issues };
+  });
+  return bulk ? [201, { issues: added }] : [201, added[0], { ETag: etag(added[0]) }];
+}
+
+// PATCH /bugsapi/issues/:id with only the changed fields.
+export async function patchIssue(store, id, patch, ifMatch, user) {
+  assertIssue(patch, { partial: true });
+  if (patch.links?.some(l => l.id === id)) throw new HttpError(400, "An issue can't link to itself");
+  let updated;
+  await store.update(doc => {
+    const idx = findIndex(doc, id);
+    const current = doc.issues[idx];
+    assertCanWrite(user, current);
+    checkRevision(current, ifMatch);
+    const writable = Object.fromEntries(Object.entries(patch).filter(([k]) => !READ_ONLY_FIELDS.includes(k)));
+    const fields = isMaintainer(user) ? writable : guestFields(current, writable);
+    if ('status' in fields && fields.status !== current.status) assertTransition(doc, current, fields.status, user);
+    const now = new Date().toISOString();
+    updated = withHistory(current, { ...current, ...fields, updatedAt: fields.updatedAt || now, rev: (current.rev ?? 0) + 1 }, authorOf(user), now);
+    const issues = [...doc.issues];
+    issues[idx] = updated;
+    return { ...doc, issues };
+  });
+  return [200, updated, { ETag: etag(updated) }];
+}
+
+// DELETE /bugsapi/issues/:id
+// Links to the issue from other issues go with it. Like comment writes, that cleanup leaves
+// their rev alone, so nobody's pending edit of those issues turns stale.
+export async function deleteIssue(store, id, ifMatch, user) {
+  await store.update(doc => {
+    const current = doc.issues[findIndex(doc, id)];
+    assertCanWrite(user, current);
+    checkRevision(current, ifMatch);
+    const now = new Date().toISOString();
+    const issues = doc.issues
+      .filter(i => i.id !== id)
+      .map(i => (linksOf(i).some(l => l.id === id) ? withHistory(i, { ...i, links: i.links.filter(l => l.id !== id) }, authorOf(user), now) : i));
+    return { ...doc, issues };
+  });
+  return [204, null];
+}
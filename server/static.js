@@ -0,0 +1,46 @@
+import { createReadStream, promises as fs } from 'node:fs';
+import path from 'node:path';
+
+const TYPES = {
+  '.html': 'text/html; charset=utf-8',
+  '.js': 'text/javascript; charset=utf-8',
+  '.css': 'text/css; charset=utf-8',
+  '.json': 'application/json; charset=utf-8',
+  '.svg': 'image/svg+xml',
+  '.png': 'image/png',
+  '.jpg': 'image/jpeg',
+  '.jpeg': 'image/jpeg',
+  '.gif': 'image/gif',
+  '.webp': 'image/webp',
+  '.ico': 'image/x-icon',
+  '.txt': 'text/plain; charset=utf-8',
+  '.woff2': 'font/woff2',
+};
+
+async function statFile(file) {
+  try { const st = await fs.stat(file); return st.isFile() ? st : null; }
+  catch { return null; }
+}
+
+// Serves the built Vite app (dist/) with an index.html fallback for client-side URLs.
+// Returns false when nothing was served so the caller can 404.
+export async function serveStatic(req, res, root) {
+  if (req.method !== 'GET' && req.method !== 'HEAD') return false;
+  let pathname;
+  try { pathname = decodeURIComponent(new URL(req.url, 'http://localhost').pathname); }
+  catch { return false; }
+  let file = path.join(root, path.normalize(pathname));
+  if (file !== root && !file.startsWith(root + path.sep)) return false;
+  let st = await statFile(file);
+  if (!st && !path.extname(file)) { file = path.join(root, 'index.html'); st = await statFile(file); }
+  if (!st) return false;
+  const immutable = file.includes(`${path.sep}assets${path.sep}`);
+  res.writeHead(200, {
+    'Content-Type': TYPES[path.extname(file).toLowerCase()] || 'application/octet-stream',
+    'Content-Length': st.size,
+    'Cache-Control': immutable ? 'public, max-age=31536000, immutable' : 'no-cache',
+  });
+  if (req.method === 'HEAD') { res.end(); return true; }
+  createReadStream(file).pipe(res);
+  return true;
+}
@@ -0,0 +1,53 @@
+import { promises as fs } from 'node:fs';
+import path from 'node:path';
+
+// Default shape: the `{ issues }` document (same shape as bugs.json).
+function normalizeIssuesDoc(parsed) {
+  if (Array.isArray(parsed)) return { issues: parsed };
+  return { ...parsed, issues: Array.isArray(parsed?.issues) ? parsed.issues : [] };
+}
+
+// File-backed JSON document store.
+// Mutations are serialized through a promise chain and written atomically:
+// the new JSON goes to a temp file next to the target and is renamed over it,
+// so a crash mid-write never leaves a truncated file behind.
+export function createStore(file, normalize = normalizeIssuesDoc) {
+  let doc = null;
+  let queue = Promise.resolve();
+
+  async function load() {
+    if (doc) return doc;
+    try {
+      doc = normalize(JSON.parse(await fs.readFile(file, 'utf8')));
+    } catch (e) {
+      if (e.code !== 'ENOENT') throw e;
+      doc = normalize(null);
+    }
+    return doc;
+  }
+
+  async function writeAtomic(data) {
+    const tmp = path.join(path.dirname(file), `.${path.basename(file)}.${process.pid}.${Date.now()}.tmp`);
+    try {
+      await fs.writeFile(tmp, JSON.stringify(data, null, 2) + '\n');
+      await fs.rename(tmp, file);
+    } catch (e) {
+      await fs.rm(tmp, { force: true });
+      throw e;
+    }
+  }
+
+  // fn receives the current document and returns the next one.
+  function update(fn) {
+    const run = queue.then(async () => {
+      const next = await fn(await load());
+      await writeAtomic(next);
+      doc = next;
+      return next;
+    });
+    queue = run.catch(() => {});
+    return run;
+  }
+
+  return { read: load, update };
+}
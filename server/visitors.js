@@ -0,0 +1,90 @@
+// Lightweight visitor identities: a display name (plus optional Discord handle) and a
+// server-issued id. Registering returns a long-lived bearer token; only its SHA-256 is
+// stored, in a file of its own so GET /bugsapi never exposes it.
+import { randomBytes, createHash } from 'node:crypto';
+import { HttpError } from './http.js';
+
+const hashToken = (token) => createHash('sha256').update(token).digest('hex');
+
+export const publicVisitor = (v) => v && { id: v.id, name: v.name, ...(v.discord ? { discord: v.discord } : {}) };
+
+function readProfile(body, partial = false) {
+  const out = {};
+  if (!partial || body?.name !== undefined) {
+    const name = typeof body?.name === 'string' ? body.name.trim().replace(/\s+/g, ' ') : '';
+    if (!name || name.length > 40) throw new HttpError(400, 'name must be 1-40 characters');
+    out.name = name;
+  }
+  if (body?.discord !== undefined) {
+    const discord = typeof body.discord === 'string' ? body.discord.trim().replace(/^@/, '') : '';
+    if (discord && !/^[\w.]{2,32}(#\d{4})?$/.test(discord)) throw new HttpError(400, 'discord must be a Discord username');
+    out.discord = discord || undefined;
+  }
+  return out;
+}
+
+const MAX_VIEWS = 30;
+const str = (v, max) => (typeof v === 'string' ? v.slice(0, max) : '');
+
+// Saved board views: [{ id, name, q, tag, sort }]
+function readViews(body) {
+  if (!Array.isArray(body?.views)) throw new HttpError(400, 'Expected { views: [] }');
+  if (body.views.length > MAX_VIEWS) throw new HttpError(400, `At most ${MAX_VIEWS} saved views`);
+  return body.views.map((v, i) => {
+    const name = str(v?.name, 40).trim();
+    if (!name) throw new HttpError(400, `views[${i}].name is required`);
+    return { id: str(v.id, 40) || `view-${randomBytes(4).toString('hex')}`, name, q: str(v.q, 500), tag: str(v.tag, 100), sort: str(v.sort, 20) };
+  });
+}
+
+export function createVisitors(store) {
+  return {
+    async findByToken(token) {
+      const { visitors = [] } = await store.read();
+      const hash = hashToken(token);
+      return visitors.find(v => v.tokenHash === hash) ?? null;
+    },
+
+    // POST /bugsapi/visitors { name, discord? }
+    async register(body) {
+      const profile = readProfile(body);
+      const token = randomBytes(32).toString('base64url');
+      const visitor = { id: `v-${randomBytes(6).toString('hex')}`, ...profile, tokenHash: hashToken(token), createdAt: new Date().toISOString() };
+      await store.update(doc => ({ ...doc, visitors: [...(doc.visitors ?? []), visitor] }));
+      return [201, { visitor: publicVisitor(visitor), token }];
+    },
+
+    // PATCH /bugsapi/visitors/me { name?, discord? }
+    async update(user, body) {
+      if (!user.visitor) throw new HttpError(401, 'No visitor identity');
+      const profile = readProfile(body, true);
+      let updated;
+      await store.update(doc => ({
+        ...doc,
+        visitors: (doc.visitors ?? []).map(v => v.id === user.visitor.id ? (updated = { ...v, ...profile }) : v),
+      }));
+      if (!updated) throw new HttpError(404, 'Visitor not found');
+      return [200, { visitor: publicVisitor(updated) }];
+    },
+
+    // GET /bugsapi/visitors/me/views
+    async views(user) {
+      if (!user.visitor) throw new HttpError(401, 'No visitor identity');
+      const { visitors = [] } = await store.read();
+      return [200, { views: visitors.find(v => v.id === user.visitor.id)?.views ?? [] }];
+    },
+
+    // PUT /bugsapi/visitors/me/views { views }
+    async saveViews(user, body) {
+      if (!user.visitor) throw new HttpError(401, 'No visitor identity');
+      const views = readViews(body);
+      let found = false;
+      await store.update(doc => ({
+        ...doc,
+        visitors: (doc.visitors ?? []).map(v => v.id === user.visitor.id ? (found = true, { ...v, views }) : v),
+      }));
+      if (!found) throw new HttpError(404, 'Visitor not found');
+      return [200, { views }];
+    },
+  };
+}
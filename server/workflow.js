@@ -0,0 +1,33 @@
+// Board workflow handlers. The rules themselves live in src/workflow.js so the board and
+// the server agree on them; the server keeps the config in the issues document.
+import { HttpError } from './http.js';
+import { isMaintainer, requireMaintainer } from './auth.js';
+import { normalizeWorkflow, statusCounts, transitionError } from '../src/workflow.js';
+
+// Documents written before workflows existed use the default one.
+export const workflowOf = (doc) => normalizeWorkflow(doc.workflow).workflow;
+
+export const withWorkflow = (doc) => ({ ...doc, workflow: workflowOf(doc) });
+
+// GET /bugsapi/workflow
+export async function getWorkflow(store) {
+  return [200, { workflow: workflowOf(await store.read()) }];
+}
+
+// PUT /bugsapi/workflow { workflow } (maintainers only). Issues in a status that was
+// removed keep it and show up as unconfigured columns on the board.
+export async function putWorkflow(store, body, user) {
+  requireMaintainer(user);
+  const { workflow, errors } = normalizeWorkflow(body?.workflow ?? null);
+  if (!body?.workflow || errors.length) throw new HttpError(400, errors[0] ?? 'Expected { workflow }', { errors });
+  await store.update(doc => ({ ...doc, workflow }));
+  return [200, { workflow }];
+}
+
+// Throws when the caller may not move `issue` (null for a new one) to `to`.
+export function assertTransition(doc, issue, to, user) {
+  const others = issue ? doc.issues.filter(i => i.id !== issue.id) : doc.issues;
+  const error = transitionError(workflowOf(doc), issue ? issue.status : null, to, isMaintainer(user) ? 'maintainer' : 'reporter', statusCounts(others));
+  if (!error) return;
+  throw new HttpError(error.startsWith('Only ') ? 403 : 422, error);
+}
@@ -1,43 +1,70 @@
-import React, { useEffect, useMemo, useRef, useState } from "react";
+import React, { useDeferredValue, useEffect, useMemo, useRef, useState } from "react";
+import * as api from "./api.js";
+import { SYNC_DELAY_MS } from "./api.js";
+import { conflictFields, mergeRemote, resolutionPatch } from "./conflicts.js";
+import { createLocalStore, createOutbox, isNetworkError } from "./offline.js";
+import { describeEntry, recentActivity, timeAgo } from "./history.js";
+import { matchIssue, parseQuery, suggest } from "./query.js";
+import { parseMarkdown, plainText, toggleTask } from "./markdown.js";
+import { REACTIONS, cleanReactions, commentThreads, mentionHandle } from "./comments.js";
+import { FIELDS, FIELD_LABELS, IMPORTERS, PRIORITIES, buildIssues, detectImporter, distinctValues, guessMapping, guessPriority, guessStatus } from "./importers.js";
+import { MERGE_FIELDS, MERGE_STRATEGIES, diffImport, planImport, sourceFields, takesChange } from "./merge.js";
+import { EXPORT_FORMATS, changelogIssues, dayString, toCSV, toChangelog, toJSON, toMarkdown } from "./exporters.js";
+import { isISODate, issueLines, issueList, jsonErrorLine, repairIssues, validateIssues } from "./schema.js";
+import { useUndoStack } from "./undo.js";
+import { DEFAULT_WORKFLOW, STATUS_COLORS, TRANSITION_ROLES, closedStatus, finishedStatuses, normalizeWorkflow, statusCounts, transitionError } from "./workflow.js";
+import { LINK_CHOICES, addLink, backlinks, linkError, linksOf, relationIndex, removeLink } from "./links.js";
+import { createDuplicateIndex } from "./duplicates.js";
+import { dashboard } from "./metrics.js";
+import { nextFocus, nextTarget, othersIn } from "./navigation.js";
+import { compareRank, isRank, placeAt } from "./rank.js";
+import { LANE_KEYS, LANE_LABELS, groupLanes, lanePatch } from "./lanes.js";
+import { DEFAULT_SORT, SORT_KEYS, VIEW_MODES, loadLocalViews, locationFor, readLocation, sameView, saveLocalViews } from "./views.js";
 
-// Configurable API base: use env, else localhost in dev, else same-origin
-const API_BASE = import.meta.env.VITE_BUGS_API_BASE || (typeof window !== 'undefined' && window.location.hostname === 'localhost' ? 'https://localhost:33123' : '');
-function apiUrl(path) { return `${API_BASE}${path}`; }
-const SYNC_DELAY_MS = Number(import.meta.env.VITE_BUGS_SYNC_DELAY_MS) || 10000; // default 10s
-const API_HEADERS = { 'Content-Type': 'application/json', 'ngrok-skip-browser-warning': '1' };
+const PATCH_DEBOUNCE_MS = 400; // coalesce modal keystrokes into one PATCH
+const CACHE_SAVE_MS = 500; // debounce for the local copy of the board (offline.js)
+const NEW_ISSUE_TITLE = "New issue";
+const FLASH_MS = 4000; // how long a card changed by someone else stays highlighted
 
-// Exotics Café Bugs Board: front‑end only issue board that ingests JSON, edits it in place, and lets you export.
-// No backend. Uses Tailwind. Works entirely in browser with localStorage persistence.
+// Exotics Café Bugs Board: issue board that ingests JSON, edits it in place, and lets you export.
+// Shared state lives behind /bugsapi (see server/ for the bundled reference server). Uses Tailwind.
 // Key features:
-// - Import JSON (file, paste, or URL)
+// - Import JSON (file, paste, or URL), or GitHub/Jira/Linear/CSV exports with a mapping step (importers.js)
 // - Auto-normalize to an Issue[] shape
 // - Kanban board with drag-and-drop across columns (HTML5 DnD)
 // - Inline edit via side panel modal
 // - Search, filter by status, sort, add/remove issues
+// - Board workflow (statuses, WIP limits, allowed moves) stored on the server, see workflow.js
 // - Raw JSON editor kept in sync
-// - Export JSON (download)
+// - Export the filtered view or the selection as JSON, CSV, a Markdown report or a changelog (exporters.js)
 
 // ---- Types (for clarity) ----
 // Issue shape we normalize to:
 // {
 //   id: string,
 //   title: string,
-//   description?: string,
+//   description?: string,    // Markdown (see markdown.js)
 //   status: string,          // e.g., Backlog, Todo, In Progress, Done, Archived
 //   priority?: "P0"|"P1"|"P2"|"P3",
 //   assignee?: string,
 //   tags?: string[],
 //   createdAt?: string,      // ISO
 //   updatedAt?: string,      // ISO
-//   comments?: { id: string, author?: string, body: string, createdAt: string }[]
+//   rev?: number,            // server revision, bumped on every write (sent back as If-Match)
+//   rank?: string,           // manual card order (fractional index, see rank.js); maintainers only
+//   comments?: { id: string, parentId?: string, author?: string, createdBy?: Person, body: string, createdAt: string,
+//                editedAt?: string, deletedAt?: string, reactions?: { [emoji]: Person[] } }[],  // Markdown; see comments.js
+//   attachments?: { id, name, type, size, url, createdAt, createdBy }[],  // images uploaded to /bugsapi/attachments
+//   createdBy?: Person,      // who filed it; visitors may edit/delete only their own issues
+//   history?: { id, type: "created"|"change", at: ISO, by: Person|null, changes?: { field, from, to }[] }[]
+//                            // written by the server on every change to status/priority/assignee/tags/title/description
 // }
+// Person: { id: string, name: string } — a visitor id from /bugsapi/visitors, or "maintainer"
 
-const LS_KEY = "exotics-bugs-issues-v1";
 // Removed THEME_LS_KEY (theme toggle eliminated)
-const ROLE_LS_KEY = 'exotics-bugs-role';
-const MAINTAINER_KEY = 'changeme'; // TODO: set this to a non-obvious phrase before deploying
+const LEGACY_ROLE_LS_KEY = 'exotics-bugs-role'; // role used to be stored client-side; now comes from /bugsapi/session
+const TOAST_MS = 6000;
 
-const DEFAULT_STATUSES = ["Backlog", "Todo", "In Progress", "Done", "Archived"]; // canonical ordering
 
 // const SAMPLE_ISSUES = [];
 const INITIAL_ISSUES = [];
@@ -79,10 +106,20 @@ function normalizeIncomingJSON(input) {
         updatedAt,
         comments: Array.isArray(comments) ? comments.map((c, i) => ({
           id: c.id ?? uid(`c${i}`),
-          author: c.author ?? c.user ?? "",
+          author: c.author ?? c.user ?? c.createdBy?.name ?? "",
+          ...(c.createdBy ? { createdBy: c.createdBy } : {}),
           body: c.body ?? c.text ?? String(c ?? ""),
-          createdAt: c.createdAt ?? c.created ?? new Date().toISOString()
-        })) : []
+          createdAt: c.createdAt ?? c.created ?? new Date().toISOString(),
+          ...(c.parentId ? { parentId: String(c.parentId) } : {}),
+          ...(c.editedAt ? { editedAt: c.editedAt } : {}),
+          ...(c.deletedAt ? { deletedAt: c.deletedAt } : {}),
+          ...(cleanReactions(c.reactions) ? { reactions: cleanReactions(c.reactions) } : {})
+        })) : [],
+        ...(raw.createdBy ? { createdBy: raw.createdBy } : {}),
+        ...(Array.isArray(raw.history) ? { history: raw.history } : {}),
+        ...(raw.createdByVisitor !== undefined ? { createdByVisitor: !!raw.createdByVisitor } : {}),
+        ...(isRank(raw.rank) ? { rank: raw.rank } : {}),
+        ...(Array.isArray(raw.attachments) ? { attachments: raw.attachments } : {})
       };
     });
 
@@ -93,8 +130,13 @@ function normalizeIncomingJSON(input) {
   }
 }
 
-function downloadJSON(filename, json) {
-  const blob = new Blob([JSON.stringify(json, null, 2)], { type: "application/json" });
+const plural = (n, word) => `${n} ${word}${n === 1 ? "" : "s"}`;
+
+// n for the next free ISSUE-n id
+const nextIssueNumber = (issues) => Math.max(0, ...issues.map(i => Number(String(i.id).split("-").pop()) || 0)) + 1;
+
+function downloadText(filename, text, type) {
+  const blob = new Blob([text], { type });
   const url = URL.createObjectURL(blob);
   const a = document.createElement("a");
   a.href = url;
@@ -103,22 +145,8 @@ function downloadJSON(filename, json) {
   URL.revokeObjectURL(url);
 }
 
-function useLocalStorageState(key, initialValue) {
-  const [state, setState] = useState(() => {
-    try {
-      const raw = localStorage.getItem(key);
-      return raw ? JSON.parse(raw) : initialValue;
-    } catch {
-      return initialValue;
-    }
-  });
-  useEffect(() => {
-    try { localStorage.setItem(key, JSON.stringify(state)); } catch {}
-  }, [key, state]);
-  return [state, setState];
-}
-
 function classNames(...xs) { return xs.filter(Boolean).join(" "); }
+function without(obj, key) { const next = { ...obj }; delete next[key]; return next; }
 
 const PriorityBadge = ({ p }) => {
   if (!p) return null;
@@ -137,20 +165,90 @@ const Tag = ({ t }) => (
   <span className="px-2 py-0.5 text-xs rounded bg-slate-300 text-slate-700 ring-1 ring-slate-400 dark:bg-slate-700/50 dark:text-slate-200 dark:ring-slate-600 transition-colors">{t}</span>
 );
 
-const IconButton = ({ title, onClick, children }) => (
-  <button title={title} onClick={onClick}
-    className="inline-flex items-center gap-2 rounded-lg px-3 py-2 bg-slate-200 text-slate-900 hover:bg-slate-300 active:bg-slate-400 ring-1 ring-slate-300 dark:bg-slate-800 dark:text-slate-100 dark:hover:bg-slate-700 dark:active:bg-slate-600 dark:ring-slate-700 transition-colors">
+const IconButton = ({ title, onClick, disabled, children }) => (
+  <button title={title} onClick={onClick} disabled={disabled}
+    className="inline-flex items-center gap-2 rounded-lg px-3 py-2 bg-slate-200 text-slate-900 hover:bg-slate-300 active:bg-slate-400 ring-1 ring-slate-300 dark:bg-slate-800 dark:text-slate-100 dark:hover:bg-slate-700 dark:active:bg-slate-600 dark:ring-slate-700 transition-colors disabled:opacity-40 disabled:pointer-events-none">
     {children}
   </button>
 );
 
+const Toast = ({ toast, onClose }) => {
+  if (!toast) return null;
+  return (
+    <div role="status" className="fixed bottom-4 left-1/2 -translate-x-1/2 z-[60] flex items-center gap-3 rounded-xl bg-slate-900 text-slate-100 ring-1 ring-slate-700 px-4 py-2 text-sm shadow-xl">
+      <span>{toast.message}</span>
+      {toast.action && (
+        <button onClick={()=>{ toast.action.onClick(); onClose(); }} className="font-semibold text-cyan-400 hover:text-cyan-300">{toast.action.label}</button>
+      )}
+      <button title="Dismiss" onClick={onClose} className="text-slate-400 hover:text-slate-200">✕</button>
+    </div>
+  );
+};
+
+// Display name (+ optional Discord handle) a visitor files and comments under.
+function IdentityForm({ me, onSave, onCancel }) {
+  const [name, setName] = useState(me?.name ?? "");
+  const [discord, setDiscord] = useState(me?.discord ?? "");
+  const submit = (e) => { e.preventDefault(); if (name.trim()) onSave({ name: name.trim(), discord: discord.trim() }); };
+  return (
+    <form onSubmit={submit} className="space-y-3">
+      <h3 className="text-lg font-semibold text-slate-900 dark:text-slate-100">{me ? "Your identity" : "Who's reporting?"}</h3>
+      <p className="text-sm text-slate-500 dark:text-slate-400">Issues and comments you file are recorded under this name, and only you (or a maintainer) can edit or delete them.</p>
+      <div>
+        <label className="text-sm text-slate-600 dark:text-slate-300">Display name</label>
+        <TextInput autoFocus required maxLength={40} value={name} onChange={(e)=>setName(e.target.value)} />
+      </div>
+      <div>
+        <label className="text-sm text-slate-600 dark:text-slate-300">Discord handle (optional)</label>
+        <TextInput placeholder="@username" maxLength={37} value={discord} onChange={(e)=>setDiscord(e.target.value)} />
+      </div>
+      <div className="flex gap-2">
+        <IconButton title="Save">✅<span>Save</span></IconButton>
+        <button type="button" onClick={onCancel} className="rounded-lg px-3 py-2 text-sm text-slate-500 hover:text-slate-300">Cancel</button>
+      </div>
+    </form>
+  );
+}
+
+const FOCUSABLE = 'a[href], button:not([disabled]), input:not([disabled]), select:not([disabled]), textarea:not([disabled]), [tabindex]:not([tabindex="-1"])';
+const openModals = []; // panels, innermost last; only that one handles Tab and Escape
+
+// Keeps focus inside while open (Tab wraps around), closes on Escape and hands focus back
+// to whatever had it before.
 const Modal = ({ open, onClose, children }) => {
+  const panelRef = useRef(null);
+  const onCloseRef = useRef(onClose);
+  useEffect(() => { onCloseRef.current = onClose; });
+  useEffect(() => {
+    if (!open) return;
+    const panel = panelRef.current;
+    const previous = document.activeElement;
+    openModals.push(panel);
+    if (!panel.contains(document.activeElement)) (panel.querySelector(FOCUSABLE) ?? panel).focus();
+    const onKeyDown = (e) => {
+      if (openModals.at(-1) !== panel) return;
+      if (e.key === 'Escape') { e.preventDefault(); onCloseRef.current(); return; }
+      if (e.key !== 'Tab') return;
+      const items = [...panel.querySelectorAll(FOCUSABLE)].filter(el => el.offsetParent !== null);
+      if (!items.length) { e.preventDefault(); return; }
+      const first = items[0], last = items[items.length - 1];
+      const inside = panel.contains(document.activeElement);
+      if (e.shiftKey && (!inside || document.activeElement === first)) { e.preventDefault(); last.focus(); }
+      else if (!e.shiftKey && (!inside || document.activeElement === last)) { e.preventDefault(); first.focus(); }
+    };
+    document.addEventListener('keydown', onKeyDown);
+    return () => {
+      document.removeEventListener('keydown', onKeyDown);
+      openModals.splice(openModals.indexOf(panel), 1);
+      if (previous?.isConnected) previous.focus();
+    };
+  }, [open]);
   if (!open) return null;
   return (
     <div className="fixed inset-0 z-50">
       <div className="absolute inset-0 bg-black/40 dark:bg-black/60" onClick={onClose} />
       <div className="absolute inset-0 flex items-center justify-center p-6">
-        <div className="w-full max-w-3xl rounded-2xl bg-white text-slate-900 ring-1 ring-slate-300 dark:bg-slate-900 dark:text-slate-100 dark:ring-slate-700 p-6 shadow-xl overflow-hidden transition-colors">
+        <div ref={panelRef} role="dialog" aria-modal="true" tabIndex={-1} className="w-full max-w-3xl focus:outline-none rounded-2xl bg-white text-slate-900 ring-1 ring-slate-300 dark:bg-slate-900 dark:text-slate-100 dark:ring-slate-700 p-6 shadow-xl overflow-hidden transition-colors">
           {children}
         </div>
       </div>
@@ -170,63 +268,1669 @@ const TextArea = (props) => (
     props.className)} />
 );
 
-const Select = ({ value, onChange, options, className }) => (
+// Edits an ISO date in local time (to the minute); only complete dates reach onChange.
+const toLocalInput = (iso) => {
+  if (!isISODate(iso)) return "";
+  const d = new Date(iso);
+  return new Date(d.getTime() - d.getTimezoneOffset() * 60000).toISOString().slice(0, 16);
+};
+const DateTimeInput = ({ value, onChange, ...props }) => (
+  <TextInput {...props} type="datetime-local" value={toLocalInput(value)}
+             onChange={(e) => { const t = Date.parse(e.target.value); if (!Number.isNaN(t)) onChange(new Date(t).toISOString()); }} />
+);
+
+const Select = ({ value, onChange, options, labels, disabledOptions = [], className }) => (
   <select value={value} onChange={onChange} className={classNames(
     "w-full rounded-lg px-3 py-2 ring-1 focus:outline-none focus:ring-2 focus:ring-cyan-500 bg-white text-slate-900 ring-slate-300 dark:bg-slate-800 dark:text-slate-100 dark:ring-slate-700",
     className)}>
-    {options.map((o) => <option key={o} value={o}>{o}</option>)}
+    {options.map((o) => <option key={o} value={o} disabled={disabledOptions.includes(o)}>{labels?.[o] ?? o}</option>)}
   </select>
 );
 
-function IssueCard({ issue, onOpen, onDragStart }) {
+// ---- Markdown (see markdown.js) ----
+const HEADING_SIZES = ["text-xl", "text-lg", "text-base", "text-sm", "text-sm", "text-sm"];
+// Attachment URLs are stored relative to the API so they survive a change of API_BASE
+const mediaSrc = (src) => (src.startsWith("/bugsapi/") ? api.apiUrl(src) : src);
+
+// `ctx`: { onToggleTask?, me? } — `me` is the viewer's mention handle, highlighted where it appears.
+function renderInline(nodes, ctx) {
+  return nodes.map((n, i) => {
+    switch (n.type) {
+      case "text": return <React.Fragment key={i}>{n.value}</React.Fragment>;
+      case "br": return <br key={i} />;
+      case "code": return <code key={i} className="rounded bg-slate-200 px-1 font-mono text-[0.85em] dark:bg-slate-700">{n.value}</code>;
+      case "strong": return <strong key={i} className="font-semibold">{renderInline(n.children, ctx)}</strong>;
+      case "em": return <em key={i}>{renderInline(n.children, ctx)}</em>;
+      case "del": return <del key={i}>{renderInline(n.children, ctx)}</del>;
+      case "link": {
+        const external = /^(https?:|mailto:)/i.test(n.href);
+        return <a key={i} href={n.href} {...(external ? { target: "_blank", rel: "noopener noreferrer nofollow" } : {})}
+                  className="text-cyan-700 underline hover:text-cyan-600 dark:text-cyan-400">{renderInline(n.children, ctx)}</a>;
+      }
+      case "mention": {
+        const self = ctx.me && n.handle.toLowerCase() === ctx.me.toLowerCase();
+        return <span key={i} className={classNames("rounded px-0.5 font-medium", self ? "bg-amber-200 text-amber-900 dark:bg-amber-500/30 dark:text-amber-100" : "bg-cyan-100 text-cyan-800 dark:bg-cyan-900/50 dark:text-cyan-200")}>@{n.handle}</span>;
+      }
+      case "image": return <img key={i} src={mediaSrc(n.src)} alt={n.alt} loading="lazy" className="my-1 inline-block max-h-80 max-w-full rounded-lg ring-1 ring-slate-300 dark:ring-slate-700" />;
+      default: return null;
+    }
+  });
+}
+
+function renderBlocks(blocks, ctx) {
+  return blocks.map((b, i) => {
+    switch (b.type) {
+      case "heading": { const H = `h${b.level}`; return <H key={i} className={classNames("font-semibold", HEADING_SIZES[b.level - 1])}>{renderInline(b.children, ctx)}</H>; }
+      case "paragraph": return <p key={i}>{renderInline(b.children, ctx)}</p>;
+      case "code": return <pre key={i} className="overflow-x-auto rounded-lg bg-slate-900 p-3 text-xs text-slate-100"><code>{b.text}</code></pre>;
+      case "quote": return <blockquote key={i} className="space-y-2 border-l-4 border-slate-300 pl-3 text-slate-600 dark:border-slate-600 dark:text-slate-400">{renderBlocks(b.blocks, ctx)}</blockquote>;
+      case "hr": return <hr key={i} className="border-slate-300 dark:border-slate-700" />;
+      case "list": {
+        const List = b.ordered ? "ol" : "ul";
+        return (
+          <List key={i} start={b.ordered && b.start !== 1 ? b.start : undefined} className={classNames("space-y-1 pl-5", b.ordered ? "list-decimal" : "list-disc")}>
+            {b.items.map(item => (
+              <li key={item.line} className={item.task === null ? undefined : "-ml-5 flex list-none items-start gap-2"}>
+                {item.task !== null && (
+                  <input type="checkbox" checked={item.task} disabled={!ctx.onToggleTask} onChange={() => ctx.onToggleTask(item.line)}
+                         aria-label={item.task ? "Mark as not done" : "Mark as done"} className="mt-1" />
+                )}
+                <div className="space-y-1">{renderBlocks(item.blocks, ctx)}</div>
+              </li>
+            ))}
+          </List>
+        );
+      }
+      default: return null;
+    }
+  });
+}
+
+// Renders Markdown as React elements; `onToggleTask(line)` makes task checkboxes clickable.
+function Markdown({ source, onToggleTask, me, className }) {
+  const blocks = useMemo(() => parseMarkdown(source), [source]);
+  if (!blocks.length) return null;
+  return <div className={classNames("space-y-2 break-words text-sm text-slate-800 dark:text-slate-200", className)}>{renderBlocks(blocks, { onToggleTask, me })}</div>;
+}
+
+// Write/Preview editor for a Markdown field. Images that are pasted, dropped or picked go to
+// `onUpload(file)` (resolves to the attachment, or null when it failed); a placeholder holds
+// their spot until the link replaces it, and `onAttach(attachments)` gets the ones that landed.
+// Typing "@" offers the `mentions` names.
+function MarkdownEditor({ value, onChange, onUpload, onAttach, mentions, disabled, rows = 4, placeholder, onKeyDown, initialTab, autoFocus }) {
+  const [tab, setTab] = useState(initialTab ?? (value?.trim() ? "preview" : "write"));
+  const [uploading, setUploading] = useState(0);
+  const [caret, setCaret] = useState(0);
+  const [active, setActive] = useState(0);
+  const [dismissedAt, setDismissedAt] = useState(null);
+  const textareaRef = useRef(null);
+  const fileRef = useRef(null);
+  const valueRef = useRef(value ?? "");
+  useEffect(() => { valueRef.current = value ?? ""; });
+
+  const change = (next) => { valueRef.current = next; onChange(next); };
+
+  // The "@name" being typed before the caret, with the handles that complete it
+  const mention = useMemo(() => {
+    if (!mentions?.length) return null;
+    const m = /(?:^|[^\w@])@([\w.-]*)$/.exec((value ?? "").slice(0, caret));
+    if (!m) return null;
+    const typed = m[1].toLowerCase();
+    const items = [...new Set(mentions.map(mentionHandle).filter(Boolean))]
+      .filter(h => h.toLowerCase().startsWith(typed) && h.toLowerCase() !== typed).slice(0, 6);
+    return items.length ? { start: caret - m[1].length - 1, items } : null;
+  }, [mentions, value, caret]);
+  const completing = mention && mention.start !== dismissedAt ? mention : null;
+  useEffect(() => { setActive(0); }, [mention?.start]);
+  const acceptMention = (handle) => {
+    const text = valueRef.current;
+    const next = `${text.slice(0, completing.start)}@${handle} ${text.slice(caret)}`;
+    const at = completing.start + handle.length + 2;
+    change(next);
+    setCaret(at);
+    requestAnimationFrame(() => textareaRef.current?.setSelectionRange(at, at));
+  };
+  const keyDown = (e) => {
+    if (completing) {
+      const n = completing.items.length;
+      if (e.key === "ArrowDown") { e.preventDefault(); setActive(a => (a + 1) % n); return; }
+      if (e.key === "ArrowUp") { e.preventDefault(); setActive(a => (a - 1 + n) % n); return; }
+      if (e.key === "Enter" || e.key === "Tab") { e.preventDefault(); acceptMention(completing.items[active] ?? completing.items[0]); return; }
+      // Keep Escape from closing the dialog around the editor
+      if (e.key === "Escape") { e.stopPropagation(); setDismissedAt(completing.start); return; }
+    }
+    onKeyDown?.(e);
+  };
+  const upload = async (files) => {
+    const images = [...files].filter(f => f.type.startsWith("image/"));
+    if (!images.length) return;
+    setTab("write");
+    const markers = images.map(f => `![Uploading ${(f.name || "image").replace(/[[\]]/g, "")}…](${uid("upload")})`);
+    const at = textareaRef.current?.selectionEnd ?? valueRef.current.length;
+    const before = valueRef.current.slice(0, at);
+    change(`${before}${before && !before.endsWith("\n") ? "\n" : ""}${markers.join("\n")}\n${valueRef.current.slice(at)}`);
+    setUploading(n => n + images.length);
+    const landed = await Promise.all(images.map(async (file, k) => {
+      const attachment = await onUpload(file);
+      setUploading(n => n - 1);
+      const link = attachment ? `![${attachment.name.replace(/[[\]]/g, "")}](${attachment.url})` : "";
+      change(valueRef.current.replace(attachment ? markers[k] : `${markers[k]}\n`, link));
+      return attachment;
+    }));
+    if (landed.some(Boolean)) onAttach?.(landed.filter(Boolean));
+  };
+  const hasImage = (list) => [...(list ?? [])].some(f => f.type?.startsWith("image/"));
+
+  if (disabled) return <Markdown source={value} />;
+  const tabClass = (t) => classNames("rounded-md px-2 py-1", tab === t ? "bg-slate-200 text-slate-900 dark:bg-slate-700 dark:text-slate-100" : "text-slate-500 hover:text-slate-900 dark:hover:text-slate-100");
+  return (
+    <div>
+      <div className="mb-1 flex items-center gap-1 text-xs">
+        <button type="button" onClick={() => setTab("write")} className={tabClass("write")} aria-pressed={tab === "write"}>Write</button>
+        <button type="button" onClick={() => setTab("preview")} className={tabClass("preview")} aria-pressed={tab === "preview"}>Preview</button>
+        {onUpload && (<>
+          <button type="button" onClick={() => fileRef.current?.click()} className="ml-auto rounded-md px-2 py-1 text-slate-500 hover:text-slate-900 dark:hover:text-slate-100">🖼 Attach image</button>
+          <input ref={fileRef} type="file" accept="image/png,image/jpeg,image/gif,image/webp" multiple hidden
+                 onChange={(e) => { upload(e.target.files); e.target.value = ""; }} />
+        </>)}
+        {uploading > 0 && <span className={classNames("text-cyan-600 dark:text-cyan-400", !onUpload && "ml-auto")}>Uploading {uploading}…</span>}
+      </div>
+      {tab === "write" ? (
+        <div className="relative">
+        <TextArea ref={textareaRef} rows={rows} value={value ?? ""} placeholder={placeholder} onKeyDown={keyDown} autoFocus={autoFocus}
+                  onChange={(e) => { change(e.target.value); setCaret(e.target.selectionStart ?? 0); }}
+                  onSelect={(e) => setCaret(e.target.selectionStart ?? 0)}
+                  onBlur={() => setDismissedAt(mention?.start ?? null)}
+                  onFocus={() => setDismissedAt(null)}
+                  onPaste={(e) => { if (onUpload && hasImage(e.clipboardData.files)) { e.preventDefault(); upload(e.clipboardData.files); } }}
+                  onDragOver={(e) => { if (onUpload && e.dataTransfer.types.includes("Files")) e.preventDefault(); }}
+                  onDrop={(e) => { if (onUpload && hasImage(e.dataTransfer.files)) { e.preventDefault(); upload(e.dataTransfer.files); } }} />
+        {completing && (
+          <ul role="listbox" aria-label="Mention" className="absolute left-2 z-30 mt-1 w-56 overflow-auto rounded-lg bg-white text-sm shadow-lg ring-1 ring-slate-300 dark:bg-slate-900 dark:ring-slate-700">
+            {completing.items.map((h, i) => (
+              <li key={h} role="option" aria-selected={i === active}>
+                <button type="button" onMouseDown={(e) => { e.preventDefault(); acceptMention(h); }}
+                        className={classNames("w-full px-3 py-1.5 text-left", i === active ? "bg-cyan-600/20 text-cyan-700 dark:text-cyan-300" : "text-slate-700 dark:text-slate-200")}>@{h}</button>
+              </li>
+            ))}
+          </ul>
+        )}
+        </div>
+      ) : (
+        <div className="min-h-16 rounded-lg bg-white px-3 py-2 ring-1 ring-slate-300 dark:bg-slate-800 dark:ring-slate-700">
+          {value?.trim() ? <Markdown source={value} onToggleTask={(line) => change(toggleTask(valueRef.current, line))} />
+                         : <p className="text-sm text-slate-400">Nothing to preview</p>}
+        </div>
+      )}
+      <p className="mt-1 text-[11px] text-slate-400">Markdown: **bold**, `code`, ``` blocks, - [ ] tasks, [links](https://…){mentions?.length ? ", @mentions" : ""}. Paste or drop images to attach them.</p>
+    </div>
+  );
+}
+
+// Reaction chips under a comment plus a picker; `onReact(emoji, on)`.
+function Reactions({ reactions, viewerId, onReact }) {
+  const [picking, setPicking] = useState(false);
+  const mine = (emoji) => !!viewerId && (reactions?.[emoji] ?? []).some(p => p.id === viewerId);
+  const chip = "rounded-full px-2 py-0.5 ring-1";
+  return (<>
+    {REACTIONS.filter(e => reactions?.[e]?.length).map(e => (
+      <button key={e} type="button" aria-pressed={mine(e)} title={reactions[e].map(p => p.name).join(", ")} onClick={() => onReact(e, !mine(e))}
+              className={classNames(chip, mine(e) ? "bg-cyan-600/15 text-cyan-800 ring-cyan-500 dark:text-cyan-200" : "text-slate-600 ring-slate-300 hover:bg-white dark:text-slate-300 dark:ring-slate-600 dark:hover:bg-slate-700")}>
+        {e} {reactions[e].length}
+      </button>
+    ))}
+    <button type="button" aria-label="Add a reaction" aria-expanded={picking} onClick={() => setPicking(p => !p)}
+            className={classNames(chip, "text-slate-400 ring-slate-300 hover:text-slate-700 dark:ring-slate-600 dark:hover:text-slate-200")}>☺+</button>
+    {picking && REACTIONS.map(e => (
+      <button key={e} type="button" aria-label={`React with ${e}`} onClick={() => { setPicking(false); onReact(e, !mine(e)); }}
+              className="rounded px-1 text-base hover:bg-white dark:hover:bg-slate-700">{e}</button>
+    ))}
+  </>);
+}
+
+// Comment threads with replies, reactions and @mentions. `viewer` is the Person commenting
+// (null until they pick a name; `onIdentify` asks for one). Only the author edits a
+// comment; the author or a maintainer deletes it.
+function CommentThreads({ comments, viewer, canModerate, mentions, onAdd, onEdit, onDelete, onReact, onUpload, onAttach, onIdentify }) {
+  const [draft, setDraft] = useState("");
+  const [reply, setReply] = useState(null); // { to: thread id, body }
+  const [editing, setEditing] = useState(null); // { id, body }
+  const threads = useMemo(() => commentThreads(comments), [comments]);
+  const me = viewer ? mentionHandle(viewer.name) : null;
+  const editorProps = { mentions, onUpload, onAttach, initialTab: "write" };
+  const onCtrlEnter = (fn) => (e) => { if (e.key === "Enter" && (e.ctrlKey || e.metaKey)) { e.preventDefault(); fn(); } };
+  const link = "text-slate-500 hover:text-slate-900 dark:text-slate-400 dark:hover:text-slate-100";
+  const primary = "rounded-lg bg-cyan-600 px-3 py-1.5 text-sm text-white hover:bg-cyan-500 disabled:opacity-40";
+
+  const post = () => { if (draft.trim()) { onAdd(draft.trim()); setDraft(""); } };
+  const postReply = () => { if (reply.body.trim()) { onAdd(reply.body.trim(), reply.to); setReply(null); } };
+  const saveEdit = () => { if (editing.body.trim()) { onEdit(editing.id, editing.body.trim()); setEditing(null); } };
+
+  const renderComment = (c, threadId) => {
+    const mine = !!viewer && c.createdBy?.id === viewer.id;
+    return (
+      <div key={c.id} className="rounded-lg bg-slate-100 p-2 ring-1 ring-slate-300 dark:bg-slate-800 dark:ring-slate-700">
+        <div className="mb-1 flex flex-wrap gap-x-1 text-xs text-slate-500 dark:text-slate-400">
+          <span className="font-medium text-slate-700 dark:text-slate-200">{c.author || c.createdBy?.name || "anon"}</span>
+          <span title={new Date(c.createdAt).toLocaleString()}>· {timeAgo(c.createdAt)}</span>
+          {c.editedAt && !c.deletedAt && <span title={`Edited ${new Date(c.editedAt).toLocaleString()}`}>· edited</span>}
+        </div>
+        {c.deletedAt ? (
+          <p className="text-sm italic text-slate-400">This comment was deleted.</p>
+        ) : editing?.id === c.id ? (<>
+          <MarkdownEditor {...editorProps} autoFocus rows={3} value={editing.body} onChange={(body) => setEditing({ ...editing, body })} onKeyDown={onCtrlEnter(saveEdit)} />
+          <div className="mt-1 flex justify-end gap-2">
+            <button type="button" onClick={() => setEditing(null)} className={classNames(link, "text-sm")}>Cancel</button>
+            <button type="button" disabled={!editing.body.trim()} onClick={saveEdit} className={primary}>Save</button>
+          </div>
+        </>) : (<>
+          <Markdown source={c.body} me={me} />
+          <div className="mt-1.5 flex flex-wrap items-center gap-1 text-xs">
+            <Reactions reactions={c.reactions} viewerId={viewer?.id} onReact={(emoji, on) => (viewer ? onReact(c.id, emoji, on) : onIdentify())} />
+            <span className="ml-auto flex gap-3">
+              <button type="button" className={link} onClick={() => (viewer ? setReply({ to: threadId, body: reply?.to === threadId ? reply.body : "" }) : onIdentify())}>Reply</button>
+              {mine && <button type="button" className={link} onClick={() => setEditing({ id: c.id, body: c.body })}>Edit</button>}
+              {(mine || canModerate) && <button type="button" className={classNames(link, "hover:text-rose-600 dark:hover:text-rose-400")} onClick={() => { if (confirm("Delete this comment?")) onDelete(c.id); }}>Delete</button>}
+            </span>
+          </div>
+        </>)}
+      </div>
+    );
+  };
+
+  return (
+    <div>
+      <div className="space-y-3">
+        {threads.map(({ comment, replies }) => (
+          <div key={comment.id}>
+            {renderComment(comment, comment.id)}
+            {(replies.length > 0 || reply?.to === comment.id) && (
+              <div className="ml-5 mt-2 space-y-2 border-l-2 border-slate-200 pl-3 dark:border-slate-700">
+                {replies.map(r => renderComment(r, comment.id))}
+                {reply?.to === comment.id && (
+                  <div>
+                    <MarkdownEditor {...editorProps} autoFocus rows={2} value={reply.body} placeholder="Reply…"
+                                    onChange={(body) => setReply({ ...reply, body })} onKeyDown={onCtrlEnter(postReply)} />
+                    <div className="mt-1 flex justify-end gap-2">
+                      <button type="button" onClick={() => setReply(null)} className={classNames(link, "text-sm")}>Cancel</button>
+                      <button type="button" disabled={!reply.body.trim()} onClick={postReply} className={primary}>Reply</button>
+                    </div>
+                  </div>
+                )}
+              </div>
+            )}
+          </div>
+        ))}
+      </div>
+      {viewer ? (
+        <div className="mt-2">
+          <MarkdownEditor {...editorProps} rows={2} value={draft} onChange={setDraft} placeholder="Add a comment…" onKeyDown={onCtrlEnter(post)} />
+          <div className="mt-1 flex items-center justify-end gap-2">
+            <span className="text-xs text-slate-400">Ctrl+Enter</span>
+            <button type="button" disabled={!draft.trim()} onClick={post} className={primary}>Comment</button>
+          </div>
+        </div>
+      ) : (
+        <p className="mt-2 text-sm text-slate-500 dark:text-slate-400">
+          <button type="button" onClick={onIdentify} className="text-cyan-700 underline dark:text-cyan-400">Pick a display name</button> to join the discussion.
+        </p>
+      )}
+    </div>
+  );
+}
+
+// Thumbnails of an issue's uploaded images; removing one only drops the reference.
+function AttachmentList({ attachments, onRemove }) {
+  if (!attachments?.length) return null;
+  return (
+    <ul className="mt-2 flex flex-wrap gap-2">
+      {attachments.map(a => (
+        <li key={a.id} className="group relative">
+          <a href={mediaSrc(a.url)} target="_blank" rel="noopener noreferrer" title={`${a.name} · ${Math.ceil(a.size / 1024)} KB`}>
+            <img src={mediaSrc(a.url)} alt={a.name} loading="lazy" className="h-16 w-24 rounded-lg object-cover ring-1 ring-slate-300 dark:ring-slate-700" />
+          </a>
+          {onRemove && (
+            <button type="button" onClick={() => onRemove(a)} aria-label={`Remove ${a.name}`}
+                    className="absolute -right-1.5 -top-1.5 hidden h-5 w-5 rounded-full bg-slate-900 text-xs text-white group-hover:block group-focus-within:block">×</button>
+          )}
+        </li>
+      ))}
+    </ul>
+  );
+}
+
+// Static class names per workflow colour so Tailwind picks them up
+const STATUS_ACCENTS = {
+  slate: "border-t-slate-400", sky: "border-t-sky-500", cyan: "border-t-cyan-500", emerald: "border-t-emerald-500",
+  amber: "border-t-amber-500", rose: "border-t-rose-500", violet: "border-t-violet-500", zinc: "border-t-zinc-500",
+};
+const STATUS_SWATCHES = {
+  slate: "bg-slate-400", sky: "bg-sky-500", cyan: "bg-cyan-500", emerald: "bg-emerald-500",
+  amber: "bg-amber-500", rose: "bg-rose-500", violet: "bg-violet-500", zinc: "bg-zinc-500",
+};
+
+// Maintainer editor for the board workflow (see workflow.js). Renaming a status updates
+// the rules that mention it; issues still in a removed status show as unconfigured columns.
+function WorkflowEditor({ workflow, onSave, onCancel }) {
+  const [statuses, setStatuses] = useState(() => workflow.statuses.map(s => ({ ...s, wipLimit: s.wipLimit ?? "" })));
+  const [transitions, setTransitions] = useState(() => workflow.transitions.map(t => ({ ...t })));
+  const { errors } = normalizeWorkflow({ statuses, transitions });
+  const names = statuses.map(s => s.name);
+
+  const editStatus = (i, patch) => {
+    const before = statuses[i].name;
+    setStatuses(prev => prev.map((s, j) => j === i ? { ...s, ...patch } : s));
+    if (patch.name !== undefined) {
+      setTransitions(prev => prev.map(t => ({ ...t, from: t.from === before ? patch.name : t.from, to: t.to === before ? patch.name : t.to })));
+    }
+  };
+  const moveStatus = (i, delta) => setStatuses(prev => {
+    const next = [...prev];
+    [next[i], next[i + delta]] = [next[i + delta], next[i]];
+    return next;
+  });
+  const removeStatus = (i) => {
+    const name = statuses[i].name;
+    setStatuses(prev => prev.filter((_, j) => j !== i));
+    setTransitions(prev => prev.filter(t => t.from !== name && t.to !== name));
+  };
+  const editRule = (i, patch) => setTransitions(prev => prev.map((t, j) => j === i ? { ...t, ...patch } : t));
+  const toggleRole = (i, role) => editRule(i, { roles: transitions[i].roles.includes(role) ? transitions[i].roles.filter(r => r !== role) : [...transitions[i].roles, role] });
+  const small = "rounded px-1.5 text-slate-500 hover:text-slate-900 disabled:opacity-30 dark:hover:text-slate-100";
+
+  return (
+    <form onSubmit={(e) => { e.preventDefault(); if (!errors.length) onSave({ statuses, transitions }); }} className="space-y-4 max-h-[75vh] overflow-auto pr-1">
+      <h3 className="text-lg font-semibold text-slate-900 dark:text-slate-100">Board workflow</h3>
+      <section className="space-y-2">
+        <h4 className="text-sm font-semibold text-slate-600 dark:text-slate-300">Statuses (column order)</h4>
+        {statuses.map((st, i) => (
+          <div key={i} className="flex items-center gap-2">
+            <span className={classNames("h-3 w-3 shrink-0 rounded-full", STATUS_SWATCHES[st.color] ?? STATUS_SWATCHES.slate)} />
+            <TextInput value={st.name} maxLength={40} onChange={(e) => editStatus(i, { name: e.target.value })} className="flex-1" />
+            <Select value={st.color} onChange={(e) => editStatus(i, { color: e.target.value })} options={STATUS_COLORS} className="w-28" />
+            <TextInput type="number" min={1} placeholder="WIP" title="WIP limit (empty for none)" value={st.wipLimit}
+                       onChange={(e) => editStatus(i, { wipLimit: e.target.value })} className="w-20" />
+            <button type="button" title="Move left" disabled={i === 0} onClick={() => moveStatus(i, -1)} className={small}>↑</button>
+            <button type="button" title="Move right" disabled={i === statuses.length - 1} onClick={() => moveStatus(i, 1)} className={small}>↓</button>
+            <button type="button" title="Remove status" onClick={() => removeStatus(i)} className={small}>✕</button>
+          </div>
+        ))}
+        <button type="button" onClick={() => setStatuses(prev => [...prev, { name: `Status ${prev.length + 1}`, color: "slate", wipLimit: "" }])}
+                className="text-sm text-cyan-700 hover:underline dark:text-cyan-400">+ Add status</button>
+      </section>
+      <section className="space-y-2">
+        <h4 className="text-sm font-semibold text-slate-600 dark:text-slate-300">Allowed moves</h4>
+        <p className="text-xs text-slate-500 dark:text-slate-400">A move is allowed when a rule matches both statuses and lists your role. "Reporter" is whoever filed the issue.</p>
+        {transitions.map((t, i) => (
+          <div key={i} className="flex flex-wrap items-center gap-2 text-sm">
+            <Select value={t.from} onChange={(e) => editRule(i, { from: e.target.value })} options={["*", ...names]} className="w-36" />
+            <span className="text-slate-500">→</span>
+            <Select value={t.to} onChange={(e) => editRule(i, { to: e.target.value })} options={["*", ...names]} className="w-36" />
+            {TRANSITION_ROLES.map(r => (
+              <label key={r} className="flex items-center gap-1 text-slate-600 dark:text-slate-300">
+                <input type="checkbox" checked={t.roles.includes(r)} onChange={() => toggleRole(i, r)} />{r}
+              </label>
+            ))}
+            <button type="button" title="Remove rule" onClick={() => setTransitions(prev => prev.filter((_, j) => j !== i))} className={small}>✕</button>
+          </div>
+        ))}
+        <button type="button" onClick={() => setTransitions(prev => [...prev, { from: "*", to: "*", roles: ["maintainer"] }])}
+                className="text-sm text-cyan-700 hover:underline dark:text-cyan-400">+ Add rule</button>
+      </section>
+      {errors.length > 0 && <p className="text-sm text-rose-600 dark:text-rose-400" role="alert">{errors[0]}</p>}
+      <div className="flex gap-2">
+        <IconButton title="Save workflow" disabled={errors.length > 0}>✅<span>Save</span></IconButton>
+        <button type="button" onClick={onCancel} className="rounded-lg px-3 py-2 text-sm text-slate-500 hover:text-slate-300">Cancel</button>
+      </div>
+    </form>
+  );
+}
+
+// Search box with field/value autocomplete and inline query errors (syntax in query.js)
+function QueryInput({ value, onChange, known, errors, className }) {
+  const inputRef = useRef(null);
+  const [cursor, setCursor] = useState(0);
+  const [open, setOpen] = useState(false);
+  const [active, setActive] = useState(0);
+  const hint = useMemo(() => suggest(value, cursor, known), [value, cursor, known]);
+  const items = open ? hint.items : [];
+  useEffect(() => { setActive(0); }, [hint]);
+
+  const accept = (item) => {
+    const next = value.slice(0, hint.start) + item.insert + value.slice(hint.end);
+    const caret = hint.start + item.insert.length;
+    onChange(next);
+    setCursor(caret);
+    requestAnimationFrame(() => inputRef.current?.setSelectionRange(caret, caret));
+  };
+  const onKeyDown = (e) => {
+    if (e.key === 'Escape') { setOpen(false); return; }
+    if (!items.length) return;
+    if (e.key === 'ArrowDown') { e.preventDefault(); setActive(a => (a + 1) % items.length); }
+    else if (e.key === 'ArrowUp') { e.preventDefault(); setActive(a => (a - 1 + items.length) % items.length); }
+    else if (e.key === 'Enter' || e.key === 'Tab') { e.preventDefault(); accept(items[active] ?? items[0]); }
+  };
+
+  return (
+    <div className={classNames("relative", className)}>
+      <input
+        ref={inputRef}
+        type="text"
+        placeholder='Search… e.g. priority:P0..P1 tag:Auth -status:Done'
+        value={value}
+        aria-invalid={errors.length > 0}
+        onChange={(e) => { onChange(e.target.value); setCursor(e.target.selectionStart ?? 0); setOpen(true); }}
+        onSelect={(e) => setCursor(e.target.selectionStart ?? 0)}
+        onFocus={() => setOpen(true)}
+        onBlur={() => setOpen(false)}
+        onKeyDown={onKeyDown}
+        className={classNames("w-full rounded-lg bg-white text-slate-900 ring-1 px-3 py-2 focus:outline-none focus:ring-2 text-sm dark:bg-slate-800 dark:text-slate-100",
+          errors.length ? "ring-rose-500/70 focus:ring-rose-500" : "ring-slate-300 focus:ring-cyan-500 dark:ring-slate-700")}
+      />
+      {items.length > 0 && (
+        <ul className="absolute z-30 mt-1 w-full max-h-64 overflow-auto rounded-lg bg-white ring-1 ring-slate-300 shadow-lg text-sm dark:bg-slate-900 dark:ring-slate-700">
+          {items.map((it, i) => (
+            <li key={it.insert}>
+              <button type="button" onMouseDown={(e) => { e.preventDefault(); accept(it); }}
+                className={classNames("w-full text-left px-3 py-1.5", i === active ? "bg-cyan-600/20 text-cyan-700 dark:text-cyan-300" : "text-slate-700 dark:text-slate-200")}>
+                {it.label}
+              </button>
+            </li>
+          ))}
+        </ul>
+      )}
+      {errors.length > 0 && (
+        <div className="absolute mt-1 text-xs text-rose-600 dark:text-rose-400" role="alert">
+          {errors[0].message}{errors.length > 1 ? ` (+${errors.length - 1} more)` : ''}
+        </div>
+      )}
+    </div>
+  );
+}
+
+// Quick tabs for saved views above the board; "All issues" clears the query.
+function ViewTabs({ views, current, onApply, onSave, onRemove }) {
+  const tab = (active) => classNames("px-3 py-1.5 rounded-lg text-sm ring-1 transition-colors",
+    active ? "bg-cyan-600 text-white ring-cyan-600" : "bg-white text-slate-700 ring-slate-300 hover:bg-slate-100 dark:bg-slate-800 dark:text-slate-200 dark:ring-slate-700 dark:hover:bg-slate-700");
+  const isAll = sameView(current, { q: "", tag: "", sort: DEFAULT_SORT });
+  return (
+    <nav aria-label="Saved views" className="mb-4 flex flex-wrap items-center gap-2">
+      <button onClick={() => onApply({ q: "", tag: "", sort: DEFAULT_SORT })} className={tab(isAll)}>All issues</button>
+      {views.map((v) => (
+        <span key={v.id} className="group relative">
+          <button onClick={() => onApply(v)} title={v.q || v.tag || "No filter"} className={tab(sameView(v, current))}>{v.name}</button>
+          <button onClick={() => onRemove(v)} title={`Remove view "${v.name}"`}
+            className="absolute -top-1.5 -right-1.5 hidden group-hover:flex h-4 w-4 items-center justify-center rounded-full bg-slate-500 text-[10px] text-white hover:bg-rose-500">✕</button>
+        </span>
+      ))}
+      {!isAll && !views.some(v => sameView(v, current)) && (
+        <button onClick={onSave} className="px-2 py-1.5 text-sm text-cyan-700 hover:underline dark:text-cyan-400">+ Save view</button>
+      )}
+    </nav>
+  );
+}
+
+const formatValue = (v) => Array.isArray(v) ? (v.join(", ") || "—") : (v === undefined || v === null || v === "" ? "—" : String(v));
+
+// Shown in the edit modal when a PATCH came back 409: one row per field that differs,
+// with the local and server values side by side.
+function ConflictPanel({ conflict, onResolve }) {
+  const fields = conflictFields(conflict);
+  const [choices, setChoices] = useState({});
+  const all = (side) => Object.fromEntries(fields.map(k => [k, side]));
+  const btn = "px-2 py-1 rounded text-xs ring-1 ring-amber-500/40 hover:bg-amber-500/20";
+  return (
+    <div className="md:col-span-2 rounded-xl bg-amber-500/10 ring-1 ring-amber-500/40 p-3 text-sm">
+      <p className="font-semibold text-amber-300">Someone else changed this issue while you were editing.</p>
+      <p className="mt-1 text-xs text-slate-500 dark:text-slate-400">Choose which value to keep for each field. Comments are saved separately and never conflict.</p>
+      {fields.length > 0 && (
+        <table className="mt-2 w-full text-left text-xs">
+          <thead><tr className="text-slate-500 dark:text-slate-400"><th className="py-1 pr-2">Field</th><th className="py-1 pr-2">Yours</th><th className="py-1">Theirs</th></tr></thead>
+          <tbody>
+            {fields.map(k => (
+              <tr key={k} className="align-top border-t border-slate-300 dark:border-slate-700/60">
+                <td className="py-1 pr-2 font-medium">{k}</td>
+                {["local", "remote"].map(side => (
+                  <td key={side} className="py-1 pr-2">
+                    <label className="flex gap-2 items-start cursor-pointer">
+                      <input type="radio" name={`conflict-${k}`} checked={(choices[k] ?? "local") === side} onChange={()=>setChoices(c => ({ ...c, [k]: side }))} />
+                      <span className="whitespace-pre-wrap break-words line-clamp-4">{formatValue(conflict[side][k])}</span>
+                    </label>
+                  </td>
+                ))}
+              </tr>
+            ))}
+          </tbody>
+        </table>
+      )}
+      <div className="mt-2 flex flex-wrap gap-2">
+        {fields.length > 0 && <button className={btn} onClick={()=>onResolve(choices)}>Apply choices</button>}
+        <button className={btn} onClick={()=>onResolve(all("local"))}>Keep mine</button>
+        <button className={btn} onClick={()=>onResolve(all("remote"))}>Take theirs</button>
+      </div>
+    </div>
+  );
+}
+
+const HistoryEntry = ({ entry, onOpen }) => (
+  <li className="text-sm">
+    <span className="font-medium text-slate-800 dark:text-slate-200">{entry.by?.name ?? "someone"}</span>{" "}
+    <span className="text-slate-600 dark:text-slate-300">{describeEntry(entry)}</span>
+    {entry.issue && <> on <button onClick={()=>onOpen(entry.issue)} className="text-cyan-600 dark:text-cyan-400 hover:underline">#{entry.issue.id}</button></>}
+    <span className="ml-2 text-xs text-slate-500 dark:text-slate-400" title={new Date(entry.at).toLocaleString()}>{timeAgo(entry.at)}</span>
+  </li>
+);
+
+// Timeline tab of the edit modal, newest first.
+function HistoryTimeline({ issue }) {
+  const entries = [...(issue.history ?? [])].reverse();
   return (
-    <div draggable onDragStart={(e)=>onDragStart(e, issue)}
-      onDoubleClick={onOpen}
-      className="group cursor-grab active:cursor-grabbing rounded-xl bg-white ring-1 ring-slate-300 p-3 shadow hover:shadow-lg hover:ring-cyan-600 transition dark:bg-slate-800 dark:ring-slate-700">
+    <div className="md:col-span-2 max-h-[50vh] overflow-auto pr-1">
+      {entries.length === 0 ? (
+        <p className="text-sm text-slate-500 dark:text-slate-400">No recorded changes yet.</p>
+      ) : (
+        <ol className="space-y-2 border-l border-slate-300 dark:border-slate-700 pl-3">
+          {entries.map(e => <HistoryEntry key={e.id} entry={e} />)}
+        </ol>
+      )}
+    </div>
+  );
+}
+
+// Board-wide feed of the latest history entries.
+function ActivityFeed({ issues, onOpen }) {
+  const entries = useMemo(() => recentActivity(issues), [issues]);
+  return (
+    <div className="mt-6 rounded-2xl ring-1 ring-slate-200 bg-white dark:ring-slate-800 dark:bg-slate-900 p-4">
+      <h3 className="font-semibold text-slate-800 dark:text-slate-200 mb-2">Recent activity</h3>
+      {entries.length === 0 ? (
+        <p className="text-sm text-slate-500 dark:text-slate-400">Nothing yet.</p>
+      ) : (
+        <ol className="space-y-1 max-h-80 overflow-auto">
+          {entries.map(e => <HistoryEntry key={`${e.issue.id}:${e.id}`} entry={e} onOpen={onOpen} />)}
+        </ol>
+      )}
+    </div>
+  );
+}
+
+// ---- Dashboard (metrics.js), charts drawn as plain SVG ----
+
+const CHART_COLORS = {
+  red: { stroke: "stroke-red-500", fill: "fill-red-500", bg: "bg-red-500" },
+  orange: { stroke: "stroke-orange-500", fill: "fill-orange-500", bg: "bg-orange-500" },
+  yellow: { stroke: "stroke-yellow-500", fill: "fill-yellow-500", bg: "bg-yellow-500" },
+  cyan: { stroke: "stroke-cyan-500", fill: "fill-cyan-500", bg: "bg-cyan-500" },
+  violet: { stroke: "stroke-violet-500", fill: "fill-violet-500", bg: "bg-violet-500" },
+  emerald: { stroke: "stroke-emerald-500", fill: "fill-emerald-500", bg: "bg-emerald-500" },
+  sky: { stroke: "stroke-sky-500", fill: "fill-sky-500", bg: "bg-sky-500" },
+  amber: { stroke: "stroke-amber-500", fill: "fill-amber-500", bg: "bg-amber-500" },
+  rose: { stroke: "stroke-rose-500", fill: "fill-rose-500", bg: "bg-rose-500" },
+  slate: { stroke: "stroke-slate-400", fill: "fill-slate-400", bg: "bg-slate-400" },
+  zinc: { stroke: "stroke-zinc-500", fill: "fill-zinc-500", bg: "bg-zinc-500" },
+};
+const PRIORITY_CHART_COLORS = { P0: "red", P1: "orange", P2: "yellow", P3: "slate", None: "zinc" };
+const SERIES_CHART_COLORS = ["cyan", "violet", "emerald", "sky", "rose", "zinc"];
+
+const CHART = { w: 560, h: 180, left: 32, right: 10, top: 8, bottom: 22 };
+const chartY = (v, max) => CHART.h - CHART.bottom - (v / max) * (CHART.h - CHART.top - CHART.bottom);
+const chartMax = (values) => Math.ceil(Math.max(1, ...values) / 4) * 4;
+const weekLabel = (t) => new Date(t).toLocaleDateString(undefined, { month: "short", day: "numeric" });
+const formatDays = (d) => (d == null ? "—" : d < 1 ? `${Math.round(d * 24)}h` : `${d < 10 ? d.toFixed(1) : Math.round(d)}d`);
+
+// Grid lines with the scale on the left and week labels below; `x(k)` places week k.
+function ChartAxes({ weeks, max, x }) {
+  const every = Math.ceil(weeks.length / 6);
+  return (
+    <g className="text-[10px]">
+      {[0, 1, 2, 3, 4].map(n => {
+        const v = (max / 4) * n;
+        return (
+          <g key={n}>
+            <line x1={CHART.left} x2={CHART.w - CHART.right} y1={chartY(v, max)} y2={chartY(v, max)} className="stroke-slate-200 dark:stroke-slate-700" />
+            <text x={CHART.left - 6} y={chartY(v, max) + 3} textAnchor="end" className="fill-slate-500 dark:fill-slate-400">{v}</text>
+          </g>
+        );
+      })}
+      {weeks.map((w, k) => (weeks.length - 1 - k) % every === 0 && (
+        <text key={w} x={x(k)} y={CHART.h - 6} textAnchor="middle" className="fill-slate-500 dark:fill-slate-400">{weekLabel(w)}</text>
+      ))}
+    </g>
+  );
+}
+
+const ChartLegend = ({ series }) => (
+  <ul className="mt-2 flex flex-wrap gap-x-3 gap-y-1 text-xs text-slate-600 dark:text-slate-300">
+    {series.map(s => (
+      <li key={s.key} className="flex items-center gap-1.5">
+        <span className={classNames("h-2.5 w-2.5 rounded-sm", CHART_COLORS[s.color].bg)} />{s.label ?? s.key}
+      </li>
+    ))}
+  </ul>
+);
+
+// series = [{ key, label?, color, values: one number per week }]; hovering a point tells its value.
+function LineChart({ weeks, series, unit, label }) {
+  const max = chartMax(series.flatMap(s => s.values));
+  const x = (k) => CHART.left + (weeks.length > 1 ? (k / (weeks.length - 1)) * (CHART.w - CHART.left - CHART.right) : 0);
+  return (
+    <>
+      <svg viewBox={`0 0 ${CHART.w} ${CHART.h}`} className="w-full h-auto" role="img" aria-label={label}>
+        <ChartAxes weeks={weeks} max={max} x={x} />
+        {series.map(s => (
+          <g key={s.key} className={CHART_COLORS[s.color].stroke}>
+            <polyline fill="none" strokeWidth="2" strokeLinejoin="round" points={s.values.map((v, k) => `${x(k)},${chartY(v, max)}`).join(" ")} />
+            {s.values.map((v, k) => (
+              <circle key={k} cx={x(k)} cy={chartY(v, max)} r="3" className={CHART_COLORS[s.color].fill}>
+                <title>{`${s.label ?? s.key}: ${v} ${unit}, week of ${weekLabel(weeks[k])}`}</title>
+              </circle>
+            ))}
+          </g>
+        ))}
+      </svg>
+      <ChartLegend series={series} />
+    </>
+  );
+}
+
+// Bars side by side per week, one per series.
+function ColumnChart({ weeks, series, label }) {
+  const max = chartMax(series.flatMap(s => s.values));
+  const slot = (CHART.w - CHART.left - CHART.right) / weeks.length;
+  const bar = Math.min(14, (slot * 0.8) / series.length);
+  const x = (k) => CHART.left + slot * (k + 0.5);
+  return (
+    <>
+      <svg viewBox={`0 0 ${CHART.w} ${CHART.h}`} className="w-full h-auto" role="img" aria-label={label}>
+        <ChartAxes weeks={weeks} max={max} x={x} />
+        {series.map((s, j) => s.values.map((v, k) => (
+          <rect key={`${s.key}:${k}`} x={x(k) - (bar * series.length) / 2 + j * bar} y={chartY(v, max)} width={Math.max(1, bar - 1)} height={chartY(0, max) - chartY(v, max)}
+                className={CHART_COLORS[s.color].fill}>
+            <title>{`${s.label ?? s.key}: ${v}, week of ${weekLabel(weeks[k])}`}</title>
+          </rect>
+        )))}
+      </svg>
+      <ChartLegend series={series} />
+    </>
+  );
+}
+
+// Horizontal bars: rows = [{ key, label, value, text, title? }]
+function BarList({ rows, color = "cyan" }) {
+  const max = Math.max(0, ...rows.map(r => r.value));
+  return (
+    <ul className="space-y-1.5 text-sm">
+      {rows.map(r => (
+        <li key={r.key} title={r.title} className="grid grid-cols-[7rem_1fr_5rem] items-center gap-2">
+          <span className="truncate text-slate-700 dark:text-slate-300">{r.label}</span>
+          <span className="h-2.5 rounded bg-slate-100 dark:bg-slate-800">
+            <span className={classNames("block h-full rounded", CHART_COLORS[color].bg)} style={{ width: `${max ? (r.value / max) * 100 : 0}%` }} />
+          </span>
+          <span className="text-right text-xs tabular-nums text-slate-500 dark:text-slate-400">{r.text}</span>
+        </li>
+      ))}
+    </ul>
+  );
+}
+
+const DashboardCard = ({ title, controls, children }) => (
+  <section className="rounded-2xl ring-1 ring-slate-200 bg-white dark:ring-slate-800 dark:bg-slate-900 p-4">
+    <div className="mb-3 flex flex-wrap items-center justify-between gap-2">
+      <h3 className="font-semibold text-slate-800 dark:text-slate-200">{title}</h3>
+      {controls && <div className="flex items-center gap-2 text-sm">{controls}</div>}
+    </div>
+    {children}
+  </section>
+);
+
+const DASHBOARD_RANGES = ["8", "12", "26", "52"];
+
+// Metrics for the issues in view. `statuses` are the workflow's: issues in a status it
+// doesn't know count as open.
+function Dashboard({ issues, statuses, onOpen }) {
+  const [weeks, setWeeks] = useState("12");
+  const [groupBy, setGroupBy] = useState("priority");
+  const [from, setFrom] = useState("Todo");
+  const [waiting, setWaiting] = useState("Backlog");
+  // The statuses before the closed one (Backlog, Todo and In Progress by default)
+  const open = statuses.slice(0, Math.max(1, statuses.indexOf(closedStatus(statuses))));
+  const start = open.includes(from) ? from : open[Math.min(1, open.length - 1)];
+  const queue = open.includes(waiting) ? waiting : open[0];
+  const m = useMemo(() => dashboard(issues, statuses, { weeks: Number(weeks), groupBy, from: start, waiting: queue }), [issues, statuses, weeks, groupBy, start, queue]);
+  const select = (value, onChange, options, labels) => <Select value={value} onChange={(e)=>onChange(e.target.value)} options={options} labels={labels} className="w-auto py-1" />;
+  const totals = m.throughput.reduce((t, w) => ({ created: t.created + w.created, closed: t.closed + w.closed }), { created: 0, closed: 0 });
+  return (
+    <div className="flex flex-col gap-4">
+      <div className="flex flex-wrap items-center gap-2 text-sm text-slate-600 dark:text-slate-300">
+        <span>{plural(issues.length, "issue")} in view, over the last</span>
+        {select(weeks, setWeeks, DASHBOARD_RANGES, Object.fromEntries(DASHBOARD_RANGES.map(w => [w, `${w} weeks`])))}
+      </div>
+      <div className="grid gap-4 lg:grid-cols-2">
+        <DashboardCard title="Open issues" controls={select(groupBy, setGroupBy, ["priority", "tag"], { priority: "by priority", tag: "by tag" })}>
+          {m.open.length ? (
+            <LineChart weeks={m.weeks} unit="open" label={`Open issues by ${groupBy} per week`}
+                       series={m.open.map((s, n) => ({ ...s, color: groupBy === "tag" ? SERIES_CHART_COLORS[n] : PRIORITY_CHART_COLORS[s.key] }))} />
+          ) : <p className="text-sm text-slate-500 dark:text-slate-400">Nothing open in this range.</p>}
+        </DashboardCard>
+        <DashboardCard title="Created vs closed" controls={<span className="text-xs text-slate-500 dark:text-slate-400">{totals.created} created · {totals.closed} closed</span>}>
+          <ColumnChart weeks={m.weeks} label="Issues created and closed per week"
+                       series={[{ key: "created", label: "Created", color: "sky", values: m.throughput.map(w => w.created) },
+                                { key: "closed", label: "Closed", color: "emerald", values: m.throughput.map(w => w.closed) }]} />
+        </DashboardCard>
+        <DashboardCard title="Time in status" controls={<span className="text-xs text-slate-500 dark:text-slate-400">median per stay</span>}>
+          <BarList rows={m.timeInStatus.map(s => ({ key: s.status, label: s.status, value: s.median ?? 0, text: formatDays(s.median),
+                                                    title: `${plural(s.stays, "stay")}, ${formatDays(s.total)} in total` }))} />
+          <div className="mt-4 border-t border-slate-200 pt-3 dark:border-slate-800">
+            <div className="flex flex-wrap items-center gap-2 text-sm text-slate-700 dark:text-slate-300">
+              <span>Cycle time from</span>
+              {select(start, setFrom, open)}
+              <span>to {closedStatus(statuses)}</span>
+            </div>
+            {m.cycle.items.length ? (
+              <p className="mt-2 text-sm text-slate-600 dark:text-slate-300">
+                Median <strong className="text-slate-900 dark:text-slate-100">{formatDays(m.cycle.median)}</strong>,
+                85% within <strong className="text-slate-900 dark:text-slate-100">{formatDays(m.cycle.p85)}</strong>
+                <span className="text-slate-500 dark:text-slate-400"> over {plural(m.cycle.items.length, "finished issue")}</span>
+              </p>
+            ) : <p className="mt-2 text-sm text-slate-500 dark:text-slate-400">No finished issue has a recorded move into {start} yet.</p>}
+          </div>
+        </DashboardCard>
+        <DashboardCard title="Aging" controls={select(queue, setWaiting, open)}>
+          <BarList color="amber" rows={m.aging.buckets.map(b => ({ key: b.label, label: b.label, value: b.issues.length, text: b.issues.length }))} />
+          {m.aging.oldest.length > 0 && (
+            <ol className="mt-3 space-y-1 text-sm">
+              {m.aging.oldest.slice(0, 5).map(({ issue, days }) => (
+                <li key={issue.id} className="flex items-center gap-2">
+                  <button onClick={()=>onOpen(issue)} className="min-w-0 flex-1 truncate text-left text-slate-700 hover:text-cyan-600 dark:text-slate-300 dark:hover:text-cyan-400">
+                    <span className="text-slate-500 dark:text-slate-400">#{issue.id}</span> {issue.title}
+                  </button>
+                  <span className="shrink-0 text-xs tabular-nums text-slate-500 dark:text-slate-400">{formatDays(days)}</span>
+                </li>
+              ))}
+            </ol>
+          )}
+        </DashboardCard>
+      </div>
+    </div>
+  );
+}
+
+// Focusable: Enter opens, Space picks the card up for a keyboard move (see navigation.js).
+// `onMove` (only when the card may be moved) backs the ↕ button used on touch screens.
+// `flash` highlights a card someone else just changed; `viewers` are the people who have it open.
+// `relation` is its entry in relationIndex (links.js), shown as badges.
+function IssueCard({ issue, conflict, flash, viewers, relation, cardKey, picked, onOpen, onKeyDown, onMove, onDragStart, onDragEnd }) {
+  return (
+    <div draggable data-issue-id={issue.id} data-card-key={cardKey} tabIndex={0} role="button"
+      aria-label={`#${issue.id} ${issue.title}, ${issue.priority ?? "no priority"}, ${issue.status}`} aria-describedby="card-help"
+      onDragStart={(e)=>onDragStart(e, issue)} onDragEnd={onDragEnd} onDoubleClick={onOpen} onKeyDown={onKeyDown}
+      className={classNames("group cursor-grab active:cursor-grabbing rounded-xl bg-white ring-1 ring-slate-300 p-3 shadow hover:shadow-lg hover:ring-cyan-600 focus:outline-none focus-visible:ring-2 focus-visible:ring-cyan-500 transition dark:bg-slate-800 dark:ring-slate-700",
+        picked && "ring-2 ring-cyan-500 opacity-60", flash && !picked && "ring-2 ring-violet-400 bg-violet-50 dark:ring-violet-500 dark:bg-violet-950/40")}>
       <div className="flex items-center justify-between gap-2">
         <h4 className="font-semibold text-slate-900 dark:text-slate-100 text-sm line-clamp-2">{issue.title}</h4>
-        <PriorityBadge p={issue.priority} />
+        <span className="flex shrink-0 items-center gap-1">
+          {onMove && (
+            <button type="button" tabIndex={-1} aria-label={`Move #${issue.id}`} title="Move (or focus the card and press Space)"
+              onClick={(e)=>{ e.stopPropagation(); onMove(); }} onDoubleClick={(e)=>e.stopPropagation()}
+              className="rounded px-1 text-slate-400 hover:text-cyan-600 opacity-0 group-hover:opacity-100 group-focus-within:opacity-100 [@media(hover:none)]:opacity-100 dark:hover:text-cyan-400">↕</button>
+          )}
+          <PriorityBadge p={issue.priority} />
+        </span>
       </div>
-      <p className="mt-1 text-xs text-slate-600 dark:text-slate-300 line-clamp-3">{issue.description}</p>
+      <p className="mt-1 text-xs text-slate-600 dark:text-slate-300 line-clamp-3">{plainText(issue.description)}</p>
       <div className="mt-2 flex flex-wrap gap-1">
         {issue.tags?.slice(0,4).map(t=> <Tag key={t} t={t} />)}
       </div>
+      {relation && <RelationBadges relation={relation} />}
       <div className="mt-2 text-[10px] text-slate-500 dark:text-slate-400 flex items-center justify-between">
-        <span>#{issue.id}</span>
+        <span>#{issue.id}{conflict && <span className="ml-1 text-amber-400" title="Conflicting edit — open to resolve">⚠</span>}
+          {viewers?.length > 0 && <span className="ml-1 text-violet-600 dark:text-violet-300" title={`${viewers.join(", ")} ${viewers.length === 1 ? "is" : "are"} viewing this`}>👁 {viewers.join(", ")}</span>}</span>
         {issue.assignee ? <span>@{issue.assignee}</span> : <span className="opacity-60">unassigned</span>}
       </div>
     </div>
   );
 }
 
-function Column({ name, issues, onDropIssue, onOpenIssue }) {
-  const onDragOver = (e) => e.preventDefault();
+const ProgressBar = ({ done, total, className }) => (
+  <span className={classNames("inline-block h-1.5 overflow-hidden rounded bg-slate-200 dark:bg-slate-700", className)}>
+    <span className="block h-full bg-emerald-500" style={{ width: `${total ? Math.round((done / total) * 100) : 0}%` }} />
+  </span>
+);
+
+// Open blockers, what the issue blocks, its parent, sub-issue progress and what it duplicates.
+function RelationBadges({ relation: r }) {
+  const ids = (list) => list.map(i => `#${i.id}`).join(", ");
+  const badge = "inline-flex items-center gap-1 rounded px-1.5 py-0.5 text-[10px] ring-1";
+  const quiet = "text-slate-600 ring-slate-300 dark:text-slate-300 dark:ring-slate-600";
+  const badges = [
+    r.openBlockers.length > 0 && <span key="blocked" title={`Blocked by ${ids(r.openBlockers)}`} className={classNames(badge, "text-rose-700 ring-rose-400/60 dark:text-rose-300")}>⛔ Blocked</span>,
+    r.blocks.length > 0 && <span key="blocks" title={`Blocks ${ids(r.blocks)}`} className={classNames(badge, quiet)}>Blocks {r.blocks.length}</span>,
+    r.parent && <span key="parent" title={`Part of #${r.parent.id} ${r.parent.title}`} className={classNames(badge, quiet)}>↳ #{r.parent.id}</span>,
+    r.progress && (
+      <span key="progress" title={`${r.progress.done} of ${r.progress.total} sub-issues done`} className={classNames(badge, quiet)}>
+        <ProgressBar done={r.progress.done} total={r.progress.total} className="w-8" />{r.progress.done}/{r.progress.total}
+      </span>
+    ),
+    r.duplicateOf && <span key="duplicate" title={`Duplicate of #${r.duplicateOf.id} ${r.duplicateOf.title}`} className={classNames(badge, quiet)}>Duplicate of #{r.duplicateOf.id}</span>,
+  ].filter(Boolean);
+  if (!badges.length) return null;
+  return <div className="mt-2 flex flex-wrap gap-1">{badges}</div>;
+}
+
+// `config` is the status's workflow entry (null for a status the workflow doesn't know);
+// `total` counts all issues in it, for the WIP limit. While a card is dragged, `blocked`
+// says why it can't be dropped here. In a swimlane, `lane` is the lane's value and drops
+// report the lane the card came from. With `ordering` (manual sort) a line marks where the
+// card will land and drops report that position among the other cards. During a keyboard
+// or touch move, `moveTarget` ({ index }) marks this column as the target and `onPlace`
+// drops the card here on tap.
+function Column({ name, config, total, blocked, lane, ordering, draggingId, movingId, moveTarget, onPlace, issues, conflicts, flashes, viewers, relations,
+                  canMove, onDropIssue, onOpenIssue, onDragIssue, onCardKeyDown, onMoveCard }) {
+  const listRef = useRef(null);
+  const [dropIndex, setDropIndex] = useState(null);
+  useEffect(() => { if (!ordering) setDropIndex(null); }, [ordering]);
+  const others = issues.filter(i => i.id !== draggingId);
+
+  const indexAt = (y) => {
+    const cards = [...(listRef.current?.querySelectorAll("[data-issue-id]") ?? [])].filter(el => el.dataset.issueId !== draggingId);
+    const i = cards.findIndex(el => { const r = el.getBoundingClientRect(); return y < r.top + r.height / 2; });
+    return i === -1 ? cards.length : i;
+  };
+  const onDragOver = (e) => {
+    if (blocked) return;
+    e.preventDefault();
+    if (ordering) setDropIndex(indexAt(e.clientY));
+  };
+  const onDragLeave = (e) => { if (!e.currentTarget.contains(e.relatedTarget)) setDropIndex(null); };
   const onDrop = (e) => {
     e.preventDefault();
     const id = e.dataTransfer.getData("text/issue-id");
-    if (id) onDropIssue(id, name);
+    const index = ordering ? indexAt(e.clientY) : null;
+    setDropIndex(null);
+    if (id) onDropIssue(id, name, e.dataTransfer.getData("text/issue-lane"), index);
   };
+  const indicator = <div aria-hidden className="h-0.5 -my-1.5 rounded bg-cyan-500" />;
+  const shownIndex = dropIndex ?? moveTarget?.index ?? null;
+  const limit = config?.wipLimit;
   return (
-    <div onDragOver={onDragOver} onDrop={onDrop}
-      className="flex flex-col gap-3 rounded-2xl bg-white ring-1 ring-slate-200 p-3 min-h-[60vh] dark:bg-slate-900/60 dark:ring-slate-800 transition-colors">
-      <div className="flex items-center justify-between">
+    <div onDragOver={onDragOver} onDragLeave={onDragLeave} onDrop={onDrop}
+      onClick={onPlace ? (e) => onPlace(name, ordering ? indexAt(e.clientY) : null) : undefined}
+      className={classNames("flex flex-col gap-3 rounded-2xl bg-white ring-1 ring-slate-200 border-t-4 p-3 dark:bg-slate-900/60 dark:ring-slate-800 transition",
+        lane === undefined ? "min-h-[60vh]" : "min-h-[8rem]",
+        STATUS_ACCENTS[config?.color] ?? "border-t-transparent", blocked && "opacity-50", moveTarget && "ring-2 ring-cyan-500 dark:ring-cyan-500", onPlace && "cursor-pointer")}>
+      <div className="flex items-center justify-between gap-2">
         <h3 className="text-slate-800 dark:text-slate-200 font-semibold">{name}</h3>
-        <span className="text-xs text-slate-500 dark:text-slate-400">{issues.length}</span>
+        <span className="flex items-center gap-2 text-xs text-slate-500 dark:text-slate-400">
+          {limit && (
+            <span title={`WIP limit ${limit}`} className={classNames("rounded px-1.5 py-0.5 ring-1",
+              total > limit ? "text-rose-600 ring-rose-500/50 dark:text-rose-400" : total === limit ? "text-amber-600 ring-amber-500/50 dark:text-amber-300" : "ring-slate-300 dark:ring-slate-700")}>
+              WIP {total}/{limit}
+            </span>
+          )}
+          {issues.length}
+        </span>
       </div>
-      <div className="flex flex-col gap-3">
+      {!config && <p className="text-xs text-amber-600 dark:text-amber-300">Not in the board workflow — move these issues to a configured status.</p>}
+      {blocked && <p className="text-xs text-rose-600 dark:text-rose-400">{blocked}</p>}
+      <div ref={listRef} className="flex flex-col gap-3">
         {issues.map((it)=> (
-          <IssueCard key={it.id} issue={it} onOpen={()=>onOpenIssue(it)}
-            onDragStart={(e)=>{ e.dataTransfer.setData("text/issue-id", it.id); }} />
+          <React.Fragment key={it.id}>
+            {shownIndex !== null && others[shownIndex]?.id === it.id && indicator}
+            <IssueCard issue={it} conflict={!!conflicts?.[it.id]} flash={!!flashes?.[it.id]} viewers={viewers?.[it.id]} relation={relations?.get(it.id)} onOpen={()=>onOpenIssue(it)}
+              cardKey={`${lane ?? ""}|${it.id}`} picked={movingId === it.id}
+              onKeyDown={(e)=>onCardKeyDown(e, it)} onMove={canMove(it) ? ()=>onMoveCard(it) : undefined}
+              onDragStart={(e)=>{ e.dataTransfer.setData("text/issue-id", it.id); e.dataTransfer.setData("text/issue-lane", lane ?? ""); onDragIssue(it); }} onDragEnd={()=>onDragIssue(null)} />
+          </React.Fragment>
+        ))}
+        {shownIndex !== null && shownIndex >= others.length && indicator}
+      </div>
+    </div>
+  );
+}
+
+// Issues a draft may repeat (see duplicates.js), best match first.
+function DuplicateSuggestions({ matches, onOpen }) {
+  if (!matches.length) return null;
+  return (
+    <div className="md:col-span-2 rounded-lg bg-amber-50 p-3 ring-1 ring-amber-300 dark:bg-amber-950/30 dark:ring-amber-700/60">
+      <p className="text-sm font-medium text-amber-800 dark:text-amber-200">This may already be filed</p>
+      <p className="text-xs text-amber-700 dark:text-amber-300/80">If one of these is the same problem, comment there instead of filing it again.</p>
+      <ul className="mt-2 space-y-1 text-sm">
+        {matches.map(({ issue, score, shared }) => (
+          <li key={issue.id} className="flex items-center justify-between gap-2">
+            <span className="min-w-0 truncate" title={`Words in common: ${shared.join(", ")}`}>
+              <span className="font-mono text-xs">#{issue.id}</span> {issue.title}
+              <span className="text-xs text-slate-500 dark:text-slate-400"> · {issue.status} · {Math.round(score * 100)}% match</span>
+            </span>
+            <button type="button" onClick={() => onOpen(issue)} title="Discard this draft and open the issue"
+              className="shrink-0 rounded px-2 py-0.5 text-xs text-cyan-700 ring-1 ring-cyan-500/50 hover:bg-cyan-500/10 dark:text-cyan-300">Open instead</button>
+          </li>
+        ))}
+      </ul>
+    </div>
+  );
+}
+
+// What an issue duplicates or is duplicated by, with clickable references. `canManage`
+// (maintainers) adds closing it as a duplicate of another, offering `candidates` first.
+function DuplicatePanel({ issue, issues, candidates, canManage, onOpen, onMark, onUnmark }) {
+  const [picking, setPicking] = useState(false);
+  const [target, setTarget] = useState("");
+  const byId = useMemo(() => new Map(issues.map(i => [i.id, i])), [issues]);
+  const of = linksOf(issue, "duplicates");
+  const by = backlinks(issues, issue.id, "duplicates");
+  if (!of.length && !by.length && !canManage) return null;
+  const valid = target !== issue.id && byId.has(target);
+  const ref = (id) => (
+    <button type="button" onClick={() => onOpen(id)} title={byId.get(id)?.title} className="font-mono text-cyan-700 hover:underline dark:text-cyan-300">#{id}</button>
+  );
+  const submit = (e) => {
+    e.preventDefault();
+    if (!valid) return;
+    onMark(target);
+    setPicking(false);
+    setTarget("");
+  };
+  return (
+    <div className="md:col-span-2 space-y-2 text-sm">
+      {of.map(l => (
+        <p key={l.id} className="flex items-center gap-2 rounded-lg bg-slate-100 px-3 py-2 dark:bg-slate-800/60">
+          <span className="min-w-0 truncate">Closed as a duplicate of {ref(l.id)} {byId.get(l.id)?.title ?? <em className="text-slate-500">(deleted)</em>}</span>
+          {canManage && <button type="button" onClick={() => onUnmark(l.id)} className="ml-auto shrink-0 text-xs text-slate-500 hover:underline dark:text-slate-400">Not a duplicate</button>}
+        </p>
+      ))}
+      {by.length > 0 && (
+        <p className="text-xs text-slate-500 dark:text-slate-400">
+          Duplicated by {by.map(({ issue: d }, n) => <React.Fragment key={d.id}>{n > 0 && ", "}{ref(d.id)}</React.Fragment>)}
+        </p>
+      )}
+      {canManage && !of.length && (picking ? (
+        <form onSubmit={submit} className="flex flex-wrap items-center gap-2 text-xs">
+          <label htmlFor={`duplicate-of-${issue.id}`} className="text-slate-600 dark:text-slate-300">Duplicate of</label>
+          <input id={`duplicate-of-${issue.id}`} list={`duplicate-options-${issue.id}`} value={target} autoFocus placeholder="Issue id"
+            onChange={(e) => setTarget(e.target.value.trim())}
+            className="w-40 rounded bg-white px-2 py-1 ring-1 ring-slate-300 focus:outline-none focus:ring-2 focus:ring-cyan-500 dark:bg-slate-800 dark:ring-slate-700" />
+          <datalist id={`duplicate-options-${issue.id}`}>
+            {issues.filter(i => i.id !== issue.id).map(i => <option key={i.id} value={i.id}>{i.title}</option>)}
+          </datalist>
+          <button type="submit" disabled={!valid} className="rounded bg-cyan-600 px-2 py-1 text-white hover:bg-cyan-500 disabled:opacity-50">Close as duplicate</button>
+          <button type="button" onClick={() => setPicking(false)} className="rounded px-2 py-1 text-slate-500 hover:bg-slate-200 dark:hover:bg-slate-800">Cancel</button>
+          {candidates.length > 0 && (
+            <span className="flex w-full flex-wrap items-center gap-1 text-slate-500 dark:text-slate-400">
+              Likely:
+              {candidates.map(({ issue: c }) => (
+                <button key={c.id} type="button" onClick={() => setTarget(c.id)}
+                  className={classNames("max-w-[16rem] truncate rounded px-1.5 py-0.5 ring-1", target === c.id ? "ring-cyan-500 text-cyan-700 dark:text-cyan-300" : "ring-slate-300 hover:bg-slate-200 dark:ring-slate-700 dark:hover:bg-slate-800")}>
+                  #{c.id} {c.title}
+                </button>
+              ))}
+            </span>
+          )}
+        </form>
+      ) : (
+        <button type="button" onClick={() => setPicking(true)} className="text-xs text-slate-500 hover:text-cyan-600 hover:underline dark:text-slate-400 dark:hover:text-cyan-400">Mark as duplicate…</button>
+      ))}
+    </div>
+  );
+}
+
+// Blocks / blocked by / part of / sub-issues for an issue, with clickable references.
+// `relation` is its relationIndex entry; `canEdit(issue)` says whose links can change (a
+// reverse link lives on the other issue). `onLink(choice, id)` answers an error or null.
+function LinksPanel({ issue, issues, relation, canEdit, onOpen, onLink, onUnlink }) {
+  const [choice, setChoice] = useState(LINK_CHOICES[0].key);
+  const [target, setTarget] = useState("");
+  const [error, setError] = useState(null);
+  const r = relation ?? { blocks: [], blockedBy: [], parent: null, children: [] };
+  const dangling = linksOf(issue).filter(l => l.type !== "duplicates" && !issues.some(i => i.id === l.id));
+  const groups = [
+    ["Blocks", r.blocks.map(other => ({ other, holder: issue, type: "blocks" }))],
+    ["Blocked by", r.blockedBy.map(other => ({ other, holder: other, type: "blocks" }))],
+    ["Part of", r.parent ? [{ other: r.parent, holder: issue, type: "parent" }] : []],
+    ["Sub-issues", r.children.map(other => ({ other, holder: other, type: "parent" }))],
+  ].filter(([, rows]) => rows.length);
+  const editable = canEdit(issue);
+  if (!groups.length && !dangling.length && !editable) return null;
+  const submit = (e) => {
+    e.preventDefault();
+    const why = onLink(LINK_CHOICES.find(c => c.key === choice), target);
+    setError(why);
+    if (!why) setTarget("");
+  };
+  return (
+    <div className="md:col-span-2 space-y-2 text-sm">
+      <h3 className="text-sm text-slate-600 dark:text-slate-300">Links</h3>
+      {groups.map(([label, rows]) => (
+        <div key={label}>
+          <p className="flex items-center gap-2 text-xs font-medium text-slate-500 dark:text-slate-400">
+            {label}
+            {label === "Sub-issues" && r.progress && (<>
+              <ProgressBar done={r.progress.done} total={r.progress.total} className="w-24" />
+              <span className="font-normal">{r.progress.done}/{r.progress.total} done</span>
+            </>)}
+          </p>
+          <ul className="mt-1 space-y-1">
+            {rows.map(({ other, holder, type }) => (
+              <li key={other.id} className="flex items-center gap-2">
+                <button type="button" onClick={() => onOpen(other.id)} className="font-mono text-xs text-cyan-700 hover:underline dark:text-cyan-300">#{other.id}</button>
+                <span className="min-w-0 truncate">{other.title}</span>
+                <span className="shrink-0 text-xs text-slate-500 dark:text-slate-400">{other.status}</span>
+                {canEdit(holder) && (
+                  <button type="button" onClick={() => onUnlink(holder, type, holder === issue ? other.id : issue.id)} aria-label={`Remove the link to #${other.id}`}
+                    className="ml-auto shrink-0 text-xs text-slate-400 hover:text-rose-600 dark:hover:text-rose-400">✕</button>
+                )}
+              </li>
+            ))}
+          </ul>
+        </div>
+      ))}
+      {dangling.map(l => (
+        <p key={`${l.type}|${l.id}`} className="flex items-center gap-2 text-xs text-slate-500 dark:text-slate-400">
+          {l.type === "parent" ? "Part of" : "Blocks"} #{l.id} (deleted)
+          {editable && <button type="button" onClick={() => onUnlink(issue, l.type, l.id)} className="hover:underline">Remove</button>}
+        </p>
+      ))}
+      {editable && <form onSubmit={submit} className="flex flex-wrap items-center gap-2 text-xs">
+        <Select value={choice} onChange={(e) => setChoice(e.target.value)} options={LINK_CHOICES.map(c => c.key)} labels={Object.fromEntries(LINK_CHOICES.map(c => [c.key, c.label]))} className="w-32" />
+        <input list={`link-options-${issue.id}`} value={target} placeholder="Issue id" aria-label="Issue to link"
+          onChange={(e) => { setTarget(e.target.value.trim()); setError(null); }}
+          className="w-40 rounded bg-white px-2 py-1 ring-1 ring-slate-300 focus:outline-none focus:ring-2 focus:ring-cyan-500 dark:bg-slate-800 dark:ring-slate-700" />
+        <datalist id={`link-options-${issue.id}`}>
+          {issues.filter(i => i.id !== issue.id).map(i => <option key={i.id} value={i.id}>{i.title}</option>)}
+        </datalist>
+        <button type="submit" disabled={!target} className="rounded bg-slate-200 px-2 py-1 hover:bg-slate-300 disabled:opacity-50 dark:bg-slate-800 dark:hover:bg-slate-700">Link</button>
+        {error && <span role="alert" className="text-rose-600 dark:text-rose-400">{error}</span>}
+      </form>}
+    </div>
+  );
+}
+
+const TABLE_WIDTHS_LS_KEY = "exotics-bugs-table-widths";
+const PRIORITY_ORDER = ["P0", "P1", "P2", "P3"];
+const dateValue = (s) => Date.parse(s) || 0;
+const formatDate = (s) => (s ? new Date(s).toLocaleDateString() : "—");
+// key, label, default width (px), sort value
+const TABLE_COLUMNS = [
+  { key: "id", label: "ID", width: 110, value: (i) => String(i.id) },
+  { key: "title", label: "Title", width: 340, value: (i) => i.title ?? "" },
+  { key: "status", label: "Status", width: 130 },
+  { key: "priority", label: "Priority", width: 90, value: (i) => { const n = PRIORITY_ORDER.indexOf(i.priority); return n === -1 ? 99 : n; } },
+  { key: "assignee", label: "Assignee", width: 130, value: (i) => i.assignee ?? "" },
+  { key: "tags", label: "Tags", width: 200, value: (i) => (i.tags ?? []).join(", ") },
+  { key: "createdAt", label: "Created", width: 110, value: (i) => dateValue(i.createdAt) },
+  { key: "updatedAt", label: "Updated", width: 110, value: (i) => dateValue(i.updatedAt ?? i.createdAt) },
+];
+
+function loadTableWidths() {
+  try { return JSON.parse(localStorage.getItem(TABLE_WIDTHS_LS_KEY) || "{}") ?? {}; } catch { return {}; }
+}
+
+// List view of the same issues as the board. Headers sort (ascending, descending, then back
+// to the board's order) and can be resized by dragging their right edge; widths are kept
+// in localStorage. Shift-click a checkbox to select a range.
+function IssueTable({ issues, statusOrder, checked, flashes, onCheck, onOpen }) {
+  const [sort, setSort] = useState(null); // { key, dir: 1 | -1 }
+  const [widths, setWidths] = useState(loadTableWidths);
+  const resizeRef = useRef(null);
+  const lastCheckedRef = useRef(null);
+
+  const rows = useMemo(() => {
+    if (!sort) return issues;
+    const col = TABLE_COLUMNS.find(c => c.key === sort.key);
+    const value = sort.key === "status" ? (i) => { const n = statusOrder.indexOf(i.status); return n === -1 ? statusOrder.length : n; } : col.value;
+    return [...issues].sort((a, b) => {
+      const x = value(a), y = value(b);
+      return sort.dir * (typeof x === "number" ? x - y : x.localeCompare(y, undefined, { numeric: true, sensitivity: "base" }));
+    });
+  }, [issues, sort, statusOrder]);
+
+  const cycleSort = (key) => setSort(prev => (prev?.key !== key ? { key, dir: 1 } : prev.dir === 1 ? { key, dir: -1 } : null));
+  const startResize = (e, key) => {
+    e.preventDefault();
+    e.stopPropagation();
+    e.currentTarget.setPointerCapture(e.pointerId);
+    resizeRef.current = { key, x: e.clientX, width: widths[key] ?? TABLE_COLUMNS.find(c => c.key === key).width };
+  };
+  const onResize = (e) => {
+    const r = resizeRef.current;
+    if (r) setWidths(prev => ({ ...prev, [r.key]: Math.max(60, Math.round(r.width + e.clientX - r.x)) }));
+  };
+  const endResize = () => {
+    if (!resizeRef.current) return;
+    resizeRef.current = null;
+    try { localStorage.setItem(TABLE_WIDTHS_LS_KEY, JSON.stringify(widths)); } catch { /* storage disabled */ }
+  };
+
+  const toggleRow = (e, index) => {
+    const id = rows[index].id;
+    const value = !checked.has(id);
+    const from = e.nativeEvent.shiftKey && lastCheckedRef.current !== null ? Math.min(lastCheckedRef.current, index) : index;
+    const to = e.nativeEvent.shiftKey && lastCheckedRef.current !== null ? Math.max(lastCheckedRef.current, index) : index;
+    lastCheckedRef.current = index;
+    onCheck(rows.slice(from, to + 1).map(i => i.id), value);
+  };
+  const allChecked = rows.length > 0 && rows.every(i => checked.has(i.id));
+
+  return (
+    <div className="overflow-x-auto rounded-2xl ring-1 ring-slate-200 dark:ring-slate-800">
+      <table className="table-fixed text-sm text-left text-slate-700 dark:text-slate-200" style={{ width: 40 + TABLE_COLUMNS.reduce((n, c) => n + (widths[c.key] ?? c.width), 0) }}>
+        <colgroup>
+          <col style={{ width: 40 }} />
+          {TABLE_COLUMNS.map(c => <col key={c.key} style={{ width: widths[c.key] ?? c.width }} />)}
+        </colgroup>
+        <thead className="bg-slate-100 text-xs uppercase text-slate-500 dark:bg-slate-900 dark:text-slate-400">
+          <tr>
+            <th className="px-3 py-2">
+              <input type="checkbox" aria-label="Select all shown issues" checked={allChecked}
+                     onChange={() => onCheck(rows.map(i => i.id), !allChecked)} />
+            </th>
+            {TABLE_COLUMNS.map(c => (
+              <th key={c.key} className="relative px-3 py-2 font-semibold"
+                  aria-sort={sort?.key === c.key ? (sort.dir === 1 ? "ascending" : "descending") : "none"}>
+                <button onClick={() => cycleSort(c.key)} className="w-full truncate text-left hover:text-slate-900 dark:hover:text-slate-100">
+                  {c.label}{sort?.key === c.key ? (sort.dir === 1 ? " ▲" : " ▼") : ""}
+                </button>
+                <span role="separator" aria-orientation="vertical" title="Drag to resize"
+                      onPointerDown={(e) => startResize(e, c.key)} onPointerMove={onResize} onPointerUp={endResize} onPointerCancel={endResize}
+                      className="absolute right-0 top-0 h-full w-1.5 cursor-col-resize hover:bg-cyan-500/50" />
+              </th>
+            ))}
+          </tr>
+        </thead>
+        <tbody className="divide-y divide-slate-200 bg-white dark:divide-slate-800 dark:bg-slate-900/60">
+          {rows.map((it, index) => (
+            <tr key={it.id} className={checked.has(it.id) ? "bg-cyan-50 dark:bg-cyan-950/40" : flashes?.[it.id] ? "bg-violet-50 dark:bg-violet-950/40" : "hover:bg-slate-50 dark:hover:bg-slate-800/60"}>
+              <td className="px-3 py-2">
+                <input type="checkbox" aria-label={`Select #${it.id}`} checked={checked.has(it.id)} onChange={(e) => toggleRow(e, index)} />
+              </td>
+              <td className="px-3 py-2 truncate font-mono text-xs">{it.id}</td>
+              <td className="px-3 py-2 truncate">
+                <button onClick={() => onOpen(it)} className="max-w-full truncate text-left hover:text-cyan-600 hover:underline dark:hover:text-cyan-400" title={it.title}>{it.title}</button>
+              </td>
+              <td className="px-3 py-2 truncate">{it.status}</td>
+              <td className="px-3 py-2"><PriorityBadge p={it.priority} /></td>
+              <td className="px-3 py-2 truncate">{it.assignee || <span className="opacity-60">unassigned</span>}</td>
+              <td className="px-3 py-2 truncate" title={(it.tags ?? []).join(", ")}>{(it.tags ?? []).join(", ")}</td>
+              <td className="px-3 py-2 truncate" title={it.createdAt}>{formatDate(it.createdAt)}</td>
+              <td className="px-3 py-2 truncate" title={it.updatedAt}>{formatDate(it.updatedAt ?? it.createdAt)}</td>
+            </tr>
+          ))}
+        </tbody>
+      </table>
+      {rows.length === 0 && <p className="p-6 text-center text-sm text-slate-500">No issues match.</p>}
+    </div>
+  );
+}
+
+// Bulk actions for the table's selection; each callback gets the chosen value.
+function BulkBar({ count, statuses, tags, canArchive, onStatus, onPriority, onAssign, onTag, onArchive, onDelete, onClear }) {
+  const [assignee, setAssignee] = useState("");
+  const [tag, setTag] = useState("");
+  const small = "rounded-lg px-3 py-2 text-sm ring-1 ring-slate-300 hover:bg-slate-100 disabled:opacity-40 dark:ring-slate-700 dark:hover:bg-slate-800";
+  return (
+    <div className="mb-3 flex flex-wrap items-center gap-2 rounded-2xl bg-white p-3 ring-1 ring-cyan-500/40 dark:bg-slate-900">
+      <span className="text-sm font-semibold text-slate-700 dark:text-slate-200">{count} selected</span>
+      <Select value="" onChange={(e) => e.target.value && onStatus(e.target.value)} options={["", ...statuses]} labels={{ "": "Set status…" }} className="w-36" />
+      <Select value="" onChange={(e) => e.target.value && onPriority(e.target.value)} options={["", ...PRIORITY_ORDER]} labels={{ "": "Set priority…" }} className="w-36" />
+      <form onSubmit={(e) => { e.preventDefault(); onAssign(assignee.trim()); setAssignee(""); }} className="flex gap-1">
+        <TextInput value={assignee} onChange={(e) => setAssignee(e.target.value)} placeholder="Assignee (empty = none)" className="w-44 text-sm" />
+        <button className={small}>Assign</button>
+      </form>
+      <div className="flex gap-1">
+        <TextInput value={tag} onChange={(e) => setTag(e.target.value)} placeholder="Tag" list="bulk-tags" className="w-32 text-sm" />
+        <datalist id="bulk-tags">{tags.map(t => <option key={t} value={t} />)}</datalist>
+        <button disabled={!tag.trim()} onClick={() => { onTag(tag.trim(), true); setTag(""); }} className={small}>+ Tag</button>
+        <button disabled={!tag.trim()} onClick={() => { onTag(tag.trim(), false); setTag(""); }} className={small}>− Tag</button>
+      </div>
+      <button disabled={!canArchive} title={canArchive ? "Move to Archived" : "The workflow has no Archived status"} onClick={onArchive} className={small}>Archive</button>
+      <button onClick={onDelete} className={classNames(small, "text-rose-600 dark:text-rose-400")}>Delete</button>
+      <button onClick={onClear} className="ml-auto text-sm text-slate-500 hover:text-slate-900 dark:hover:text-slate-100">Clear selection</button>
+    </div>
+  );
+}
+
+// Values shown for mapping before "and N more" (a status mapped to a free-text column)
+const MAX_MAPPED_VALUES = 30;
+const PREVIEW_ROWS = 8;
+
+// Import from another tracker (see importers.js) or the board's own JSON: pick the format,
+// map its columns to board fields and its statuses and priorities to the board's, then
+// review what is new, changed (field by field) and unchanged, and pick a merge strategy
+// (see merge.js). Issues that break the schema (schema.js) block the import until they are
+// fixed in the source or repaired, after a review of the repairs. `onImport(plan)` applies
+// the plan and returns the summary shown at the end.
+// `source` = { text, name, importer?, strategy? }
+function ImportDialog({ source, statuses, issues, onImport, onCancel }) {
+  const [importerId, setImporterId] = useState(() => source.importer ?? detectImporter(source.text, source.name)?.id ?? "csv");
+  const [strategy, setStrategy] = useState(source.strategy ?? "append");
+  const [chosen, setChosen] = useState(null); // ids ticked under "choose"; null = all changed
+  const [summary, setSummary] = useState(null);
+  const [fieldEdits, setFieldEdits] = useState({}); // importer id -> { field: column }
+  const [valueEdits, setValueEdits] = useState({ status: {}, priority: {} });
+  const [reviewing, setReviewing] = useState(false); // showing the repairs
+  const [repaired, setRepaired] = useState(null); // issues after accepted repairs
+  const importer = IMPORTERS.find(i => i.id === importerId);
+  const table = useMemo(() => {
+    try { return importer.extract(source.text); }
+    catch (e) { return { columns: [], rows: [], error: e.message }; }
+  }, [importer, source.text]);
+  // JSON sources point problems at their line; rows of the other formats are counted instead
+  const lines = useMemo(() => (importer.passthrough && !table.error ? issueLines(source.text) : null), [importer, table, source.text]);
+  // Building, checking and diffing a large source is slow, so each step only reruns when its inputs change
+  const mapping = useMemo(() => ({ ...guessMapping(importer, table.columns), ...fieldEdits[importerId] }), [importer, table, fieldEdits, importerId]);
+  const { statusValues, priorityValues, values } = useMemo(() => {
+    const statusValues = distinctValues(table.rows, mapping.status);
+    const priorityValues = distinctValues(table.rows, mapping.priority);
+    const values = {
+      status: Object.fromEntries(statusValues.map(v => [v, valueEdits.status[v] ?? guessStatus(v, statuses)])),
+      priority: Object.fromEntries(priorityValues.map(v => [v, valueEdits.priority[v] ?? guessPriority(v)])),
+    };
+    return { statusValues, priorityValues, values };
+  }, [table, mapping, valueEdits, statuses]);
+  // Mapped issues without a status column start in the first column; board JSON must have one
+  const sourceIssues = useMemo(() => {
+    const built = buildIssues(importer, table.rows, mapping, values);
+    return importer.passthrough ? built : built.map(i => (i.status === undefined ? { ...i, status: statuses[0] } : i));
+  }, [importer, table, mapping, values, statuses]);
+  const checked = repaired ?? sourceIssues;
+  const problems = useMemo(() => (table.error ? [] : validateIssues(checked, { idOptional: true, lines: repaired ? null : lines })), [table, checked, repaired, lines]);
+  const repairs = useMemo(() => (reviewing ? repairIssues(sourceIssues, { existing: issues, fallbackStatus: statuses[0], idOptional: true }) : null), [reviewing, sourceIssues, issues, statuses]);
+  // Rows without an id get the next free ISSUE-n; only the fields the source carries are compared
+  const diff = useMemo(() => {
+    let number = nextIssueNumber(issues);
+    const objects = checked.filter(i => i && typeof i === "object");
+    const incoming = normalizeIncomingJSON(objects.map(i => ((i.id ?? i.key) == null ? { ...i, id: `ISSUE-${number++}` } : i)));
+    return diffImport(issues, incoming, importer.passthrough
+      ? (_, k) => sourceFields(objects[k])
+      : () => MERGE_FIELDS.filter(f => mapping[f]));
+  }, [issues, checked, importer, mapping]);
+  const ticked = chosen ?? new Set(diff.changed.map(c => c.id));
+  const plan = planImport(diff, strategy, ticked);
+  const toggleChosen = (id) => setChosen(() => {
+    const next = new Set(ticked);
+    if (next.has(id)) next.delete(id); else next.add(id);
+    return next;
+  });
+
+  if (summary) return <ImportSummary summary={summary} onClose={onCancel} />;
+
+  // Repairs were made to the issues as mapped; a new mapping starts over
+  const unrepair = () => { setRepaired(null); setReviewing(false); };
+  const setField = (field, column) => { unrepair(); setFieldEdits(prev => ({ ...prev, [importerId]: { ...prev[importerId], [field]: column } })); };
+  const setValue = (field, from, to) => { unrepair(); setValueEdits(prev => ({ ...prev, [field]: { ...prev[field], [from]: to } })); };
+  const heading = "text-sm font-semibold text-slate-700 dark:text-slate-200";
+  const valueRows = (field, list, options, labels) => (<>
+    {list.slice(0, MAX_MAPPED_VALUES).map(v => (
+      <div key={v} className="contents">
+        <span className="truncate text-sm text-slate-600 dark:text-slate-300" title={v}>{v || <em className="opacity-60">(empty)</em>}</span>
+        <Select value={values[field][v]} onChange={(e) => setValue(field, v, e.target.value)} options={options} labels={labels} className="text-sm" />
+      </div>
+    ))}
+    {list.length > MAX_MAPPED_VALUES && <p className="col-span-2 text-xs text-slate-500">…and {list.length - MAX_MAPPED_VALUES} more, matched automatically. Is the right column picked?</p>}
+  </>);
+
+  return (
+    <div className="max-h-[80vh] space-y-4 overflow-auto pr-1">
+      <div>
+        <h3 className="text-lg font-semibold text-slate-900 dark:text-slate-100">Import issues</h3>
+        <p className="text-xs text-slate-500 dark:text-slate-400">{source.name} · {table.rows.length} row{table.rows.length === 1 ? "" : "s"}</p>
+      </div>
+      <label className="block">
+        <span className={heading}>Format</span>
+        <Select value={importerId} onChange={(e) => { unrepair(); setImporterId(e.target.value); }} options={IMPORTERS.map(i => i.id)}
+                labels={Object.fromEntries(IMPORTERS.map(i => [i.id, i.label]))} className="mt-1" />
+      </label>
+      {table.error && <p role="alert" className="text-sm text-rose-600 dark:text-rose-400">This doesn't read as {importer.label}: {table.error}</p>}
+      {!table.error && !importer.passthrough && (
+        <section>
+          <h4 className={heading}>Fields</h4>
+          <div className="mt-1 grid grid-cols-[8rem_1fr] items-center gap-x-3 gap-y-1.5 md:grid-cols-[8rem_1fr_8rem_1fr]">
+            {FIELDS.map(field => (
+              <div key={field} className="contents">
+                <span className="text-sm text-slate-600 dark:text-slate-300">{FIELD_LABELS[field]}</span>
+                <Select value={mapping[field]} onChange={(e) => setField(field, e.target.value)} options={["", ...table.columns]}
+                        labels={{ "": field === "id" ? "— new ids —" : "— not imported —" }} className="text-sm" />
+              </div>
+            ))}
+          </div>
+        </section>
+      )}
+      {!table.error && (statusValues.length > 0 || priorityValues.length > 0) && (
+        <section className="grid gap-4 md:grid-cols-2">
+          {statusValues.length > 0 && (
+            <div>
+              <h4 className={heading}>Statuses</h4>
+              <div className="mt-1 grid grid-cols-2 items-center gap-x-3 gap-y-1.5">{valueRows("status", statusValues, statuses)}</div>
+            </div>
+          )}
+          {priorityValues.length > 0 && (
+            <div>
+              <h4 className={heading}>Priorities</h4>
+              <div className="mt-1 grid grid-cols-2 items-center gap-x-3 gap-y-1.5">{valueRows("priority", priorityValues, ["", ...PRIORITIES], { "": "No priority" })}</div>
+            </div>
+          )}
+        </section>
+      )}
+      {problems.length > 0 && !reviewing && (
+        <section role="alert" className="rounded-lg bg-rose-500/10 p-3 ring-1 ring-rose-500/40">
+          <h4 className="text-sm font-semibold text-rose-700 dark:text-rose-300">{plural(problems.length, "problem")} to fix before importing</h4>
+          <ProblemList problems={problems} />
+          <p className="mt-2 text-xs text-slate-600 dark:text-slate-300">
+            Fix them in the source and import again, or let the board repair them: duplicate and missing ids get new ones, dates are
+            read as best it can, unknown priorities are matched or dropped, and values get the right type. You'll see every change first.
+          </p>
+          <button type="button" onClick={() => setReviewing(true)} className="mt-2 rounded-lg px-3 py-1.5 text-sm ring-1 ring-rose-500/40 hover:bg-rose-500/20">Review repairs…</button>
+        </section>
+      )}
+      {repairs && (
+        <section className="rounded-lg bg-amber-500/10 p-3 ring-1 ring-amber-500/40">
+          <h4 className="text-sm font-semibold text-amber-700 dark:text-amber-300">{plural(repairs.changes.length, "repair")}</h4>
+          <ul className="mt-1 max-h-64 space-y-0.5 overflow-auto text-xs text-slate-700 dark:text-slate-200">
+            {repairs.changes.map((c, n) => (
+              <li key={n}>
+                <span className="text-slate-500 dark:text-slate-400">Issue {c.index + 1}{c.id !== undefined && ` (${c.id})`}{lines?.[c.index] && ` · line ${lines[c.index].fields[c.field] ?? lines[c.index].line}`}:</span>{" "}
+                {c.field === null
+                  ? <>not an issue, left out: <code>{repairValue(c.from)}</code></>
+                  : <><span className="font-medium">{c.field}</span> <span className="text-rose-700 line-through dark:text-rose-300">{repairValue(c.from)}</span> → <span className="text-emerald-700 dark:text-emerald-300">{repairValue(c.to)}</span></>}
+              </li>
+            ))}
+          </ul>
+          <div className="mt-2 flex gap-2">
+            <button type="button" onClick={() => { setRepaired(repairs.issues); setReviewing(false); }} className="rounded-lg bg-amber-600 px-3 py-1.5 text-sm text-white hover:bg-amber-500">Apply repairs</button>
+            <button type="button" onClick={() => setReviewing(false)} className="rounded-lg px-3 py-1.5 text-sm text-slate-600 hover:text-slate-900 dark:text-slate-300 dark:hover:text-slate-100">Back</button>
+          </div>
+        </section>
+      )}
+      {repaired && <p className="text-xs text-amber-700 dark:text-amber-300">Repairs applied. <button type="button" onClick={unrepair} className="underline">Undo them</button></p>}
+      {!table.error && !reviewing && (
+        <section className="space-y-3">
+          <div className="flex flex-wrap items-baseline gap-x-3">
+            <h4 className={heading}>Review</h4>
+            <p className="text-xs text-slate-500 dark:text-slate-400">
+              {plural(diff.added.length, "new issue")} · {diff.changed.length} changed · {diff.unchanged.length} unchanged
+            </p>
+          </div>
+          {diff.changed.length > 0 && (
+            <fieldset>
+              <legend className="text-xs font-semibold uppercase text-slate-500 dark:text-slate-400">Issues already on the board</legend>
+              <div className="mt-1 flex flex-wrap gap-x-4 gap-y-1">
+                {MERGE_STRATEGIES.map(st => (
+                  <label key={st.id} className="flex items-center gap-1.5 text-sm text-slate-700 dark:text-slate-200" title={st.hint}>
+                    <input type="radio" name="merge-strategy" checked={strategy === st.id} onChange={() => setStrategy(st.id)} />{st.label}
+                  </label>
+                ))}
+              </div>
+              <p className="mt-0.5 text-xs text-slate-500 dark:text-slate-400">{MERGE_STRATEGIES.find(st => st.id === strategy).hint}</p>
+            </fieldset>
+          )}
+          {diff.added.length > 0 && (
+            <details open className="rounded-lg ring-1 ring-slate-200 dark:ring-slate-800">
+              <summary className="cursor-pointer px-2 py-1.5 text-sm text-emerald-700 dark:text-emerald-400">New ({diff.added.length})</summary>
+              <div className="overflow-x-auto">
+                <table className="w-full text-left text-xs text-slate-700 dark:text-slate-200">
+                  <thead className="bg-slate-100 uppercase text-slate-500 dark:bg-slate-800 dark:text-slate-400">
+                    <tr>{["ID", "Title", "Status", "Priority", "Assignee", "Tags"].map(h => <th key={h} className="px-2 py-1.5 font-semibold">{h}</th>)}</tr>
+                  </thead>
+                  <tbody className="divide-y divide-slate-200 dark:divide-slate-800">
+                    {diff.added.slice(0, PREVIEW_ROWS).map(it => (
+                      <tr key={it.id}>
+                        <td className="px-2 py-1 font-mono">{it.id}</td>
+                        <td className="max-w-56 truncate px-2 py-1">{it.title}</td>
+                        <td className="px-2 py-1">{it.status}</td>
+                        <td className="px-2 py-1">{formatValue(it.priority)}</td>
+                        <td className="px-2 py-1">{formatValue(it.assignee)}</td>
+                        <td className="max-w-40 truncate px-2 py-1">{formatValue(it.tags)}</td>
+                      </tr>
+                    ))}
+                  </tbody>
+                </table>
+              </div>
+              {diff.added.length > PREVIEW_ROWS && <p className="px-2 py-1 text-xs text-slate-500">…and {diff.added.length - PREVIEW_ROWS} more</p>}
+            </details>
+          )}
+          {diff.changed.length > 0 && (
+            <details open className="rounded-lg ring-1 ring-slate-200 dark:ring-slate-800">
+              <summary className="cursor-pointer px-2 py-1.5 text-sm text-amber-700 dark:text-amber-400">Changed ({diff.changed.length})</summary>
+              <ul className="divide-y divide-slate-200 dark:divide-slate-800">
+                {diff.changed.map(change => {
+                  const taken = takesChange(strategy, change, ticked);
+                  return (
+                    <li key={change.id} className={classNames("px-2 py-1.5 text-xs", !taken && "opacity-60")}>
+                      <label className="flex items-center gap-2 text-sm">
+                        {strategy === "choose" && <input type="checkbox" checked={ticked.has(change.id)} onChange={() => toggleChosen(change.id)} />}
+                        <span className="font-mono text-xs">{change.id}</span>
+                        <span className="truncate text-slate-800 dark:text-slate-100">{change.current.title}</span>
+                        <span className="ml-auto shrink-0 text-xs text-slate-500 dark:text-slate-400">{taken ? "will update" : "kept as is"}</span>
+                      </label>
+                      <table className="mt-1 w-full text-left">
+                        <tbody>
+                          {change.fields.map(({ field, from, to }) => (
+                            <tr key={field} className="align-top">
+                              <td className="w-24 py-0.5 pr-2 text-slate-500 dark:text-slate-400">{field}</td>
+                              <td className="py-0.5 pr-2 text-rose-700 line-through decoration-rose-400/60 dark:text-rose-300"><span className="line-clamp-2 break-words">{formatValue(from)}</span></td>
+                              <td className="py-0.5 text-emerald-700 dark:text-emerald-300"><span className="line-clamp-2 break-words">{formatValue(to)}</span></td>
+                            </tr>
+                          ))}
+                        </tbody>
+                      </table>
+                    </li>
+                  );
+                })}
+              </ul>
+            </details>
+          )}
+          {diff.unchanged.length > 0 && (
+            <details className="rounded-lg ring-1 ring-slate-200 dark:ring-slate-800">
+              <summary className="cursor-pointer px-2 py-1.5 text-sm text-slate-500 dark:text-slate-400">Unchanged ({diff.unchanged.length})</summary>
+              <p className="px-2 pb-1.5 font-mono text-xs text-slate-500 dark:text-slate-400">{diff.unchanged.map(i => i.id).join(", ")}</p>
+            </details>
+          )}
+        </section>
+      )}
+      <div className="flex justify-end gap-2">
+        <button type="button" onClick={onCancel} className="rounded-lg px-3 py-2 text-sm text-slate-600 hover:text-slate-900 dark:text-slate-300 dark:hover:text-slate-100">Cancel</button>
+        <button type="button" disabled={!!table.error || problems.length > 0 || reviewing || (!plan.added.length && !plan.updates.length)} onClick={() => setSummary(onImport(plan))}
+                className="rounded-lg bg-cyan-600 px-3 py-2 text-sm text-white hover:bg-cyan-500 disabled:opacity-40">
+          {importLabel(plan)}
+        </button>
+      </div>
+    </div>
+  );
+}
+
+// Problems from validateIssues, one per line, with the issue and source line they belong to.
+const MAX_PROBLEMS = 50;
+function ProblemList({ problems, onGoTo }) {
+  return (
+    <ul className="mt-1 max-h-48 space-y-0.5 overflow-auto text-xs text-slate-700 dark:text-slate-200">
+      {problems.slice(0, MAX_PROBLEMS).map((p, n) => (
+        <li key={n}>
+          {p.line && onGoTo
+            ? <button type="button" onClick={() => onGoTo(p.line)} className="font-mono text-cyan-700 hover:underline dark:text-cyan-400">line {p.line}</button>
+            : p.line && <span className="font-mono text-slate-500 dark:text-slate-400">line {p.line}</span>}
+          {p.index !== undefined && <span className="text-slate-500 dark:text-slate-400">{p.line && " · "}issue {p.index + 1}{p.id !== undefined && ` (${p.id})`}</span>}
+          {(p.line || p.index !== undefined) && ": "}{p.message}
+        </li>
+      ))}
+      {problems.length > MAX_PROBLEMS && <li className="text-slate-500">…and {problems.length - MAX_PROBLEMS} more</li>}
+    </ul>
+  );
+}
+
+const repairValue = (v) => {
+  if (v === undefined) return "(none)";
+  if (v && typeof v === "object" && !(Array.isArray(v) && v.every(x => typeof x === "string"))) {
+    const json = JSON.stringify(v);
+    return json.length > 80 ? `${json.slice(0, 79)}…` : json;
+  }
+  return formatValue(v);
+};
+
+const importLabel = ({ added, updates }) => {
+  if (!updates.length) return added.length ? `Import ${plural(added.length, "issue")}` : "Nothing to import";
+  return added.length ? `Import ${added.length} new, update ${updates.length}` : `Update ${plural(updates.length, "issue")}`;
+};
+
+// What an import did, shown in place of the dialog once applied.
+function ImportSummary({ summary, onClose }) {
+  const rows = [
+    ["Added", summary.added],
+    ["Updated", summary.updated],
+    ["Kept as is", summary.kept],
+    ["Unchanged", summary.unchanged],
+    ...Object.entries(summary.skipped).map(([why, ids]) => [`Skipped (${why})`, ids]),
+  ].filter(([, ids]) => ids.length);
+  return (
+    <div className="space-y-3">
+      <h3 className="text-lg font-semibold text-slate-900 dark:text-slate-100">Import applied</h3>
+      <dl className="grid grid-cols-[auto_1fr] gap-x-4 gap-y-1 text-sm">
+        {rows.map(([label, ids]) => (
+          <div key={label} className="contents">
+            <dt className="text-slate-600 dark:text-slate-300">{label}: {ids.length}</dt>
+            <dd className="truncate font-mono text-xs leading-5 text-slate-500 dark:text-slate-400" title={ids.join(", ")}>{ids.join(", ")}</dd>
+          </div>
         ))}
+      </dl>
+      {!rows.length && <p className="text-sm text-slate-500">Nothing was changed.</p>}
+      <div className="flex justify-end">
+        <button type="button" onClick={onClose} className="rounded-lg bg-cyan-600 px-3 py-2 text-sm text-white hover:bg-cyan-500">Done</button>
+      </div>
+    </div>
+  );
+}
+
+// Discord cuts messages off at this many characters
+const DISCORD_LIMIT = 2000;
+const daysAgo = (n) => dayString(Date.now() - n * 24 * 60 * 60 * 1000);
+const CHANGELOG_RANGES = [
+  { label: "Last 7 days", from: () => daysAgo(6) },
+  { label: "This week", from: () => daysAgo((new Date().getDay() + 6) % 7) }, // since Monday
+  { label: "Last 30 days", from: () => daysAgo(29) },
+];
+
+// Export dialog: pick what (filtered view, selection, everything) and how (see exporters.js),
+// check the preview, then download or copy it.
+function ExportDialog({ scopes, statuses, onCopied, onClose }) {
+  const [scopeId, setScopeId] = useState(() => (scopes.find(sc => sc.id === "selected")?.issues.length ? "selected" : "view"));
+  const [format, setFormat] = useState("json");
+  const [groupBy, setGroupBy] = useState("status");
+  const [title, setTitle] = useState("");
+  const [status, setStatus] = useState(() => closedStatus(statuses));
+  const [from, setFrom] = useState(() => CHANGELOG_RANGES[0].from());
+  const [to, setTo] = useState(() => dayString(Date.now()));
+  const scope = scopes.find(sc => sc.id === scopeId) ?? scopes[0];
+  const { ext, type } = EXPORT_FORMATS.find(f => f.id === format);
+  const changelogGroup = groupBy === "tag" ? "tag" : "none";
+  const text = format === "json" ? toJSON(scope.issues)
+    : format === "csv" ? toCSV(scope.issues)
+    : format === "markdown" ? toMarkdown(scope.issues, { title: title || "Issues", groupBy, statuses })
+    : toChangelog(scope.issues, { title: title || "Fixed this week", status, from, to, groupBy: changelogGroup });
+  const count = format === "changelog" ? changelogIssues(scope.issues, { status, from, to }).length : scope.issues.length;
+  const filename = format === "changelog" ? `changelog-${to}.md` : `issues.${ext}`;
+  const copy = async () => {
+    try { await navigator.clipboard.writeText(text); onCopied("Copied to the clipboard"); }
+    catch { onCopied("Couldn't copy; select the preview and copy it instead"); }
+  };
+  const label = "text-sm text-slate-600 dark:text-slate-300";
+  return (
+    <div className="max-h-[80vh] space-y-3 overflow-auto pr-1">
+      <h3 className="text-lg font-semibold text-slate-900 dark:text-slate-100">Export issues</h3>
+      <div className="grid gap-3 sm:grid-cols-2">
+        <label className="block"><span className={label}>Issues</span>
+          <Select value={scope.id} onChange={(e) => setScopeId(e.target.value)} options={scopes.map(sc => sc.id)}
+                  labels={Object.fromEntries(scopes.map(sc => [sc.id, `${sc.label} (${sc.issues.length})`]))} className="mt-1" />
+        </label>
+        <label className="block"><span className={label}>Format</span>
+          <Select value={format} onChange={(e) => setFormat(e.target.value)} options={EXPORT_FORMATS.map(f => f.id)}
+                  labels={Object.fromEntries(EXPORT_FORMATS.map(f => [f.id, f.label]))} className="mt-1" />
+        </label>
+        {(format === "markdown" || format === "changelog") && (<>
+          <label className="block"><span className={label}>Title</span>
+            <TextInput value={title} onChange={(e) => setTitle(e.target.value)} placeholder={format === "changelog" ? "Fixed this week" : "Issues"} className="mt-1" />
+          </label>
+          <label className="block"><span className={label}>Group by</span>
+            {format === "markdown"
+              ? <Select value={groupBy === "tag" ? "tag" : "status"} onChange={(e) => setGroupBy(e.target.value)} options={["status", "tag"]} labels={{ status: "Status", tag: "Tag" }} className="mt-1" />
+              : <Select value={changelogGroup} onChange={(e) => setGroupBy(e.target.value)} options={["none", "tag"]} labels={{ none: "Nothing (newest first)", tag: "Tag" }} className="mt-1" />}
+          </label>
+        </>)}
+        {format === "changelog" && (<>
+          <label className="block"><span className={label}>Issues that reached</span>
+            <Select value={status} onChange={(e) => setStatus(e.target.value)} options={statuses} className="mt-1" />
+          </label>
+          <div>
+            <span className={label}>Between</span>
+            <div className="mt-1 flex items-center gap-2">
+              <TextInput type="date" value={from} max={to} onChange={(e) => e.target.value && setFrom(e.target.value)} />
+              <span className="text-slate-500">–</span>
+              <TextInput type="date" value={to} min={from} onChange={(e) => e.target.value && setTo(e.target.value)} />
+            </div>
+            <div className="mt-1 flex flex-wrap gap-2">
+              {CHANGELOG_RANGES.map(r => (
+                <button key={r.label} type="button" onClick={() => { setFrom(r.from()); setTo(dayString(Date.now())); }}
+                        className="text-xs text-cyan-700 hover:underline dark:text-cyan-400">{r.label}</button>
+              ))}
+            </div>
+          </div>
+        </>)}
+      </div>
+      <div>
+        <div className="flex items-baseline justify-between">
+          <span className={label}>Preview · {plural(count, "issue")}</span>
+          {type === "text/markdown" && (
+            <span className={classNames("text-xs", text.length > DISCORD_LIMIT ? "text-amber-600 dark:text-amber-400" : "text-slate-500")}>
+              {text.length} characters{text.length > DISCORD_LIMIT && ` (Discord allows ${DISCORD_LIMIT} per message)`}
+            </span>
+          )}
+        </div>
+        <TextArea readOnly rows={12} value={text} spellCheck={false} className="mt-1 font-mono text-xs" onFocus={(e) => e.target.select()} />
+      </div>
+      <div className="flex justify-end gap-2">
+        <button type="button" onClick={onClose} className="rounded-lg px-3 py-2 text-sm text-slate-600 hover:text-slate-900 dark:text-slate-300 dark:hover:text-slate-100">Close</button>
+        <button type="button" onClick={copy} className="rounded-lg px-3 py-2 text-sm ring-1 ring-slate-300 hover:bg-slate-100 dark:ring-slate-700 dark:hover:bg-slate-800">Copy</button>
+        <button type="button" onClick={() => downloadText(filename, text, type)} className="rounded-lg bg-cyan-600 px-3 py-2 text-sm text-white hover:bg-cyan-500">Download {filename}</button>
       </div>
     </div>
   );
 }
 
+// Connection and outbox state next to the actions: loading, offline (with the writes kept
+// for later), saving, or all saved.
+function SyncStatus({ loading, offline, pending, saving, live }) {
+  const [dot, text, title] = loading ? ["bg-slate-400 animate-pulse", "Loading…", undefined]
+    : offline ? ["bg-amber-500", pending ? `Offline · ${pending} pending` : "Offline", "Changes are kept in this browser and sent once the server can be reached."]
+    : pending || saving ? ["bg-cyan-500 animate-pulse", pending ? `Saving ${pending}…` : "Saving…", undefined]
+    : live ? ["bg-emerald-500", "Live", "Everything is saved; changes by others show up as they happen."]
+    : ["bg-emerald-500", "Online", "Everything is saved. Changes by others show up every few seconds."];
+  return (
+    <span role="status" title={title} className="mr-2 inline-flex items-center gap-1.5 text-xs text-slate-500 dark:text-slate-400">
+      <span aria-hidden="true" className={classNames("h-2 w-2 rounded-full", dot)} />{text}
+    </span>
+  );
+}
+
+// Who else has an issue open (from the event stream), as "Ana is viewing #BUG-004".
+function Presence({ viewers, onOpen }) {
+  if (!viewers.length) return null;
+  const shown = viewers.slice(0, 2);
+  const rest = viewers.slice(shown.length);
+  return (
+    <span className="inline-flex items-center gap-1 text-xs">
+      {shown.map(v => (
+        <button key={`${v.person.id}|${v.viewing}`} onClick={() => onOpen(v.viewing)}
+          className="rounded-full px-2 py-0.5 text-violet-700 ring-1 ring-violet-400/50 hover:bg-violet-500/10 dark:text-violet-300">
+          👁 {v.person.name} is viewing #{v.viewing}
+        </button>
+      ))}
+      {rest.length > 0 && <span className="text-slate-500 dark:text-slate-400" title={rest.map(v => `${v.person.name}: #${v.viewing}`).join("\n")}>+{rest.length} more</span>}
+    </span>
+  );
+}
+
 // Helper to append only new issues by id
 function appendNewIssues(prev, incoming) {
   const existingIds = new Set(prev.map(i => i.id));
-  const additions = incoming.filter(i => !existingIds.has(i.id)).map(i => ({ ...i, createdByVisitor: i.createdByVisitor ?? false }));
+  const additions = incoming.filter(i => !existingIds.has(i.id)).map(i => ({ ...i, createdByVisitor: i.createdByVisitor ?? (!!i.createdBy && i.createdBy.id !== 'maintainer') }));
   if (additions.length === 0) return prev;
   return [...prev, ...additions];
 }
@@ -237,48 +1941,206 @@ export default function App() {
 
   const [issues, setIssues] = useState(INITIAL_ISSUES);
   const [loading, setLoading] = useState(true);
-  const [syncing, setSyncing] = useState(false);
+  const [syncing, setSyncing] = useState(0); // in-flight writes
+  const [connection, setConnection] = useState({ pending: 0, offline: false }); // outbox state
+  const [online, setOnline] = useState(() => navigator.onLine); // what the browser thinks
+  const [reachable, setReachable] = useState(true); // whether the last fetch got an answer
+  const offline = !online || !reachable || connection.offline;
+  const [stream, setStream] = useState(null); // event stream id while it is open (server/events.js)
+  const [presence, setPresenceList] = useState([]); // [{ key, person, viewing }] of other streams
+  const [flashes, setFlashes] = useState({}); // id -> stamp of the latest change someone else made
+  const [role, setRole] = useState('guest'); // confirmed by /bugsapi/session on mount
+  const [me, setMe] = useState(null); // visitor identity { id, name, discord? }
+  // Open while asking for a display name; holds what to do once one is set
+  const [identityPrompt, setIdentityPrompt] = useState(null);
+  const [toast, setToast] = useState(null);
+  const showToast = (message, action) => setToast({ id: uid("t"), message, action });
 
-  const pushIssues = async (list) => {
-    try { setSyncing(true); await fetch(apiUrl('/bugsapi'), { method: 'PUT', headers: API_HEADERS, body: JSON.stringify({ issues: list }) }); }
-    catch(e) { console.error('Failed to push issues', e); }
-    finally { setSyncing(false); }
+  const [workflow, setWorkflow] = useState(DEFAULT_WORKFLOW);
+  const [workflowOpen, setWorkflowOpen] = useState(false);
+  const [dragging, setDragging] = useState(null); // card being dragged, for drop-target feedback
+  const adoptWorkflow = (raw) => {
+    if (raw) setWorkflow(prev => JSON.stringify(prev) === JSON.stringify(raw) ? prev : normalizeWorkflow(raw).workflow);
   };
 
-  const [selected, setSelected] = useState(null);
-  // replaced generic query with focused search term
-  const [search, setSearch] = useState("");
-  const [sortKey, setSortKey] = useState("priority"); // priority | createdAt | title
+  // Pull the server copy, e.g. after a rejected write so the board shows what actually got
+  // saved. Issues with a local write that hasn't landed keep their local copy.
+  const isHeld = (id) => patchQueueRef.current.busy(id) || outboxRef.current.has(id);
+  const refreshIssues = async () => {
+    try {
+      const data = await api.fetchIssues();
+      setReachable(true);
+      adoptWorkflow(data?.workflow);
+      if (Array.isArray(data?.issues)) setIssues(prev => mergeRemote(prev, data.issues, isHeld));
+    } catch (e) {
+      if (isNetworkError(e)) setReachable(false);
+      console.warn('Failed to refresh issues', e);
+    }
+  };
+  const refreshRef = useRef(refreshIssues); // for effects and the outbox, which outlive a render
+  useEffect(() => { refreshRef.current = refreshIssues; });
+
+  // Changes pushed by the server. Our own writes are skipped (their responses update the
+  // board), and so are issues with local writes in flight, which the refetch after those
+  // catches up on.
+  const flash = (id) => {
+    const stamp = uid("f");
+    setFlashes(prev => ({ ...prev, [id]: stamp }));
+    setTimeout(() => setFlashes(prev => prev[id] === stamp ? without(prev, id) : prev), FLASH_MS);
+  };
+  const remoteEvents = {
+    open: () => { setReachable(true); refreshIssues(); },
+    error: () => { setStream(null); setPresenceList([]); },
+    hello: ({ connection }) => setStream(connection),
+    issue: ({ issue, origin }) => {
+      if (origin === api.streamId() || isHeld(issue.id)) return;
+      setIssues(prev => prev.some(i => i.id === issue.id) ? prev.map(i => i.id === issue.id ? issue : i) : [issue, ...prev]);
+      flash(issue.id);
+    },
+    delete: ({ id, origin }) => {
+      if (origin === api.streamId()) return;
+      patchQueueRef.current.drop(id);
+      setIssues(prev => prev.filter(i => i.id !== id));
+      setConflicts(prev => without(prev, id));
+      if (selectedId === id) {
+        setSelectedId(null);
+        showToast(`#${id} was deleted by someone else`);
+      }
+    },
+    workflow: ({ workflow }) => adoptWorkflow(workflow),
+    presence: ({ viewers }) => setPresenceList(viewers),
+  };
+  const remoteRef = useRef(remoteEvents);
+  useEffect(() => { remoteRef.current = remoteEvents; });
+  // The server binds a stream to whoever first uses it, so signing in or out opens a new one
+  const streamOwner = `${role}|${me?.id ?? ''}`;
+  useEffect(() => api.subscribe(Object.fromEntries(Object.keys(remoteRef.current).map(name => [name, (data) => remoteRef.current[name](data)]))), [streamOwner]);
+
+  // Run a write against the API, tracked by the sync status indicator. Issue and comment
+  // writes wait in the outbox while offline, so only a refusal ends up here.
+  const sync = async (label, fn) => {
+    setSyncing(n => n + 1);
+    try { return await fn(); }
+    catch(e) {
+      if (e.status === 401 && api.hasMaintainerSession()) {
+        api.setAuthToken(null);
+        setRole('guest');
+        showToast('Your maintainer session has expired. Sign in again to keep editing.');
+      } else if (e.status === 401) {
+        api.setVisitorToken(null);
+        setMe(null);
+        showToast('Your visitor identity is no longer recognised. Pick a display name again to keep editing your issues.');
+      } else if (e.status === 403 || e.status === 422) {
+        showToast(e.message);
+      } else if (e.status === 400) {
+        showToast(`${label}: ${e.message}`);
+      } else if (isNetworkError(e)) {
+        showToast(`${label}: the server can't be reached. Try again once you're back online.`);
+        return;
+      } else {
+        console.error(label, e);
+        showToast(`${label}: ${e.message}`);
+        return;
+      }
+      setTimeout(refreshIssues, 0);
+    }
+    finally { setSyncing(n => n - 1); }
+  };
+
+  // Rejected (409) edits per issue: { local: fields we tried to write, remote: server copy }
+  const [conflicts, setConflicts] = useState({});
+
+  // Field edits are merged per issue and sent as a single PATCH once typing pauses,
+  // conditional on the rev the edit started from.
+  const patchQueueRef = useRef(null);
+  if (!patchQueueRef.current) {
+    patchQueueRef.current = api.createPatchQueue((id, patch, rev) => sync(`Failed to update ${id}`, async () => {
+      try {
+        const saved = await outboxRef.current.enqueue({ type: 'patch', id, base: rev, rev, patch });
+        setIssues(prev => prev.map(i => i.id === id ? { ...i, rev: saved.rev, history: saved.history } : i));
+        return saved;
+      } catch (e) {
+        if (e.status !== 409 || !e.body?.current) throw e;
+        patchQueueRef.current.hold(id);
+        setConflicts(prev => ({ ...prev, [id]: { local: { ...prev[id]?.local, ...patch }, remote: e.body.current } }));
+        return null;
+      }
+    }), PATCH_DEBOUNCE_MS);
+  }
+
+  // Every issue and comment write goes through the outbox, which keeps it (and a copy of the
+  // board) in IndexedDB until the server answers; see offline.js.
+  const localStoreRef = useRef(null);
+  if (!localStoreRef.current) localStoreRef.current = createLocalStore();
+  const outboxRef = useRef(null);
+  if (!outboxRef.current) {
+    outboxRef.current = createOutbox({
+      store: localStoreRef.current,
+      send: api.sendWrite,
+      onChange: setConnection,
+      onDrained: () => { setReachable(true); refreshRef.current(); },
+      // Writes left over from an earlier visit: refusals are reported, conflicts reopened
+      onReplayed: (entry, error) => {
+        if (!error) return;
+        if (entry.type === 'patch' && error.status === 409 && error.body?.current) {
+          patchQueueRef.current.hold(entry.id);
+          setConflicts(prev => ({ ...prev, [entry.id]: { local: { ...prev[entry.id]?.local, ...entry.patch }, remote: error.body.current } }));
+          return;
+        }
+        showToast(`A change made offline to ${entry.id ?? 'the board'} couldn't be saved: ${error.message}`);
+      },
+    });
+  }
+
+  // Search, tag filter, sort and the open issue start from (and are mirrored to) the URL
+  const [selectedId, setSelectedId] = useState(() => readLocation().issue);
+  const [search, setSearch] = useState(() => readLocation().q); // query language, see query.js
+  const [sortKey, setSortKey] = useState(() => readLocation().sort); // one of SORT_KEYS
+  const [laneKey, setLaneKey] = useState(() => readLocation().lanes); // one of LANE_KEYS
+  const [collapsedLanes, setCollapsedLanes] = useState({}); // "tag:Auth" -> true
+  const [viewMode, setViewMode] = useState(() => readLocation().view); // board | table | dashboard
+  const [checkedIds, setCheckedIds] = useState(() => new Set()); // table selection
   const [showJSON, setShowJSON] = useState(false);
+  const [showActivity, setShowActivity] = useState(false);
+  const [modalTab, setModalTab] = useState('details'); // details | timeline
   const [pasteOpen, setPasteOpen] = useState(false);
   const [urlOpen, setUrlOpen] = useState(false);
+  const [importSource, setImportSource] = useState(null); // { text, name } shown in the import dialog
+  const [exportOpen, setExportOpen] = useState(false);
   const urlInputRef = useRef(null);
 
-  const [role, setRole] = useLocalStorageState(ROLE_LS_KEY, 'guest');
   const [maintainerInput, setMaintainerInput] = useState('');
   // New draft state for unsaved issue
   const [draft, setDraft] = useState(null);
   // Tag filter state
-  const [tagFilter, setTagFilter] = useState("");
+  const [tagFilter, setTagFilter] = useState(() => readLocation().tag);
 
+  // Workflow columns first, then any status found in the data that the workflow doesn't know
+  const workflowStatuses = useMemo(() => workflow.statuses.map(s => s.name), [workflow]);
   const allStatuses = useMemo(() => {
-    const found = Array.from(new Set(issues.map(i => i.status))).filter(Boolean);
-    const merged = [...DEFAULT_STATUSES];
-    for (const s of found) if (!merged.includes(s)) merged.splice(merged.length - 1, 0, s); // insert before Archived
+    const merged = [...workflowStatuses];
+    for (const i of issues) if (i.status && !merged.includes(i.status)) merged.push(i.status);
     return merged;
-  }, [issues]);
+  }, [issues, workflowStatuses]);
+  const counts = useMemo(() => statusCounts(issues), [issues]);
+
+  const query = useMemo(() => parseQuery(search), [search]);
+  const queryValues = useMemo(() => {
+    const uniq = (xs) => Array.from(new Set(xs.filter(Boolean))).sort((a, b) => a.localeCompare(b));
+    return {
+      status: allStatuses,
+      priority: ["P0", "P1", "P2", "P3"],
+      tag: uniq(issues.flatMap(i => i.tags ?? [])),
+      assignee: ["me", "none", ...uniq(issues.map(i => i.assignee))],
+      author: uniq(issues.map(i => i.createdBy?.name)),
+      created: ["<1d", "<7d", "<30d", ">30d"],
+      updated: ["<1d", "<7d", ">7d", ">30d"],
+    };
+  }, [issues, allStatuses]);
 
   const filtered = useMemo(() => {
-    const searchQ = search.trim().toLowerCase();
     const tagQ = tagFilter.trim().toLowerCase();
-    let list = [...issues];
-    if (searchQ) {
-      list = list.filter(i =>
-        i.title?.toLowerCase().includes(searchQ) ||
-        (i.priority && i.priority.toLowerCase() === searchQ) ||
-        (searchQ.startsWith('p') && i.priority?.toLowerCase() === searchQ)
-      );
-    }
+    let list = issues.filter(i => matchIssue(i, query.clauses, { me: me?.name }));
     if (tagQ) {
       list = list.filter(i => i.tags?.some(t => t.toLowerCase().includes(tagQ)));
     }
@@ -287,89 +2149,408 @@ export default function App() {
       if (sortKey === "priority") return (priorityRank[a.priority] ?? 99) - (priorityRank[b.priority] ?? 99);
       if (sortKey === "createdAt") return new Date(a.createdAt||0) - new Date(b.createdAt||0);
       if (sortKey === "title") return (a.title||"").localeCompare(b.title||"");
+      if (sortKey === "manual") return compareRank(a, b) || (priorityRank[a.priority] ?? 99) - (priorityRank[b.priority] ?? 99);
       return 0;
     });
     return list;
-  }, [issues, search, sortKey, tagFilter]);
+  }, [issues, query, me, sortKey, tagFilter]);
 
-  const byStatus = useMemo(() => {
+  const selected = useMemo(() => issues.find(i => i.id === selectedId) ?? null, [issues, selectedId]);
+  useEffect(() => { setModalTab('details'); }, [selectedId]);
+
+  const bucketByStatus = (list) => {
     const map = Object.fromEntries(allStatuses.map(s => [s, []]));
-    for (const it of filtered) {
-      const s = it.status && map[it.status] ? it.status : "Backlog";
-      map[s].push(it);
+    for (const it of list) {
+      map[it.status && map[it.status] ? it.status : allStatuses[0]].push(it);
     }
     return map;
-  }, [filtered, allStatuses]);
+  };
+  const lanes = laneKey === 'none' ? null : groupLanes(filtered, laneKey);
 
-  const updateIssue = (id, patch) => {
+  // Mirrors the server's ownership rules (server/auth.js); the server has the final say.
+  const currentAuthor = me ? { id: me.id, name: me.name } : (role === 'maintainer' ? { id: 'maintainer', name: 'maintainer' } : null);
+  const canEditIssue = (issue) => !!issue && (role === 'maintainer' || (!!me && issue.createdBy?.id === me.id));
+
+  const updateIssue = (id, patch, { record = true } = {}) => {
     if (draft && draft.id === id) {
       setDraft(d => d ? { ...d, ...patch, updatedAt: new Date().toISOString() } : d);
       return;
     }
-    // setIssues(prev => prev.map(i => i.id === id ? { ...i, ...patch, updatedAt: new Date().toISOString() } : i));
-    setIssues(prev => { const next = prev.map(i => i.id === id ? { ...i, ...patch, updatedAt: new Date().toISOString() } : i); pushIssues(next); return next; });
+    const issue = issues.find(i => i.id === id);
+    if (record && issue) {
+      // null rather than undefined, so undoing the first write of a field survives JSON
+      const before = Object.fromEntries(Object.keys(patch).map(k => [k, issue[k] ?? null]));
+      if (JSON.stringify(before) !== JSON.stringify(patch)) undoStack.record({ kind: 'patch', id, before, after: patch, label: `edit #${id}` });
+    }
+    const updatedAt = new Date().toISOString();
+    setIssues(prev => prev.map(i => i.id === id ? { ...i, updatedAt, ...patch } : i));
+    // Edits made while a conflict is open become part of "yours" in the conflict dialog
+    if (conflicts[id]) {
+      setConflicts(prev => ({ ...prev, [id]: { ...prev[id], local: { ...prev[id].local, ...patch } } }));
+      return;
+    }
+    patchQueueRef.current.queue(id, { updatedAt, ...patch }, issue?.rev);
   };
 
-  const moveIssueTo = (id, status) => {
+  const resolveConflict = (id, choices) => {
+    const conflict = conflicts[id];
+    if (!conflict) return;
+    const patch = resolutionPatch(conflict, choices);
+    const queue = patchQueueRef.current;
+    queue.release(id);
+    setConflicts(prev => without(prev, id));
+    setIssues(prev => prev.map(i => i.id === id ? { ...conflict.remote, ...patch } : i));
+    if (Object.keys(patch).length) {
+      queue.queue(id, { ...patch, updatedAt: new Date().toISOString() }, conflict.remote.rev);
+      queue.flush(id);
+    }
+  };
+
+  // Why the current user can't move `issue` to `status` under the workflow, or null
+  const moveError = (issue, status, statusTotals = counts) => transitionError(workflow, !issue || issue === draft ? null : issue.status, status, role === 'maintainer' ? 'maintainer' : 'reporter', statusTotals);
+
+  // Maintainers set the manual order (the server keeps `rank` maintainer-only)
+  const canReorder = sortKey === 'manual' && role === 'maintainer';
+
+  // `lane` is { from, to } when the card also crossed swimlanes; the lane's field changes with the status.
+  // `order` is { column, index } for a drop at a position in manual sort (column without the card).
+  const moveIssueTo = (id, status, lane, order) => {
     if (draft && draft.id === id) return;
     const issue = issues.find(i => i.id === id);
-    const canEdit = role === 'maintainer' || issue?.createdByVisitor;
-    if (!canEdit) return;
-    updateIssue(id, { status });
+    if (!canEditIssue(issue)) return;
+    const fields = lane ? lanePatch(issue, laneKey, lane.from, lane.to) : {};
+    const patch = { ...(issue.status === status ? {} : { status }), ...fields };
+    const placed = order && canReorder ? placeAt(order.column, order.index) : null;
+    if (placed && placed.rank !== issue.rank) patch.rank = placed.rank;
+    if (!Object.keys(patch).length) return;
+    if (patch.status) {
+      const error = moveError(issue, status);
+      if (error) { showToast(`Can't move #${id}: ${error}`); return `Can't move #${id}: ${error}`; }
+    }
+    for (const [otherId, rank] of placed?.fill ?? []) updateIssue(otherId, { rank }, { record: false });
+    updateIssue(id, patch);
+    const where = [patch.status, Object.keys(fields).length ? (lane.to || `no ${laneKey}`) : null].filter(Boolean).join(' · ');
+    const message = where ? `Moved #${id} to ${where}` : `Reordered #${id}`;
+    showToast(message, { label: 'Undo', onClick: undoStack.undo });
+    return message;
+  };
+
+  // ---- Keyboard / touch moves ----
+  // `rows` mirrors what the board renders: one row per swimlane (or one without lanes)
+  const rows = lanes
+    ? lanes.map(l => ({ lane: l.value, label: l.label, collapsed: !!collapsedLanes[`${laneKey}:${l.value}`], byStatus: bucketByStatus(l.issues) }))
+    : [{ lane: undefined, label: '', byStatus: bucketByStatus(filtered) }];
+  const [moving, setMoving] = useState(null); // { id, fromLane, row, status, index } while a card is picked up
+  const movingIssue = moving ? issues.find(i => i.id === moving.id) ?? null : null;
+  const [announcement, setAnnouncement] = useState('');
+  const announce = (text) => setAnnouncement(prev => prev === text ? `${text}\u00a0` : text); // re-read repeats
+
+  const focusCard = (lane, id) => setTimeout(() => {
+    document.querySelector(`[data-card-key="${CSS.escape(`${lane ?? ''}|${id}`)}"]`)?.focus();
+  }, 0);
+  const columnOf = (issue) => (issue.status && allStatuses.includes(issue.status) ? issue.status : allStatuses[0]);
+  const describeTarget = (t, id) => {
+    const n = othersIn(rows, t.row, t.status, id).length;
+    return [t.status, rows[t.row]?.lane !== undefined ? rows[t.row]?.label : null, t.index !== null ? `position ${t.index + 1} of ${n + 1}` : null]
+      .filter(Boolean).join(', ');
+  };
+
+  const pickUp = (issue, row) => {
+    if (!canEditIssue(issue)) { announce(`You can't move #${issue.id}`); return; }
+    const status = columnOf(issue);
+    const target = { row, status, index: canReorder ? Math.max(0, rows[row].byStatus[status].findIndex(i => i.id === issue.id)) : null };
+    setMoving({ id: issue.id, fromLane: rows[row].lane, ...target });
+    announce(`Picked up #${issue.id}, in ${describeTarget(target, issue.id)}. Arrow keys choose where it goes, Enter drops it, Escape cancels.`);
+  };
+  const cancelMove = () => {
+    if (!moving) return;
+    setMoving(null);
+    announce(`Move cancelled. #${moving.id} stays where it was.`);
+    focusCard(moving.fromLane, moving.id);
+  };
+  const dropMoving = (target = moving) => {
+    if (!moving || !movingIssue) { setMoving(null); return; }
+    const row = rows[target.row];
+    setMoving(null);
+    const message = moveIssueTo(moving.id, target.status,
+      row.lane === undefined ? null : { from: moving.fromLane, to: row.lane },
+      target.index === null ? null : { column: othersIn(rows, target.row, target.status, moving.id), index: target.index });
+    announce(message ?? `#${moving.id} stays in ${movingIssue.status}`);
+    focusCard(message && !message.startsWith("Can't") ? row.lane : moving.fromLane, moving.id);
+  };
+
+  const onCardKeyDown = (e, issue, row) => {
+    if (e.target !== e.currentTarget) return;
+    if (moving) {
+      if (moving.id !== issue.id) return;
+      if (e.key.startsWith('Arrow') || e.key === ' ' || e.key === 'Enter' || e.key === 'Escape') e.preventDefault();
+      if (e.key === 'Escape') cancelMove();
+      else if (e.key === 'Enter' || e.key === ' ') dropMoving();
+      else {
+        const next = nextTarget(rows, allStatuses, moving, e.key, { reorder: canReorder, movingId: issue.id, shift: e.shiftKey });
+        if (next === moving) return;
+        setMoving({ ...moving, ...next });
+        const why = next.status !== issue.status ? moveError(issue, next.status) : null;
+        announce(`${describeTarget(next, issue.id)}${why ? `. Not allowed: ${why}` : ''}`);
+      }
+      return;
+    }
+    if (e.key === 'Enter') { e.preventDefault(); setSelectedId(issue.id); return; }
+    if (e.key === ' ') { e.preventDefault(); pickUp(issue, row); return; }
+    const status = columnOf(issue);
+    const next = nextFocus(rows, allStatuses, { row, status, index: rows[row].byStatus[status].findIndex(i => i.id === issue.id) }, e.key);
+    const target = next && rows[next.row].byStatus[next.status][next.index];
+    if (!target) return;
+    e.preventDefault();
+    focusCard(rows[next.row].lane, target.id);
   };
 
-  const addIssue = () => {
+  // `visitor` lets the identity prompt continue straight into a new issue before `me` re-renders
+  const addIssue = (visitor = me) => {
     // If a draft already exists, confirm discard
     if (draft && !confirm('Discard current unsaved issue?')) return;
-    const id = `ISSUE-${Math.max(0, ...issues.map(i => Number(String(i.id).split("-").pop()) || 0)) + 1}`;
+    // Guests need an identity so the issue can be theirs to edit later
+    if (!visitor && role !== 'maintainer') { setIdentityPrompt({ then: 'addIssue' }); return; }
+    const id = `ISSUE-${nextIssueNumber(issues)}`;
     const createdByVisitor = role !== 'maintainer';
     const newDraft = {
       id,
-      title: "New issue",
+      title: NEW_ISSUE_TITLE,
       description: "",
-      status: "Backlog",
+      status: workflow.statuses.find(s => !moveError(null, s.name))?.name ?? workflow.statuses[0].name,
       priority: "P2",
       assignee: "",
       tags: ["Discord Bugs"], // default tag
       createdAt: new Date().toISOString(),
       updatedAt: new Date().toISOString(),
       comments: [],
+      createdBy: visitor ? { id: visitor.id, name: visitor.name } : currentAuthor,
       createdByVisitor,
     };
     setDraft(newDraft); // Do NOT add to issues yet
   };
 
+  // Send issues already added locally to the server and adopt the id/rev/history it assigns.
+  // One issue goes through the single-issue POST (allowed for visitors), several in bulk.
+  const createRemote = (list) => {
+    const single = list.length === 1;
+    const created = sync(single ? 'Failed to create issue' : 'Failed to import issues', async () => {
+      const outbox = outboxRef.current;
+      const saved = single
+        ? [await outbox.enqueue({ type: 'create', id: list[0].id, issue: list[0] })]
+        : ((await outbox.enqueue({ type: 'import', ids: list.map(i => i.id), issues: list }))?.issues ?? []);
+      // The server hands out a fresh id if someone else took ours in the meantime
+      const byLocalId = new Map(single ? [[list[0].id, saved[0]]] : saved.map(i => [i.id, i]));
+      setIssues(prev => prev.map(i => byLocalId.has(i.id) ? { ...i, id: byLocalId.get(i.id).id, rev: byLocalId.get(i.id).rev, history: byLocalId.get(i.id).history } : i));
+      for (const [localId, s] of byLocalId) if (s.id !== localId) setSelectedId(cur => cur === localId ? s.id : cur);
+    });
+    for (const i of list) patchQueueRef.current.track(i.id, created);
+  };
+
+  const restoreIssues = (list) => {
+    const existing = new Set(issues.map(i => i.id));
+    const missing = list.filter(i => !existing.has(i.id));
+    if (!missing.length) return;
+    setIssues(prev => [...missing, ...prev]);
+    createRemote(missing);
+  };
+
+  // Links between issues (links.js). A reverse choice ("Blocked by", "Sub-issue") is stored on
+  // the other issue, so it needs the right to edit that one.
+  const relations = useMemo(() => {
+    const finished = new Set(finishedStatuses(workflowStatuses));
+    return relationIndex(issues, (i) => finished.has(i.status));
+  }, [issues, workflowStatuses]);
+  const linkIssues = (issue, choice, otherId) => {
+    const other = issues.find(i => i.id === otherId);
+    if (!other) return `#${otherId} doesn't exist`;
+    const [holder, targetId] = choice.reverse ? [other, issue.id] : [issue, otherId];
+    const why = linkError(issues, holder, choice.type, targetId) ?? (canEditIssue(holder) ? null : `Only maintainers and the reporter of #${holder.id} can change its links`);
+    if (!why) updateIssue(holder.id, { links: addLink(holder.links, choice.type, targetId) });
+    return why;
+  };
+  const unlinkIssues = (holder, type, targetId) => updateIssue(holder.id, { links: removeLink(holder.links, type, targetId) });
+
+  // Likely duplicates, for the draft as it is typed and for closing an issue as a duplicate
+  const modalOpen = !!(draft || selected);
+  const duplicateIndex = useMemo(() => (modalOpen ? createDuplicateIndex(issues) : null), [issues, modalOpen]);
+  const typedDraft = useDeferredValue(draft && (draft.title !== NEW_ISSUE_TITLE || draft.description?.trim()) ? draft : null);
+  const draftDuplicates = useMemo(() => (typedDraft && duplicateIndex ? duplicateIndex.similar(typedDraft) : []), [typedDraft, duplicateIndex]);
+  const duplicateCandidates = useMemo(() => (selected && role === 'maintainer' && duplicateIndex ? duplicateIndex.similar(selected, { limit: 3 }) : []), [selected, role, duplicateIndex]);
+  const openInsteadOfDraft = (issue) => {
+    if (draft.description?.trim() && !confirm(`Discard this draft and open #${issue.id}?`)) return;
+    setDraft(null);
+    setSelectedId(issue.id);
+  };
+  // Closing as a duplicate moves the issue to the closed status and links it to the original
+  const markDuplicate = (issue, targetId) => {
+    const status = closedStatus(allStatuses);
+    const why = moveError(issue, status);
+    if (why) { showToast(why); return; }
+    updateIssue(issue.id, { status, links: addLink(issue.links, 'duplicates', targetId) });
+    showToast(`Closed #${issue.id} as a duplicate of #${targetId}`, { label: 'Undo', onClick: undoStack.undo });
+  };
+  const unmarkDuplicate = (issue, targetId) => updateIssue(issue.id, { links: removeLink(issue.links, 'duplicates', targetId) });
+
   const saveDraft = () => {
     if (!draft) return;
     if (!draft.title.trim()) { alert('Title is required'); return; }
-    setIssues(prev => { const next = [draft, ...prev]; pushIssues(next); return next; });
-    setSelected(draft);
+    const issue = draft;
+    setIssues(prev => [issue, ...prev]);
+    setSelectedId(issue.id);
     setDraft(null);
+    undoStack.record({ kind: 'create', issues: [issue], label: `create #${issue.id}` });
+    createRemote([issue]);
   };
 
-  const deleteIssue = (id) => {
+  const deleteIssue = (id, { record = true } = {}) => {
     if (draft && draft.id === id) { setDraft(null); return; }
     const issue = issues.find(i => i.id === id);
-    const canDelete = role === 'maintainer' || issue?.createdByVisitor;
-    if (!canDelete) return alert('Only maintainers can delete existing issues.');
-    setIssues(prev => { const next = prev.filter(i => i.id !== id); pushIssues(next); return next; });
-    if (selected?.id === id) setSelected(null);
+    if (!issue) return;
+    if (!canEditIssue(issue)) return alert('Only maintainers and the reporter can delete this issue.');
+    if (record) {
+      const linked = [...new Set(backlinks(issues, id).map(b => `#${b.issue.id}`))];
+      if (linked.length && !confirm(`#${id} is linked from ${linked.join(', ')}. Delete it and remove those links? Undo brings back the issue but not the links.`)) return;
+      undoStack.record({ kind: 'delete', issues: [issue], label: `delete #${id}` });
+      showToast(`Deleted #${id}`, { label: 'Undo', onClick: undoStack.undo });
+    }
+    const queue = patchQueueRef.current;
+    queue.drop(id);
+    queue.release(id);
+    setConflicts(prev => without(prev, id));
+    // The server drops links to it from other issues too (server/issues.js)
+    setIssues(prev => prev.filter(i => i.id !== id).map(i => linksOf(i).some(l => l.id === id) ? { ...i, links: i.links.filter(l => l.id !== id) } : i));
+    if (selectedId === id) setSelectedId(null);
+    queue.track(id, sync(`Failed to delete ${id}`, async () => {
+      try { await outboxRef.current.enqueue({ type: 'delete', id, base: issue.rev, rev: issue.rev }); }
+      catch (e) {
+        if (e.status !== 409 || !e.body?.current) throw e;
+        setIssues(prev => [e.body.current, ...prev]);
+        alert(`${id} was changed by someone else before it could be deleted. Review the latest version and delete it again if needed.`);
+      }
+    }));
+  };
+
+  // ---- Bulk actions (table view) ----
+  // Every issue goes through the same checks as a single edit or move; the ones the user
+  // may not change are skipped and listed by reason. One undo step covers the batch.
+  const checkedIssues = filtered.filter(i => checkedIds.has(i.id));
+  const skippedNote = (skipped) => {
+    const reasons = Object.entries(skipped);
+    if (!reasons.length) return '';
+    return `; skipped ${reasons.map(([why, ids]) => `${ids.length} (${why})`).join(', ')}`;
   };
+  // Applies [{ issue, patch }] without recording; returns the batch undo entries and the
+  // skipped ids by reason.
+  const applyPatches = (changes) => {
+    const entries = [];
+    const skipped = {};
+    const totals = { ...counts };
+    for (const { issue, patch } of changes) {
+      if (!patch || Object.keys(patch).every(k => JSON.stringify(issue[k] ?? null) === JSON.stringify(patch[k]))) continue;
+      const moving = 'status' in patch && patch.status !== issue.status;
+      const why = !canEditIssue(issue) ? 'not yours to edit' : moving ? moveError(issue, patch.status, totals) : null;
+      if (why) { (skipped[why] ??= []).push(issue.id); continue; }
+      if (moving) { totals[patch.status] = (totals[patch.status] ?? 0) + 1; totals[issue.status] -= 1; }
+      entries.push({ id: issue.id, before: Object.fromEntries(Object.keys(patch).map(k => [k, issue[k] ?? null])), after: patch });
+      updateIssue(issue.id, patch, { record: false });
+    }
+    return { entries, skipped };
+  };
+  const bulkUpdate = (makePatch, label) => {
+    const { entries, skipped } = applyPatches(checkedIssues.map(issue => ({ issue, patch: makePatch(issue) })));
+    if (entries.length) undoStack.record({ kind: 'batch', entries, label });
+    const message = `${entries.length ? `Updated ${plural(entries.length, 'issue')}` : 'Nothing changed'}${skippedNote(skipped)}`;
+    showToast(message, entries.length ? { label: 'Undo', onClick: undoStack.undo } : undefined);
+  };
+  const archiveStatus = allStatuses.find(s => /^archived?$/i.test(s));
+  const bulkDelete = () => {
+    const allowed = checkedIssues.filter(canEditIssue);
+    const skipped = checkedIssues.length - allowed.length;
+    if (!allowed.length) { showToast('Only maintainers and the reporter can delete these issues'); return; }
+    const deleting = new Set(allowed.map(i => i.id));
+    const linked = new Set(allowed.flatMap(i => backlinks(issues, i.id).map(b => b.issue.id)).filter(id => !deleting.has(id)));
+    if (!confirm(`Delete ${plural(allowed.length, 'issue')}?${skipped ? ` ${plural(skipped, 'issue')} you can't delete will be skipped.` : ''}${linked.size ? ` Links to them from ${plural(linked.size, 'other issue')} will be removed.` : ''}`)) return;
+    undoStack.record({ kind: 'delete', issues: allowed, label: `delete of ${plural(allowed.length, 'issue')}` });
+    for (const issue of allowed) deleteIssue(issue.id, { record: false });
+    setCheckedIds(new Set());
+    showToast(`Deleted ${plural(allowed.length, 'issue')}${skipped ? `; skipped ${skipped} (not yours to delete)` : ''}`, { label: 'Undo', onClick: undoStack.undo });
+  };
+  const checkIds = (ids, value) => setCheckedIds(prev => {
+    const next = new Set(prev);
+    for (const id of ids) { if (value) next.add(id); else next.delete(id); }
+    return next;
+  });
+
+  // ---- Comments ----
+  // Comment writes skip the patch queue (see server/comments.js): the change shows at once
+  // and the list the server answers with replaces it. `request` is the outbox entry. A draft
+  // keeps its comments locally until it is created.
+  const setComments = (id, update) => setIssues(prev => prev.map(i => i.id === id ? { ...i, comments: update(i.comments ?? []) } : i));
+  const changeComments = async (issue, label, update, request) => {
+    if (issue === draft) { setDraft(d => d && { ...d, comments: update(d.comments ?? []) }); return; }
+    const before = issue.comments ?? [];
+    setComments(issue.id, update);
+    const saved = await sync(label, () => outboxRef.current.enqueue({ id: issue.id, ...request }));
+    setComments(issue.id, () => saved?.comments ?? before);
+  };
+  const addComment = (issue, body, parentId) => {
+    const comment = { id: uid("c"), ...(parentId ? { parentId } : {}), author: currentAuthor?.name ?? '', createdBy: currentAuthor ?? undefined, body, createdAt: new Date().toISOString() };
+    changeComments(issue, "Couldn't post the comment", list => [...list, comment], { type: 'addComment', comment: { id: comment.id, body, parentId } });
+  };
+  const editComment = (issue, commentId, body) => changeComments(issue, "Couldn't save the comment",
+    list => list.map(c => c.id === commentId ? { ...c, body, editedAt: new Date().toISOString() } : c),
+    { type: 'editComment', commentId, body });
+  const deleteComment = (issue, commentId) => changeComments(issue, "Couldn't delete the comment",
+    list => list.map(c => c.id === commentId ? { ...without(c, 'reactions'), body: '', deletedAt: new Date().toISOString() } : c),
+    { type: 'deleteComment', commentId });
+  const reactToComment = (issue, commentId, emoji, on) => changeComments(issue, "Couldn't save the reaction",
+    list => list.map(c => {
+      if (c.id !== commentId) return c;
+      const people = (c.reactions?.[emoji] ?? []).filter(p => p.id !== currentAuthor.id);
+      return { ...c, reactions: cleanReactions({ ...c.reactions, [emoji]: on ? [...people, currentAuthor] : people }) };
+    }),
+    { type: 'reaction', commentId, emoji, on });
 
+  // Images for descriptions and comments; failures are reported here and resolve to null.
+  const uploadImage = async (file) => {
+    try { return await api.uploadAttachment(file); }
+    catch (e) {
+      showToast(e.status === 413 ? `${file.name || 'Image'} is too large to attach` : `Couldn't attach ${file.name || 'the image'}: ${e.message}`);
+      return null;
+    }
+  };
+
+  // Undo replays the inverse through the same write paths, so it syncs like a normal edit.
+  const applyUndo = (entry, direction) => {
+    const undoing = direction === 'undo';
+    if (entry.kind === 'batch') {
+      if (entry.created && !undoing) restoreIssues(entry.created);
+      const gone = entry.entries.filter(e => !issues.some(i => i.id === e.id));
+      for (const e of entry.entries) if (!gone.includes(e)) updateIssue(e.id, undoing ? e.before : e.after, { record: false });
+      if (gone.length) showToast(`${gone.length} of those issue${gone.length === 1 ? ' no longer exists' : 's no longer exist'}`);
+      if (entry.created && undoing) for (const i of entry.created) deleteIssue(i.id, { record: false });
+    } else if (entry.kind === 'patch') {
+      if (!issues.some(i => i.id === entry.id)) { showToast(`#${entry.id} no longer exists`); return; }
+      updateIssue(entry.id, undoing ? entry.before : entry.after, { record: false });
+    } else if ((entry.kind === 'delete') === undoing) {
+      restoreIssues(entry.issues);
+    } else {
+      for (const i of entry.issues) deleteIssue(i.id, { record: false });
+    }
+  };
+  const undoStack = useUndoStack(applyUndo);
+
+  // Files, pasted text and URLs all go through the import dialog.
   const handleImportFile = async (file) => {
-    try {
-      const text = await file.text();
-      const incoming = normalizeIncomingJSON(text);
-      setIssues(prev => { const next = appendNewIssues(prev, incoming); pushIssues(next); return next; });
-    } catch (e) { alert("Failed to import JSON: " + e.message); }
+    try { setImportSource({ text: await file.text(), name: file.name }); }
+    catch (e) { alert("Failed to read the file: " + e.message); }
   };
 
-  const handlePasteJSON = (text) => {
-    try {
-      const incoming = normalizeIncomingJSON(text);
-      setIssues(prev => { const next = appendNewIssues(prev, incoming); pushIssues(next); return next; });
-      setPasteOpen(false);
-    } catch (e) { alert("Invalid JSON"); }
+  const handlePasteImport = (text) => {
+    if (!text.trim()) return;
+    setPasteOpen(false);
+    setImportSource({ text, name: "Pasted text" });
   };
 
   const handleFetchURL = async () => {
@@ -378,83 +2559,239 @@ export default function App() {
       if (!url) return;
       const res = await fetch(url);
       if (!res.ok) throw new Error(`${res.status} ${res.statusText}`);
-      const data = await res.json();
-      const incoming = normalizeIncomingJSON(data);
-      setIssues(prev => { const next = appendNewIssues(prev, incoming); pushIssues(next); return next; });
+      setImportSource({ text: await res.text(), name: url });
       setUrlOpen(false);
-    } catch (e) { alert("Failed to fetch JSON: " + e.message); }
+    } catch (e) { alert("Failed to fetch: " + e.message); }
+  };
+
+  // Applies a plan from the import dialog (see merge.js): new issues are created, updates
+  // go through the bulk-edit checks, and one undo step covers both. Returns the summary.
+  const applyImport = ({ added, updates, kept, unchanged }) => {
+    const next = appendNewIssues(issues, added);
+    const created = next.slice(issues.length);
+    if (created.length) {
+      setIssues(next);
+      createRemote(created);
+    }
+    const { entries, skipped } = applyPatches(updates);
+    if (created.length || entries.length) {
+      undoStack.record({ kind: 'batch', entries, created, label: `import of ${plural(created.length + entries.length, 'issue')}` });
+    }
+    const done = [created.length && `added ${created.length}`, entries.length && `updated ${entries.length}`].filter(Boolean).join(', ');
+    showToast(`Import: ${done || 'nothing changed'}${skippedNote(skipped)}`, done ? { label: 'Undo', onClick: undoStack.undo } : undefined);
+    return { added: created.map(i => i.id), updated: entries.map(e => e.id), kept: kept.map(c => c.id), unchanged: unchanged.map(i => i.id), skipped };
   };
 
   const [rawJSON, setRawJSON] = useState("");
   useEffect(() => { setRawJSON(JSON.stringify(issues, null, 2)); }, [issues]);
+  // Checked as you type (see schema.js), pointing at the line of each problem
+  const rawProblems = useMemo(() => {
+    if (!showJSON) return [];
+    let data;
+    try { data = JSON.parse(rawJSON); }
+    catch (e) { return [{ message: `Invalid JSON: ${e.message}`, line: jsonErrorLine(rawJSON, e) }]; }
+    const list = issueList(data);
+    if (!list) return [{ message: "Expected Issue[] or { issues: Issue[] }" }];
+    return validateIssues(list, { lines: issueLines(rawJSON) });
+  }, [rawJSON, showJSON]);
+  const rawRef = useRef(null);
+  const goToRawLine = (line) => {
+    const ta = rawRef.current;
+    if (!ta) return;
+    const start = rawJSON.split("\n").slice(0, line - 1).reduce((n, l) => n + l.length + 1, 0);
+    const end = rawJSON.indexOf("\n", start);
+    ta.focus();
+    ta.setSelectionRange(start, end === -1 ? rawJSON.length : end);
+    ta.scrollTop = Math.max(0, (line - 3) * (parseFloat(getComputedStyle(ta).lineHeight) || 20));
+  };
+  // Edits in the Raw JSON panel are reviewed like an import, taking the edited values by default.
   const applyRawJSON = () => {
-    try {
-      const parsed = JSON.parse(rawJSON);
-      const incoming = normalizeIncomingJSON(parsed);
-      setIssues(prev => { const next = appendNewIssues(prev, incoming); pushIssues(next); return next; });
-    } catch (e) { alert("Invalid JSON: " + e.message); }
+    try { JSON.parse(rawJSON); }
+    catch (e) { alert(`Invalid JSON${jsonErrorLine(rawJSON, e) ? ` (line ${jsonErrorLine(rawJSON, e)})` : ""}: ${e.message}`); return; }
+    setImportSource({ text: rawJSON, name: "Raw JSON", importer: "board", strategy: "overwrite" });
   };
 
   const resetToFile = () => {
     // Removed: no local file reset
   };
 
-  const handleMaintainerLogin = (e) => {
+  const saveWorkflow = async (next) => {
+    const saved = await sync('Failed to save the workflow', () => api.saveWorkflow(next));
+    if (!saved) return;
+    setWorkflow(saved);
+    setWorkflowOpen(false);
+    showToast('Workflow saved');
+  };
+
+  const saveIdentity = async (profile) => {
+    try {
+      const visitor = me ? await api.updateVisitor(profile) : await api.registerVisitor(profile);
+      setMe(visitor);
+      const next = identityPrompt?.then;
+      setIdentityPrompt(null);
+      if (next === 'addIssue') addIssue(visitor);
+    } catch (e) { alert('Could not save your name: ' + e.message); }
+  };
+
+  const handleMaintainerLogin = async (e) => {
     e.preventDefault();
-    if (maintainerInput === MAINTAINER_KEY) {
-      setRole('maintainer');
+    try {
+      const session = await api.login(maintainerInput);
+      setRole(session.role);
+      if (session.visitor) setMe(session.visitor);
       setMaintainerInput('');
-    } else {
-      alert('Invalid key');
+    } catch (err) {
+      alert(err.status === 401 ? 'Invalid key' : 'Sign-in failed: ' + err.message);
     }
   };
-  const logoutMaintainer = () => setRole('guest');
+  const logoutMaintainer = async () => {
+    setRole('guest');
+    try { await api.logout(); }
+    catch (e) { console.warn('Sign-out request failed', e); }
+  };
 
+  // Restore the role and identity of saved tokens; tokens the server no longer knows are dropped.
   useEffect(() => {
-    // Initial fetch from backend to get shared issues
+    try { localStorage.removeItem(LEGACY_ROLE_LS_KEY); } catch { /* storage disabled */ }
     (async () => {
       try {
-        const res = await fetch(apiUrl('/bugsapi'), { headers: { 'ngrok-skip-browser-warning': '1' } });
-        if (!res.ok) throw new Error(res.status + ' ' + res.statusText);
-        const data = await res.json();
-        if (Array.isArray(data.issues)) setIssues(data.issues);
-      } catch(e) { console.warn('Bugs API initial fetch failed', e); }
-      finally { setLoading(false); }
+        let s = api.hasSession() ? await api.fetchSession() : null;
+        if (s?.role === 'guest' && api.hasMaintainerSession()) {
+          api.setAuthToken(null);
+          s = api.hasSession() ? await api.fetchSession() : null;
+        }
+        if (s && !s.visitor && !api.hasMaintainerSession()) api.setVisitorToken(null);
+        setRole(s?.role ?? 'guest');
+        setMe(s?.visitor ?? null);
+      } catch (e) { console.warn('Session check failed', e); }
     })();
   }, []);
 
-  // Persist to backend after configurable delay; flush on unload/hidden
-  const syncTimerRef = useRef(null);
+  // Opening/closing an issue, sorting or switching views adds a history entry; typing replaces it.
+  const pushNavRef = useRef(false);
   useEffect(() => {
-    if (syncTimerRef.current) clearTimeout(syncTimerRef.current);
-    syncTimerRef.current = setTimeout(async () => {
+    const url = locationFor({ q: search, tag: tagFilter, sort: sortKey, lanes: laneKey, view: viewMode, issue: selectedId });
+    if (url === window.location.pathname + window.location.search + window.location.hash) return;
+    const prev = readLocation();
+    const push = pushNavRef.current || prev.issue !== selectedId || prev.sort !== sortKey || prev.lanes !== laneKey || prev.view !== viewMode;
+    pushNavRef.current = false;
+    window.history[push ? 'pushState' : 'replaceState'](null, '', url);
+  }, [search, tagFilter, sortKey, laneKey, viewMode, selectedId]);
+  useEffect(() => {
+    const onPop = () => {
+      const s = readLocation();
+      setSearch(s.q); setTagFilter(s.tag); setSortKey(s.sort); setLaneKey(s.lanes); setViewMode(s.view); setSelectedId(s.issue);
+    };
+    window.addEventListener('popstate', onPop);
+    return () => window.removeEventListener('popstate', onPop);
+  }, []);
+
+  const [views, setViews] = useState([]);
+  const meId = me?.id;
+  useEffect(() => {
+    if (!meId) { setViews(loadLocalViews()); return; }
+    let cancelled = false;
+    (async () => {
       try {
-        const res = await fetch(apiUrl('/bugsapi'), { headers: { 'ngrok-skip-browser-warning': '1' } });
-        if (!res.ok) throw new Error(res.status + ' ' + res.statusText);
-        const data = await res.json();
-        if (Array.isArray(data.issues)) setIssues(data.issues);
-      } catch (e) {
-        console.warn('Failed to fetch issues during sync', e);
+        let saved = await api.fetchViews();
+        // Views made before picking a name move to the new identity
+        const local = loadLocalViews();
+        if (!saved.length && local.length) { saved = await api.saveViews(local); saveLocalViews([]); }
+        if (!cancelled) setViews(saved);
+      } catch (e) { console.warn('Failed to load saved views', e); }
+    })();
+    return () => { cancelled = true; };
+  }, [meId]);
+  const persistViews = (next) => {
+    setViews(next);
+    if (me) sync('Saving views', () => api.saveViews(next));
+    else saveLocalViews(next);
+  };
+  const applyView = (v) => {
+    pushNavRef.current = true;
+    setSearch(v.q ?? ''); setTagFilter(v.tag ?? ''); setSortKey(SORT_KEYS.includes(v.sort) ? v.sort : DEFAULT_SORT);
+  };
+  const saveCurrentView = () => {
+    const name = window.prompt('Name this view', search.trim().slice(0, 40))?.trim();
+    if (!name) return;
+    persistViews([...views, { id: uid('view'), name: name.slice(0, 40), q: search, tag: tagFilter, sort: sortKey }]);
+  };
+  const removeView = (v) => {
+    if (!window.confirm(`Remove the saved view "${v.name}"?`)) return;
+    persistViews(views.filter(x => x.id !== v.id));
+  };
+
+  useEffect(() => {
+    if (!toast) return;
+    const t = setTimeout(() => setToast(null), TOAST_MS);
+    return () => clearTimeout(t);
+  }, [toast]);
+
+  useEffect(() => {
+    // The local copy shows at once (and is all there is offline); the server copy is merged
+    // over it, keeping issues with writes still in the outbox.
+    const outbox = outboxRef.current;
+    (async () => {
+      const [cached] = await Promise.all([localStoreRef.current.get('board').catch(() => undefined), outbox.start()]);
+      if (Array.isArray(cached?.issues)) {
+        setIssues(prev => prev.length ? prev : cached.issues);
+        adoptWorkflow(cached.workflow);
+        setLoading(false);
       }
-    }, SYNC_DELAY_MS);
+      await refreshRef.current();
+      setLoading(false);
+    })();
+    const goOnline = () => { setOnline(true); refreshRef.current(); };
+    const goOffline = () => setOnline(false);
+    window.addEventListener('online', goOnline);
+    window.addEventListener('offline', goOffline);
+    return () => {
+      outbox.stop();
+      window.removeEventListener('online', goOnline);
+      window.removeEventListener('offline', goOffline);
+    };
+  }, []);
+
+  // Keep the local copy current once it has been loaded
+  useEffect(() => {
+    if (loading) return;
+    const t = setTimeout(() => {
+      localStoreRef.current.set('board', { issues, workflow }).catch(e => console.warn("Couldn't save the local copy", e));
+    }, CACHE_SAVE_MS);
+    return () => clearTimeout(t);
+  }, [issues, workflow, loading]);
+
+  // Without the event stream, refetch a while after each change and when the tab comes
+  // back; pending edits are flushed when it is hidden either way.
+  const syncTimerRef = useRef(null);
+  useEffect(() => {
+    if (syncTimerRef.current) clearTimeout(syncTimerRef.current);
+    if (stream) return;
+    syncTimerRef.current = setTimeout(() => refreshRef.current(), SYNC_DELAY_MS);
     return () => { if (syncTimerRef.current) clearTimeout(syncTimerRef.current); };
-  }, [issues]);
+  }, [issues, stream]);
   useEffect(() => {
     const fetchOnVisibilityChange = async () => {
-      if (document.visibilityState === 'visible') {
-        try {
-          const res = await fetch(apiUrl('/bugsapi'), { headers: { 'ngrok-skip-browser-warning': '1' } });
-          if (!res.ok) throw new Error(res.status + ' ' + res.statusText);
-          const data = await res.json();
-          if (Array.isArray(data.issues)) setIssues(data.issues);
-        } catch (e) {
-          console.warn('Failed to fetch issues on visibility change', e);
-        }
-      }
+      if (document.visibilityState === 'hidden') { patchQueueRef.current.flushAll(); return; }
+      if (document.visibilityState === 'visible' && !stream) refreshRef.current();
     };
     document.addEventListener('visibilitychange', fetchOnVisibilityChange);
     return () => { document.removeEventListener('visibilitychange', fetchOnVisibilityChange); };
-  }, []);
+  }, [stream]);
+
+  // Tell the others which issue is open here (people with a name or maintainers only)
+  const identified = !!me || role === 'maintainer';
+  useEffect(() => {
+    if (!stream || !identified) return;
+    api.setPresence(selectedId ?? null).catch(e => console.warn("Couldn't share presence", e));
+  }, [stream, identified, selectedId]);
+  // One entry per person and issue, and the names per issue for the cards
+  const viewers = useMemo(() => [...new Map(presence.map(v => [`${v.person.id}|${v.viewing}`, v])).values()], [presence]);
+  const viewersById = useMemo(() => {
+    const byId = {};
+    for (const v of viewers) (byId[v.viewing] ??= []).push(v.person.name);
+    return byId;
+  }, [viewers]);
 
   return (
     <div className="min-h-screen bg-slate-50 text-slate-900 dark:bg-slate-950 dark:text-slate-100 transition-colors">
@@ -467,6 +2804,10 @@ export default function App() {
             </div>
             {/* Maintainer auth panel moved right to reduce left clutter */}
             <div className="flex flex-wrap gap-4 items-center justify-end">
+              <button onClick={()=>setIdentityPrompt({})} title={me ? "Change your display name" : "Pick a display name"}
+                className="text-xs text-slate-500 dark:text-slate-300 px-3 py-1 rounded-lg ring-1 ring-slate-300 dark:ring-slate-700 hover:bg-slate-200 dark:hover:bg-slate-800">
+                👤 {me ? me.name : 'Set your name'}{me?.discord ? <span className="opacity-60"> · @{me.discord}</span> : null}
+              </button>
               {role === 'maintainer' ? (
                 <div className="flex items-center gap-2 text-xs bg-emerald-600/10 text-emerald-300 px-3 py-1 rounded-lg ring-1 ring-emerald-500/30">
                   <span>Maintainer</span>
@@ -485,14 +2826,15 @@ export default function App() {
           {/* Filters row */}
           <div className="flex flex-col gap-4 lg:flex-row lg:items-center lg:justify-between">
             <div className="flex flex-wrap gap-2 items-center">
-              <Select value={sortKey} onChange={(e)=>setSortKey(e.target.value)} options={["priority","createdAt","title"]} className="w-28 md:w-32" />
-              <input
-                type="text"
-                placeholder="Search (title / P0)"
-                value={search}
-                onChange={(e)=>setSearch(e.target.value)}
-                className="w-40 md:w-52 rounded-lg bg-white text-slate-900 ring-1 ring-slate-300 px-3 py-2 focus:outline-none focus:ring-2 focus:ring-cyan-500 text-sm dark:bg-slate-800 dark:text-slate-100 dark:ring-slate-700"
-              />
+              <Select value={sortKey} onChange={(e)=>setSortKey(e.target.value)} options={SORT_KEYS} className="w-28 md:w-32" />
+              <div role="group" aria-label="View" className="inline-flex rounded-lg ring-1 ring-slate-300 dark:ring-slate-700 overflow-hidden text-sm">
+                {VIEW_MODES.map(v => (
+                  <button key={v} onClick={()=>setViewMode(v)} aria-pressed={viewMode === v}
+                          className={classNames("px-3 py-2 capitalize", viewMode === v ? "bg-cyan-600 text-white" : "bg-white text-slate-700 hover:bg-slate-100 dark:bg-slate-800 dark:text-slate-200 dark:hover:bg-slate-700")}>{v}</button>
+                ))}
+              </div>
+              {viewMode === 'board' && <Select value={laneKey} onChange={(e)=>setLaneKey(e.target.value)} options={LANE_KEYS} labels={LANE_LABELS} className="w-36 md:w-40" />}
+              <QueryInput value={search} onChange={setSearch} known={queryValues} errors={query.errors} className="w-64 md:w-96" />
               <input
                 type="text"
                 placeholder="Tag filter"
@@ -503,8 +2845,16 @@ export default function App() {
             </div>
             {/* Actions row */}
             <div className="flex flex-wrap gap-2 items-center w-full lg:w-auto [&>*]:shrink-0">
-              <span className="text-xs text-slate-500 dark:text-slate-400 mr-2">{loading? 'Loading…' : syncing? 'Syncing…' : ''}</span>
-              <IconButton title="Add issue" onClick={addIssue}>
+              <SyncStatus loading={loading} offline={offline} pending={connection.pending} saving={syncing > 0} live={!!stream} />
+              <Presence viewers={viewers} onOpen={setSelectedId} />
+              {Object.keys(conflicts).length > 0 && (
+                <button onClick={()=>setSelectedId(Object.keys(conflicts)[0])} className="text-xs text-amber-300 px-2 py-1 rounded-lg ring-1 ring-amber-500/40 hover:bg-amber-500/10">
+                  ⚠ {Object.keys(conflicts).length} conflict{Object.keys(conflicts).length === 1 ? '' : 's'}
+                </button>
+              )}
+              <IconButton title={undoStack.canUndo ? `Undo ${undoStack.undoLabel} (Ctrl+Z)` : 'Nothing to undo'} onClick={undoStack.undo} disabled={!undoStack.canUndo}>↶</IconButton>
+              <IconButton title={undoStack.canRedo ? `Redo ${undoStack.redoLabel} (Ctrl+Shift+Z)` : 'Nothing to redo'} onClick={undoStack.redo} disabled={!undoStack.canRedo}>↷</IconButton>
+              <IconButton title="Add issue" onClick={()=>addIssue()}>
                 <svg width="16" height="16" viewBox="0 0 24 24" fill="none"><path d="M12 5v14M5 12h14" stroke="currentColor" strokeWidth="2" strokeLinecap="round"/></svg>
                 <span>New</span>
               </IconButton>
@@ -512,13 +2862,15 @@ export default function App() {
                 <IconButton title="Reset to bugs.json" onClick={resetToFile}>♻️<span>Reset</span></IconButton>
               )}
               <label className="inline-flex items-center gap-2 cursor-pointer">
-                <input type="file" accept="application/json" className="hidden" onChange={(e)=>{ const f=e.target.files?.[0]; if (f) handleImportFile(f); e.target.value=''; }} />
+                <input type="file" accept="application/json,.json,text/csv,.csv" className="hidden" onChange={(e)=>{ const f=e.target.files?.[0]; if (f) handleImportFile(f); e.target.value=''; }} />
                 <span className="inline-flex items-center gap-2 rounded-lg px-3 py-2 bg-slate-200 text-slate-900 hover:bg-slate-300 ring-1 ring-slate-300 dark:bg-slate-800 dark:text-slate-100 dark:hover:bg-slate-700 dark:ring-slate-700">📁 Import</span>
               </label>
-              <IconButton title="Paste JSON" onClick={()=>setPasteOpen(true)}>📋<span>Paste</span></IconButton>
+              <IconButton title="Paste issues (JSON or CSV)" onClick={()=>setPasteOpen(true)}>📋<span>Paste</span></IconButton>
               <IconButton title="Load from URL" onClick={()=>setUrlOpen(true)}>🔗<span>From URL</span></IconButton>
-              <IconButton title="Download JSON" onClick={()=>downloadJSON("issues.json", issues)}>💾<span>Export</span></IconButton>
+              <IconButton title="Export the filtered view or the selection" onClick={()=>setExportOpen(true)}>💾<span>Export</span></IconButton>
+              <IconButton title="Recent activity" onClick={()=>setShowActivity(v=>!v)}>🕑<span>Activity</span></IconButton>
               <IconButton title="Raw JSON" onClick={()=>setShowJSON(v=>!v)}>{showJSON?"❎":"{}"}<span>Raw</span></IconButton>
+              {role === 'maintainer' && <IconButton title="Statuses, WIP limits and allowed moves" onClick={()=>setWorkflowOpen(true)}>⚙️<span>Workflow</span></IconButton>}
               {/* Theme toggle removed */}
             </div>
           </div>
@@ -526,13 +2878,73 @@ export default function App() {
       </header>
 
       <main className="max-w-7xl mx-auto px-4 py-6">
+        <ViewTabs views={views} current={{ q: search, tag: tagFilter, sort: sortKey }}
+                  onApply={applyView} onSave={saveCurrentView} onRemove={removeView} />
         {/* Board */}
-        <div className="grid md:grid-cols-2 lg:grid-cols-4 gap-4">
-          {allStatuses.map((s) => (
-            <Column key={s} name={s} issues={byStatus[s] ?? []}
-                    onDropIssue={(id, status)=> moveIssueTo(id, status)} onOpenIssue={setSelected} />
-          ))}
-        </div>
+        {viewMode === 'dashboard' ? (
+          <Dashboard issues={filtered} statuses={workflowStatuses} onOpen={(it)=>setSelectedId(it.id)} />
+        ) : viewMode === 'table' ? (<>
+          {checkedIssues.length > 0 && (
+            <BulkBar count={checkedIssues.length} statuses={allStatuses} tags={queryValues.tag} canArchive={!!archiveStatus}
+                     onStatus={(status)=>bulkUpdate(() => ({ status }), `move to ${status}`)}
+                     onPriority={(priority)=>bulkUpdate(() => ({ priority }), `priority ${priority}`)}
+                     onAssign={(assignee)=>bulkUpdate(() => ({ assignee }), assignee ? `assign to ${assignee}` : 'unassign')}
+                     onTag={(tag, add)=>bulkUpdate((i) => {
+                       const has = (i.tags ?? []).includes(tag);
+                       if (has === add) return null;
+                       return { tags: add ? [...(i.tags ?? []), tag] : i.tags.filter(t => t !== tag) };
+                     }, `${add ? 'tag' : 'untag'} ${tag}`)}
+                     onArchive={()=>bulkUpdate(() => ({ status: archiveStatus }), 'archive')}
+                     onDelete={bulkDelete} onClear={()=>setCheckedIds(new Set())} />
+          )}
+          <IssueTable issues={filtered} statusOrder={allStatuses} checked={checkedIds} flashes={flashes} onCheck={checkIds} onOpen={(it)=>setSelectedId(it.id)} />
+        </>) : (() => {
+          const carried = dragging ?? movingIssue;
+          const columns = (r) => { const { byStatus, lane } = rows[r]; return (
+            <div className="grid md:grid-cols-2 lg:grid-cols-4 gap-4">
+              {allStatuses.map((s) => (
+                <Column key={s} name={s} config={workflow.statuses.find(w => w.name === s) ?? null} total={counts[s] ?? 0}
+                        blocked={carried && carried.status !== s ? moveError(carried, s) : null} lane={lane}
+                        ordering={canReorder && !!carried} draggingId={carried?.id} movingId={moving?.id}
+                        moveTarget={moving && moving.row === r && moving.status === s ? { index: moving.index } : null}
+                        onPlace={moving ? (status, index) => dropMoving({ row: r, status, index: canReorder ? index : null }) : undefined}
+                        canMove={canEditIssue} onMoveCard={(it)=>pickUp(it, r)} onCardKeyDown={(e, it)=>onCardKeyDown(e, it, r)}
+                        issues={byStatus[s] ?? []} conflicts={conflicts} flashes={flashes} viewers={viewersById} relations={relations} onDragIssue={setDragging}
+                        onDropIssue={(id, status, from, index)=> {
+                          setDragging(null);
+                          moveIssueTo(id, status, lane === undefined ? null : { from, to: lane },
+                            index === null ? null : { column: (byStatus[s] ?? []).filter(i => i.id !== id), index });
+                        }}
+                        onOpenIssue={(it)=>setSelectedId(it.id)} />
+              ))}
+            </div>
+          ); };
+          if (!lanes) return columns(0);
+          const allCollapsed = lanes.every(l => collapsedLanes[`${laneKey}:${l.value}`]);
+          return (
+            <div className="flex flex-col gap-6">
+              <button onClick={()=>setCollapsedLanes(allCollapsed ? {} : Object.fromEntries(lanes.map(l => [`${laneKey}:${l.value}`, true])))}
+                      className="self-end text-xs text-slate-500 hover:text-slate-900 dark:text-slate-400 dark:hover:text-slate-100">
+                {allCollapsed ? 'Expand all lanes' : 'Collapse all lanes'}
+              </button>
+              {lanes.map((lane, r) => {
+                const key = `${laneKey}:${lane.value}`;
+                const collapsed = !!collapsedLanes[key];
+                return (
+                  <section key={key} aria-label={lane.label}>
+                    <button onClick={()=>setCollapsedLanes(prev => ({ ...prev, [key]: !collapsed }))} aria-expanded={!collapsed}
+                            className="mb-2 flex items-center gap-2 text-sm font-semibold text-slate-700 hover:text-slate-900 dark:text-slate-300 dark:hover:text-slate-100">
+                      <span className="w-3 text-slate-400">{collapsed ? '▸' : '▾'}</span>
+                      {lane.label}
+                      <span className="font-normal text-xs text-slate-500 dark:text-slate-400">{lane.issues.length}</span>
+                    </button>
+                    {!collapsed && columns(r)}
+                  </section>
+                );
+              })}
+            </div>
+          );
+        })()}
 
         {/* Empty state helper */}
         {issues.length === 0 && !loading && (
@@ -545,12 +2957,20 @@ export default function App() {
           <div className="mt-10 mx-auto max-w-xl text-center text-slate-400 text-sm">Loading issues…</div>
         )}
 
+        {showActivity && <ActivityFeed issues={issues} onOpen={(it)=>setSelectedId(it.id)} />}
+
         {/* Raw JSON panel */}
         {showJSON && (
           <div className="mt-6 grid grid-cols-1 lg:grid-cols-2 gap-4">
             <div className="rounded-2xl ring-1 ring-slate-800 bg-slate-900 p-4">
               <h3 className="font-semibold text-slate-200 mb-2">Raw JSON (editable)</h3>
-              <TextArea rows={18} value={rawJSON} onChange={(e)=>setRawJSON(e.target.value)} />
+              <TextArea ref={rawRef} rows={18} value={rawJSON} onChange={(e)=>setRawJSON(e.target.value)} spellCheck={false} className="font-mono text-xs" />
+              {rawProblems.length > 0 && (
+                <div className="mt-2 rounded-lg bg-rose-500/10 p-2 ring-1 ring-rose-500/40">
+                  <p className="text-xs font-semibold text-rose-300">{plural(rawProblems.length, "problem")}. Apply opens a review where they can be repaired.</p>
+                  <ProblemList problems={rawProblems} onGoTo={goToRawLine} />
+                </div>
+              )}
               <div className="mt-3 flex gap-2">
                 <IconButton title="Apply JSON" onClick={applyRawJSON}>✅<span>Apply</span></IconButton>
                 <IconButton title="Pretty print" onClick={()=>setRawJSON(JSON.stringify(JSON.parse(rawJSON), null, 2))}>✨<span>Format</span></IconButton>
@@ -564,7 +2984,7 @@ export default function App() {
 - { items: Issue[] }
 - { bugs: Issue[] }
 
-Issue fields: {
+Issue fields (optional ones may also be null): {
   id: string,
   title: string,
   description?: string,
@@ -574,19 +2994,46 @@ Issue fields: {
   tags?: string[],
   createdAt?: ISO string,
   updatedAt?: ISO string,
-  comments?: { id: string, author?: string, body: string, createdAt: ISO }[]
-}`}</pre>
+  rank?: string,
+  links?: { type: "blocks"|"parent"|"duplicates", id: string }[],
+  attachments?: { url: string, … }[],
+  createdBy?: { id: string, name?: string },
+  comments?: {
+    body: string,
+    id?: string,
+    parentId?: string,
+    author?: string,
+    createdAt?: ISO string,
+    reactions?: { [emoji]: { id, name }[] }
+  }[]
+}
+An issue can't link to itself.`}</pre>
             </div>
           </div>
         )}
       </main>
 
       {/* Edit modal */}
-      <Modal open={!!draft || !!selected} onClose={() => { if (draft) setDraft(null); else setSelected(null); }}>
-        {(draft || selected) && (() => { const current = draft || selected; const canEdit = draft ? true : (role==='maintainer' || current.createdByVisitor); return (
-          <div className="grid grid-cols-1 md:grid-cols-2 gap-4">
+      <Modal open={!!draft || !!selected} onClose={() => { if (draft) setDraft(null); else setSelectedId(null); }}>
+        {(draft || selected) && (() => { const current = draft || selected; const canEdit = draft ? true : canEditIssue(current); return (
+          <div className="grid grid-cols-1 md:grid-cols-2 gap-4 max-h-[85vh] overflow-auto pr-1">
+            {!draft && conflicts[current.id] && (
+              <ConflictPanel key={`${current.id}:${conflicts[current.id].remote.rev}`} conflict={conflicts[current.id]} onResolve={(choices)=>resolveConflict(current.id, choices)} />
+            )}
             <div className="md:col-span-2 flex items-center justify-between">
-              <h2 className="text-lg font-semibold text-slate-900 dark:text-slate-100">{draft ? 'New issue (unsaved)' : (canEdit ? 'Edit' : 'View') } #{current.id}</h2>
+              <div>
+                <h2 className="text-lg font-semibold text-slate-900 dark:text-slate-100">{draft ? 'New issue (unsaved)' : (canEdit ? 'Edit' : 'View') } #{current.id}</h2>
+                {current.createdBy && <p className="text-xs text-slate-500 dark:text-slate-400">Filed by {current.createdBy.name}{me && current.createdBy.id === me.id ? ' (you)' : ''}</p>}
+                {!draft && viewersById[current.id] && <p className="text-xs text-violet-600 dark:text-violet-300">👁 Also viewing: {viewersById[current.id].join(', ')}</p>}
+                {!draft && (
+                  <div className="mt-2 flex gap-1 text-xs">
+                    {[['details', 'Details'], ['timeline', `Timeline (${current.history?.length ?? 0})`]].map(([key, label]) => (
+                      <button key={key} onClick={()=>setModalTab(key)}
+                        className={classNames("px-2 py-1 rounded", modalTab === key ? "bg-cyan-600 text-white" : "text-slate-500 hover:bg-slate-200 dark:text-slate-400 dark:hover:bg-slate-800")}>{label}</button>
+                    ))}
+                  </div>
+                )}
+              </div>
               <div className="flex gap-2">
                 {draft ? (
                   <>
@@ -596,81 +3043,97 @@ Issue fields: {
                   </>
                 ) : (
                   <>
-                    {(role==='maintainer' || current.createdByVisitor) && (
+                    {canEdit && (
                       <IconButton title="Delete" onClick={()=>deleteIssue(current.id)}>🗑️<span>Delete</span></IconButton>
                     )}
-                    <IconButton title="Close" onClick={()=>setSelected(null)}>✖️<span>Close</span></IconButton>
+                    <IconButton title="Close" onClick={()=>setSelectedId(null)}>✖️<span>Close</span></IconButton>
                   </>
                 )}
               </div>
             </div>
-            <div>
-              <label className="text-sm text-slate-600 dark:text-slate-300">Title</label>
-              <TextInput disabled={!canEdit} value={current.title} onChange={(e)=>updateIssue(current.id, { title: e.target.value })} />
-            </div>
-            <div>
-              <label className="text-sm text-slate-600 dark:text-slate-300">Assignee</label>
-              <TextInput disabled={!canEdit} value={current.assignee||""} onChange={(e)=>updateIssue(current.id, { assignee: e.target.value })} />
-            </div>
-            <div className="md:col-span-2">
-              <label className="text-sm text-slate-600 dark:text-slate-300">Description</label>
-              <TextArea disabled={!canEdit} rows={4} value={current.description||""} onChange={(e)=>updateIssue(current.id, { description: e.target.value })} />
-            </div>
-            <div>
-              <label className="text-sm text-slate-600 dark:text-slate-300">Status</label>
-              <Select value={current.status} onChange={(e)=>{ if(canEdit) updateIssue(current.id, { status: e.target.value }); }} options={allStatuses} className={!canEdit?'pointer-events-none opacity-60':''} />
-            </div>
-            <div>
-              <label className="text-sm text-slate-600 dark:text-slate-300">Priority</label>
-              <Select value={current.priority||"P2"} onChange={(e)=>{ if(canEdit) updateIssue(current.id, { priority: e.target.value }); }} options={["P0","P1","P2","P3"]} className={!canEdit?'pointer-events-none opacity-60':''} />
-            </div>
-            <div className="md:col-span-2">
-              <label className="text-sm text-slate-600 dark:text-slate-300">Tags (comma separated)</label>
-              <TextInput disabled={!canEdit} value={(current.tags||[]).join(", ")} onChange={(e)=>updateIssue(current.id, { tags: e.target.value.split(",").map(s=>s.trim()).filter(Boolean) })} />
-            </div>
-            <div>
-              <label className="text-sm text-slate-600 dark:text-slate-300">Created</label>
-              <TextInput value={current.createdAt||""} onChange={(e)=>updateIssue(current.id, { createdAt: e.target.value })} />
-            </div>
-            <div>
-              <label className="text-sm text-slate-600 dark:text-slate-300">Updated</label>
-              <TextInput value={current.updatedAt||""} onChange={(e)=>updateIssue(current.id, { updatedAt: e.target.value })} />
-            </div>
-            <div className="md:col-span-2">
-              <label className="text-sm text-slate-600 dark:text-slate-300">Comments</label>
-              <div className="space-y-2 max-h-40 overflow-auto pr-1">
-                {(current.comments||[]).map(c => (
-                  <div key={c.id} className="rounded-lg bg-slate-100 dark:bg-slate-800 ring-1 ring-slate-300 dark:ring-slate-700 p-2">
-                    <div className="text-xs text-slate-500 dark:text-slate-400 mb-1">{c.author || "anon"} · {new Date(c.createdAt).toLocaleString()}</div>
-                    <div className="text-sm text-slate-800 dark:text-slate-200 whitespace-pre-wrap">{c.body}</div>
-                  </div>
-                ))}
+            {!draft && (
+              <DuplicatePanel key={current.id} issue={current} issues={issues} candidates={duplicateCandidates} canManage={role === 'maintainer'}
+                onOpen={setSelectedId} onMark={(id)=>markDuplicate(current, id)} onUnmark={(id)=>unmarkDuplicate(current, id)} />
+            )}
+            {!draft && (
+              <LinksPanel key={`links-${current.id}`} issue={current} issues={issues} relation={relations.get(current.id)} canEdit={canEditIssue}
+                onOpen={setSelectedId} onLink={(choice, id)=>linkIssues(current, choice, id)} onUnlink={unlinkIssues} />
+            )}
+            {!draft && modalTab === 'timeline' ? (
+              <HistoryTimeline issue={current} />
+            ) : (<>
+              <div>
+                <label className="text-sm text-slate-600 dark:text-slate-300">Title</label>
+                <TextInput disabled={!canEdit} value={current.title} onChange={(e)=>updateIssue(current.id, { title: e.target.value })} />
               </div>
-              {canEdit && (
-                <div className="mt-2 flex gap-2">
-                  <TextInput placeholder="Add a comment…" onKeyDown={(e)=>{
-                    if (e.key === 'Enter' && e.currentTarget.value.trim()) {
-                      const body = e.currentTarget.value.trim();
-                      const c = { id: uid("c"), author: role==='maintainer'? 'maintainer':'' , body, createdAt: new Date().toISOString() };
-                      updateIssue(current.id, { comments: [...(current.comments||[]), c] });
-                      e.currentTarget.value = "";
-                    }
-                  }} />
-                  <span className="text-xs text-slate-400 self-center">Press Enter</span>
-                </div>
-              )}
-            </div>
+              <div>
+                <label className="text-sm text-slate-600 dark:text-slate-300">Assignee</label>
+                <TextInput disabled={!canEdit} value={current.assignee||""} onChange={(e)=>updateIssue(current.id, { assignee: e.target.value })} />
+              </div>
+              <div className="md:col-span-2">
+                <label className="text-sm text-slate-600 dark:text-slate-300">Description</label>
+                <MarkdownEditor key={current.id} disabled={!canEdit} rows={6} value={current.description||""} onChange={(description)=>updateIssue(current.id, { description })}
+                                onUpload={uploadImage} onAttach={(added)=>updateIssue(current.id, { attachments: [...(current.attachments||[]), ...added] })} />
+                <AttachmentList attachments={current.attachments}
+                                onRemove={canEdit ? (a)=>updateIssue(current.id, { attachments: current.attachments.filter(x => x.id !== a.id) }) : undefined} />
+              </div>
+              {draft && <DuplicateSuggestions matches={draftDuplicates} onOpen={openInsteadOfDraft} />}
+              <div>
+                <label className="text-sm text-slate-600 dark:text-slate-300">Status</label>
+                {(() => {
+                  const blocked = allStatuses.filter(st => st !== current.status).map(st => [st, moveError(current, st)]).filter(([, why]) => why);
+                  return (<>
+                    <Select value={current.status} onChange={(e)=>{ if(canEdit && !moveError(current, e.target.value)) updateIssue(current.id, { status: e.target.value }); }}
+                            options={allStatuses.includes(current.status) ? allStatuses : [current.status, ...allStatuses]} disabledOptions={blocked.map(([st]) => st)}
+                            className={!canEdit?'pointer-events-none opacity-60':''} />
+                    {canEdit && blocked.length > 0 && (
+                      <ul className="mt-1 text-xs text-slate-500 dark:text-slate-400">
+                        {blocked.map(([st, why]) => <li key={st}>{why}</li>)}
+                      </ul>
+                    )}
+                  </>);
+                })()}
+              </div>
+              <div>
+                <label className="text-sm text-slate-600 dark:text-slate-300">Priority</label>
+                <Select value={current.priority||"P2"} onChange={(e)=>{ if(canEdit) updateIssue(current.id, { priority: e.target.value }); }} options={["P0","P1","P2","P3"]} className={!canEdit?'pointer-events-none opacity-60':''} />
+              </div>
+              <div className="md:col-span-2">
+                <label className="text-sm text-slate-600 dark:text-slate-300">Tags (comma separated)</label>
+                <TextInput disabled={!canEdit} value={(current.tags||[]).join(", ")} onChange={(e)=>updateIssue(current.id, { tags: e.target.value.split(",").map(s=>s.trim()).filter(Boolean) })} />
+              </div>
+              <div>
+                <label className="text-sm text-slate-600 dark:text-slate-300">Created</label>
+                <DateTimeInput value={current.createdAt} disabled={!draft} title={draft ? undefined : "Set when the issue was filed"}
+                               onChange={(iso)=>updateIssue(current.id, { createdAt: iso })} />
+              </div>
+              <div>
+                <label className="text-sm text-slate-600 dark:text-slate-300">Updated</label>
+                <DateTimeInput value={current.updatedAt} disabled={!canEdit} onChange={(iso)=>updateIssue(current.id, { updatedAt: iso })} />
+              </div>
+              <div className="md:col-span-2">
+                <label className="text-sm text-slate-600 dark:text-slate-300">Comments</label>
+                <CommentThreads key={current.id} comments={current.comments || []} viewer={currentAuthor} canModerate={role === 'maintainer'}
+                                mentions={[...queryValues.assignee.slice(2), ...queryValues.author, ...(current.comments || []).map(c => c.author)]}
+                                onAdd={(body, parentId) => addComment(current, body, parentId)}
+                                onEdit={(commentId, body) => editComment(current, commentId, body)}
+                                onDelete={(commentId) => deleteComment(current, commentId)}
+                                onReact={(commentId, emoji, on) => reactToComment(current, commentId, emoji, on)}
+                                onUpload={uploadImage} onAttach={canEdit ? (added)=>updateIssue(current.id, { attachments: [...(current.attachments||[]), ...added] }) : undefined}
+                                onIdentify={() => setIdentityPrompt({})} />
+              </div>
+            </>)}
           </div>
         ); })()}
       </Modal>
-      {/* Paste JSON modal */}
+      {/* Paste modal */}
       <Modal open={pasteOpen} onClose={()=>setPasteOpen(false)}>
-        <h3 className="text-lg font-semibold text-slate-100 mb-3">Paste JSON</h3>
-        <TextArea rows={12} placeholder="Paste Issue[] or { issues: Issue[] } here…" id="paste-area" />
+        <h3 className="text-lg font-semibold text-slate-100 mb-3">Paste issues</h3>
+        <TextArea rows={12} placeholder="Paste Issue[] or { issues: Issue[] }, a GitHub or Jira JSON export, or CSV with a header row…" id="paste-area" />
         <div className="mt-3 flex gap-2">
           <IconButton title="Load" onClick={()=>{
             const ta = document.getElementById("paste-area");
-            if (ta && "value" in ta) handlePasteJSON(ta.value);
+            if (ta && "value" in ta) handlePasteImport(ta.value);
           }}>✅<span>Load</span></IconButton>
           <IconButton title="Cancel" onClick={()=>setPasteOpen(false)}>✖️<span>Cancel</span></IconButton>
         </div>
@@ -678,16 +3141,54 @@ Issue fields: {
 
       {/* URL modal */}
       <Modal open={urlOpen} onClose={()=>setUrlOpen(false)}>
-        <h3 className="text-lg font-semibold text-slate-100 mb-3">Load JSON from URL</h3>
-        <TextInput ref={urlInputRef} placeholder="https://example.com/issues.json" />
+        <h3 className="text-lg font-semibold text-slate-100 mb-3">Load issues from URL</h3>
+        <TextInput ref={urlInputRef} placeholder="https://example.com/issues.json (JSON or CSV)" />
         <div className="mt-3 flex gap-2">
           <IconButton title="Fetch" onClick={handleFetchURL}>🔗<span>Fetch</span></IconButton>
           <IconButton title="Cancel" onClick={()=>setUrlOpen(false)}>✖️<span>Cancel</span></IconButton>
         </div>
       </Modal>
 
+      {/* Export */}
+      <Modal open={exportOpen} onClose={()=>setExportOpen(false)}>
+        {exportOpen && <ExportDialog statuses={allStatuses} onCopied={showToast} onClose={()=>setExportOpen(false)}
+                                     scopes={[
+                                       { id: "view", label: "Filtered view", issues: filtered },
+                                       ...(checkedIssues.length ? [{ id: "selected", label: "Selected", issues: checkedIssues }] : []),
+                                       { id: "all", label: "All issues", issues },
+                                     ]} />}
+      </Modal>
+
+      {/* Import mapping */}
+      <Modal open={!!importSource} onClose={()=>setImportSource(null)}>
+        {importSource && <ImportDialog source={importSource} statuses={allStatuses} issues={issues}
+                                       onImport={applyImport} onCancel={()=>setImportSource(null)} />}
+      </Modal>
+
+      {/* Visitor identity modal */}
+      <Modal open={!!identityPrompt} onClose={()=>setIdentityPrompt(null)}>
+        {identityPrompt && <IdentityForm me={me} onSave={saveIdentity} onCancel={()=>setIdentityPrompt(null)} />}
+      </Modal>
+
+      {/* Workflow editor (maintainers) */}
+      <Modal open={workflowOpen} onClose={()=>setWorkflowOpen(false)}>
+        {workflowOpen && <WorkflowEditor workflow={workflow} onSave={saveWorkflow} onCancel={()=>setWorkflowOpen(false)} />}
+      </Modal>
+
+      {moving && movingIssue && (
+        <div role="region" aria-label="Moving a card" className="fixed top-4 left-1/2 -translate-x-1/2 z-[60] flex items-center gap-3 rounded-xl bg-slate-900 text-slate-100 ring-1 ring-cyan-600 px-4 py-2 text-sm shadow-xl">
+          <span>Moving #{moving.id} to <strong>{describeTarget(moving, moving.id)}</strong> — tap a column, or use the arrow keys and Enter.</span>
+          <button onClick={()=>dropMoving()} className="font-semibold text-cyan-400 hover:text-cyan-300">Drop</button>
+          <button onClick={cancelMove} className="text-slate-400 hover:text-slate-200">Cancel</button>
+        </div>
+      )}
+      <p id="card-help" className="sr-only">Enter opens the issue. Space picks the card up so the arrow keys can move it. Arrow keys go to neighbouring cards.</p>
+      <div aria-live="assertive" aria-atomic="true" className="sr-only">{announcement}</div>
+
+      <Toast toast={toast} onClose={()=>setToast(null)} />
+
       <footer className="mt-10 pb-10 text-center text-xs text-slate-500">
-        Built with ❤️ — everything stays in your browser.
+        Built with ❤️ — issues live on the shared board; this browser keeps a copy so you can keep working offline.
       </footer>
     </div>
   );
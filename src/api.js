@@ -0,0 +1,180 @@
+// Thin client for the /bugsapi endpoints (see server/).
+
+// Configurable API base: use env, else same-origin (the bundled server in server/, or the Vite dev proxy)
+export const API_BASE = import.meta.env.VITE_BUGS_API_BASE || '';
+export function apiUrl(path) { return `${API_BASE}${path}`; }
+export const SYNC_DELAY_MS = Number(import.meta.env.VITE_BUGS_SYNC_DELAY_MS) || 10000; // default 10s, while the event stream is down
+const API_HEADERS = { 'Content-Type': 'application/json', 'ngrok-skip-browser-warning': '1' };
+const SESSION_LS_KEY = 'exotics-bugs-session';
+const VISITOR_LS_KEY = 'exotics-bugs-visitor';
+
+// Bearer tokens: a maintainer session from POST /bugsapi/session and a long-lived visitor
+// token from POST /bugsapi/visitors. The maintainer one wins while it exists; the role and
+// identity they stand for are only ever decided by the server.
+function readToken(key) {
+  try { return localStorage.getItem(key); } catch { return null; }
+}
+function storeToken(key, token) {
+  try {
+    if (token) localStorage.setItem(key, token);
+    else localStorage.removeItem(key);
+  } catch { /* storage disabled */ }
+}
+let authToken = readToken(SESSION_LS_KEY);
+let visitorToken = readToken(VISITOR_LS_KEY);
+export function setAuthToken(token) { authToken = token || null; storeToken(SESSION_LS_KEY, authToken); }
+export function setVisitorToken(token) { visitorToken = token || null; storeToken(VISITOR_LS_KEY, visitorToken); }
+export const hasSession = () => !!(authToken || visitorToken);
+export const hasMaintainerSession = () => !!authToken;
+
+export class ApiError extends Error {
+  constructor(status, message, body) {
+    super(message);
+    this.status = status;
+    this.body = body;
+  }
+}
+
+// `rev` becomes an If-Match precondition; the server answers 409 (with `current`) when it is stale.
+// A Blob body is sent as is, with its own type; anything else as JSON.
+async function request(path, { method = 'GET', body, rev } = {}) {
+  const raw = body instanceof Blob;
+  const res = await fetch(apiUrl(path), {
+    method,
+    headers: {
+      ...(body === undefined ? { 'ngrok-skip-browser-warning': '1' } : raw ? { 'Content-Type': body.type || 'application/octet-stream', 'ngrok-skip-browser-warning': '1' } : API_HEADERS),
+      ...(rev === undefined ? {} : { 'If-Match': `"${rev}"` }),
+      ...(authToken || visitorToken ? { Authorization: `Bearer ${authToken || visitorToken}` } : {}),
+      ...(connectionId ? { 'X-Bugs-Connection': connectionId } : {}),
+    },
+    body: body === undefined || raw ? body : JSON.stringify(body),
+  });
+  const data = res.status === 204 ? null : await res.json().catch(() => null);
+  if (!res.ok) throw new ApiError(res.status, data?.error || `${res.status} ${res.statusText}`, data);
+  return data;
+}
+
+const issuePath = (id) => `/bugsapi/issues/${encodeURIComponent(id)}`;
+
+export const fetchIssues = () => request('/bugsapi');
+export const replaceIssues = (issues) => request('/bugsapi', { method: 'PUT', body: { issues } });
+export const createIssue = (issue) => request('/bugsapi/issues', { method: 'POST', body: issue });
+export const createIssues = (issues) => request('/bugsapi/issues', { method: 'POST', body: { issues } });
+export const patchIssue = (id, patch, rev) => request(issuePath(id), { method: 'PATCH', body: patch, rev });
+export const removeIssue = (id, rev) => request(issuePath(id), { method: 'DELETE', rev });
+
+const commentPath = (id, commentId) => `${issuePath(id)}/comments${commentId ? `/${encodeURIComponent(commentId)}` : ''}`;
+export const addComment = (id, comment) => request(commentPath(id), { method: 'POST', body: comment });
+export const editComment = (id, commentId, body) => request(commentPath(id, commentId), { method: 'PATCH', body: { body } });
+export const deleteComment = (id, commentId) => request(commentPath(id, commentId), { method: 'DELETE' });
+export const setReaction = (id, commentId, emoji, on) =>
+  request(`${commentPath(id, commentId)}/reactions/${encodeURIComponent(emoji)}`, { method: on ? 'PUT' : 'DELETE' });
+
+// Performs one outbox entry (see offline.js). Every issue and comment write goes this way.
+export function sendWrite(entry) {
+  switch (entry.type) {
+    case 'create': return createIssue(entry.issue);
+    case 'import': return createIssues(entry.issues);
+    case 'patch': return patchIssue(entry.id, entry.patch, entry.rev);
+    case 'delete': return removeIssue(entry.id, entry.rev);
+    case 'addComment': return addComment(entry.id, entry.comment);
+    case 'editComment': return editComment(entry.id, entry.commentId, entry.body);
+    case 'deleteComment': return deleteComment(entry.id, entry.commentId);
+    case 'reaction': return setReaction(entry.id, entry.commentId, entry.emoji, entry.on);
+    default: return Promise.reject(new ApiError(400, `Unknown write "${entry.type}"`));
+  }
+}
+
+// Server push (server/events.js). `handlers` maps event names (hello, issue, delete, workflow,
+// presence, plus the stream's own open and error) to callbacks; returns a function that
+// closes the stream. While it is open, writes carry its id so their events can be told apart.
+let connectionId = null;
+export const streamId = () => connectionId;
+export function subscribe(handlers) {
+  if (typeof EventSource === 'undefined') return () => {};
+  const source = new EventSource(apiUrl('/bugsapi/events'));
+  source.addEventListener('hello', (e) => { connectionId = JSON.parse(e.data).connection; });
+  source.addEventListener('error', () => { connectionId = null; });
+  for (const [name, fn] of Object.entries(handlers)) {
+    source.addEventListener(name, (e) => (e.data === undefined ? fn() : fn(JSON.parse(e.data))));
+  }
+  return () => { source.close(); connectionId = null; };
+}
+export const setPresence = (viewing) => (connectionId
+  ? request('/bugsapi/presence', { method: 'PUT', body: { connection: connectionId, viewing } })
+  : Promise.resolve(null));
+
+export const uploadAttachment = (file) => request(`/bugsapi/attachments?name=${encodeURIComponent(file.name || 'image')}`, { method: 'POST', body: file });
+
+export const saveWorkflow = (workflow) => request('/bugsapi/workflow', { method: 'PUT', body: { workflow } }).then(r => r.workflow);
+
+export const fetchSession = () => request('/bugsapi/session');
+export async function login(key) {
+  setAuthToken(null);
+  const session = await request('/bugsapi/session', { method: 'POST', body: { key } });
+  setAuthToken(session.token);
+  return session;
+}
+export async function logout() {
+  try { await request('/bugsapi/session', { method: 'DELETE' }); }
+  finally { setAuthToken(null); }
+}
+
+export async function registerVisitor(profile) {
+  setVisitorToken(null);
+  const auth = authToken;
+  authToken = null; // register as the visitor, not as the maintainer session
+  try {
+    const { visitor, token } = await request('/bugsapi/visitors', { method: 'POST', body: profile });
+    setVisitorToken(token);
+    return visitor;
+  } finally { authToken = auth; }
+}
+export const updateVisitor = (profile) => request('/bugsapi/visitors/me', { method: 'PATCH', body: profile }).then(r => r.visitor);
+export const fetchViews = () => request('/bugsapi/visitors/me/views').then(r => r.views ?? []);
+export const saveViews = (views) => request('/bugsapi/visitors/me/views', { method: 'PUT', body: { views } }).then(r => r.views);
+
+// Merges field patches per issue and hands them to `send(id, patch, baseRev)` once the issue
+// has been quiet for `delay` ms, so typing in the modal produces one PATCH, not one per key.
+// `send` puts the patch in the outbox (offline.js), which sends writes in order and gives a
+// patch the rev that an earlier one for the same issue produced.
+export function createPatchQueue(send, delay) {
+  const pending = new Map(); // id -> { patch, baseRev, timer }
+  const inflight = new Map(); // id -> Promise of the last patch sent
+  const tracked = new Map(); // id -> number of other writes (create/delete) in flight
+  const held = new Set(); // ids with an unresolved conflict
+
+  const drop = (id) => {
+    const entry = pending.get(id);
+    if (entry) clearTimeout(entry.timer);
+    pending.delete(id);
+    return entry;
+  };
+  const flush = (id) => {
+    const entry = drop(id);
+    if (!entry) return inflight.get(id);
+    const run = send(id, entry.patch, entry.baseRev);
+    inflight.set(id, run);
+    run.catch(() => null).finally(() => { if (inflight.get(id) === run) inflight.delete(id); });
+    return run;
+  };
+  return {
+    queue(id, patch, baseRev) {
+      const prev = drop(id);
+      pending.set(id, { patch: { ...prev?.patch, ...patch }, baseRev: prev ? prev.baseRev : baseRev, timer: setTimeout(() => flush(id), delay) });
+    },
+    flush,
+    flushAll() { for (const id of [...pending.keys()]) flush(id); },
+    drop: (id) => drop(id)?.patch,
+    track(id, promise) {
+      tracked.set(id, (tracked.get(id) ?? 0) + 1);
+      const done = () => { const n = tracked.get(id) - 1; if (n) tracked.set(id, n); else tracked.delete(id); };
+      promise.then(done, done);
+      return promise;
+    },
+    hold: (id) => { held.add(id); },
+    release: (id) => { held.delete(id); },
+    // True while a local write for `id` hasn't landed (or is in conflict); a refetch must not overwrite it.
+    busy: (id) => pending.has(id) || inflight.has(id) || tracked.has(id) || held.has(id),
+  };
+}
@@ -0,0 +1,38 @@
+// Comment threads, shared by the board and the server (server/comments.js).
+//
+// Comment = { id, parentId?, author, createdBy?: Person, body, createdAt,
+//             editedAt?, deletedAt?, reactions?: { [emoji]: Person[] } }
+// Threads are one level deep: replying to a reply joins the same thread. A deleted
+// comment keeps its place with an empty body, so the replies under it still read right.
+
+export const REACTIONS = ["👍", "👎", "😄", "🎉", "😕", "❤️", "🚀", "👀"];
+export const MAX_COMMENT_LENGTH = 10000;
+
+// What a person is @mentioned as: "@Ana_Lopez" for "Ana Lopez".
+export const mentionHandle = (name) => String(name ?? "").trim().replace(/\s+/g, "_");
+
+// [{ comment, replies }] in posting order. Replies whose thread is gone become threads of
+// their own; deleted comments are left out unless they still have replies to hold up.
+export function commentThreads(comments = []) {
+  const threads = [];
+  const byId = new Map();
+  for (const c of comments) {
+    const parent = c.parentId && byId.get(c.parentId);
+    if (parent) { parent.replies.push(c); continue; }
+    const thread = { comment: c, replies: [] };
+    threads.push(thread);
+    byId.set(c.id, thread);
+  }
+  return threads
+    .map(t => ({ ...t, replies: t.replies.filter(r => !r.deletedAt) }))
+    .filter(t => !t.comment.deletedAt || t.replies.length);
+}
+
+// Reactions as stored, or undefined when there is nothing valid left.
+export function cleanReactions(raw) {
+  if (!raw || typeof raw !== "object") return undefined;
+  const entries = REACTIONS
+    .map(e => [e, Array.isArray(raw[e]) ? raw[e].filter(p => p && typeof p.id === "string") : []])
+    .filter(([, people]) => people.length);
+  return entries.length ? Object.fromEntries(entries) : undefined;
+}
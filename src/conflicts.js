@@ -0,0 +1,32 @@
+// Helpers for reconciling local edits with the server copy (see createPatchQueue in api.js).
+
+const same = (a, b) => JSON.stringify(a ?? null) === JSON.stringify(b ?? null);
+
+// Merge a fetched list into local state without losing writes that haven't landed:
+// issues with a pending/in-flight write (or an open conflict) keep their local copy,
+// local issues still being created stay, and issues being deleted stay gone.
+export function mergeRemote(local, remote, isHeld) {
+  const localById = new Map(local.map(i => [i.id, i]));
+  const remoteIds = new Set(remote.map(i => i.id));
+  const merged = remote.flatMap(r => {
+    const l = localById.get(r.id);
+    if (!l) return isHeld(r.id) ? [] : [r];
+    return isHeld(r.id) || (l.rev ?? 0) > (r.rev ?? 0) ? [l] : [r];
+  });
+  const unsent = local.filter(l => !remoteIds.has(l.id) && isHeld(l.id));
+  return [...unsent, ...merged];
+}
+
+// Fields from the rejected local patch that differ from the server copy and need a decision.
+// (Comments never conflict: they are saved through their own endpoints.)
+export function conflictFields({ local, remote }) {
+  return Object.keys(local).filter(k => k !== 'updatedAt' && k !== 'comments' && !same(local[k], remote[k]));
+}
+
+// Build the patch that resolves a conflict. `choices` maps field -> 'local' | 'remote'
+// (fields without a choice keep the local value).
+export function resolutionPatch({ local, remote }, choices) {
+  const patch = {};
+  for (const k of conflictFields({ local, remote })) if (choices[k] !== 'remote') patch[k] = local[k];
+  return patch;
+}
@@ -0,0 +1,69 @@
+// Likely duplicates of an issue, by local text similarity: TF-IDF weighted cosine over the
+// words of the title (which counts double), the description and the tags. Words shared by
+// most issues weigh little, so "login" matches strongly on a board of listings bugs and
+// hardly at all on a board of auth bugs. Everything runs in the browser.
+import { plainText } from "./markdown.js";
+
+const STOP_WORDS = new Set(("a about after an and any are as at be been but by can cannot could do does doesn for from " +
+  "has have how i if in into is it its may no not of on or our should so some than that the then there these this " +
+  "to too up was we were what when which while who will with would you your").split(" "));
+
+// Plurals and -ing/-ed endings are folded ("logging" and "logs" both read "log").
+function stem(word) {
+  if (word.length <= 4) return word;
+  const bare = word.replace(/(ing|ed|es|s)$/, "");
+  return bare.length > 2 && /([b-df-hj-np-tv-z])\1$/.test(bare) ? bare.slice(0, -1) : bare;
+}
+
+export const terms = (text) => (String(text ?? "").toLowerCase().match(/[\p{L}\p{N}]+/gu) ?? [])
+  .filter(w => w.length > 1 && !STOP_WORDS.has(w))
+  .map(stem);
+
+function issueTerms(issue) {
+  const title = terms(issue.title);
+  return [...title, ...title, ...terms(plainText(issue.description ?? "")), ...(issue.tags ?? []).flatMap(terms)];
+}
+
+function countTerms(list) {
+  const counts = new Map();
+  for (const t of list) counts.set(t, (counts.get(t) ?? 0) + 1);
+  return counts;
+}
+
+// Built once per list of issues. `similar(issue)` answers [{ issue, score, shared }], best
+// first, where `score` is 0..1 and `shared` lists the words both have.
+export function createDuplicateIndex(issues) {
+  const docs = issues.map(issue => ({ issue, counts: countTerms(issueTerms(issue)) }));
+  const df = new Map();
+  for (const { counts } of docs) for (const t of counts.keys()) df.set(t, (df.get(t) ?? 0) + 1);
+  const idf = (t) => Math.log((docs.length + 1) / ((df.get(t) ?? 0) + 1)) + 1;
+  const vector = (counts) => {
+    const weights = new Map();
+    let norm = 0;
+    for (const [t, n] of counts) {
+      const w = (1 + Math.log(n)) * idf(t);
+      weights.set(t, w);
+      norm += w * w;
+    }
+    return { weights, norm: Math.sqrt(norm) };
+  };
+  const vectors = docs.map(({ issue, counts }) => ({ issue, ...vector(counts) }));
+
+  return {
+    similar(issue, { limit = 5, threshold = 0.2 } = {}) {
+      const q = vector(countTerms(issueTerms(issue)));
+      if (!q.norm) return [];
+      return vectors
+        .filter(d => d.issue.id !== issue.id && d.norm)
+        .map(d => {
+          let dot = 0;
+          const shared = [];
+          for (const [t, w] of q.weights) if (d.weights.has(t)) { dot += w * d.weights.get(t); shared.push(t); }
+          return { issue: d.issue, score: dot / (q.norm * d.norm), shared };
+        })
+        .filter(r => r.score >= threshold)
+        .sort((a, b) => b.score - a.score)
+        .slice(0, limit);
+    },
+  };
+}
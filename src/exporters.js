@@ -0,0 +1,114 @@
+import { CSV_COLUMNS, escapeFormula } from "./importers.js";
+
+// Exports of a list of issues (the filtered view, the table selection or everything):
+// the board's JSON, CSV that the CSV importer reads back, a Markdown report grouped by status
+// or tag, and a changelog of the issues that reached a status within a date range.
+// Markdown output sticks to what Discord renders: headings, bold, italics and lists.
+
+export const EXPORT_FORMATS = [
+  { id: "json", label: "JSON", ext: "json", type: "application/json" },
+  { id: "csv", label: "CSV", ext: "csv", type: "text/csv" },
+  { id: "markdown", label: "Markdown report", ext: "md", type: "text/markdown" },
+  { id: "changelog", label: "Changelog", ext: "md", type: "text/markdown" },
+];
+
+export const toJSON = (issues) => JSON.stringify(issues, null, 2);
+
+// ---- CSV ----
+
+function csvCell(value) {
+  const s = escapeFormula(Array.isArray(value) ? value.join(", ") : String(value ?? ""));
+  return /[",\r\n]/.test(s) ? `"${s.replace(/"/g, '""')}"` : s;
+}
+
+export function toCSV(issues) {
+  const rows = [CSV_COLUMNS, ...issues.map(i => CSV_COLUMNS.map(c => i[c]))];
+  return rows.map(r => r.map(csvCell).join(",")).join("\r\n") + "\r\n";
+}
+
+// ---- Markdown ----
+
+const escape = (s) => String(s ?? "").replace(/([\\`*_~|[\]<>#])/g, "\\$1");
+const plural = (n, word) => `${n} ${word}${n === 1 ? "" : "s"}`;
+
+function issueLine(issue, { showStatus = false, showTags = true } = {}) {
+  const details = [
+    showStatus && issue.status,
+    issue.priority,
+    issue.assignee && `@${issue.assignee}`,
+    showTags && issue.tags?.length && issue.tags.join(", "),
+  ].filter(Boolean).map(escape);
+  return `- ${escape(issue.title)} (${escape(issue.id)})${details.length ? ` · ${details.join(" · ")}` : ""}`;
+}
+
+// [[heading, issues]] in `order` first, then the rest alphabetically; `keysOf(issue)` may put
+// an issue in several groups (tags), or none ("fallback").
+function groupIssues(issues, keysOf, order = [], fallback = "Other") {
+  const groups = new Map();
+  for (const issue of issues) {
+    const keys = keysOf(issue);
+    for (const key of keys.length ? keys : [fallback]) groups.set(key, [...(groups.get(key) ?? []), issue]);
+  }
+  const rank = (k) => (k === fallback ? Infinity : order.includes(k) ? order.indexOf(k) : order.length);
+  return [...groups].sort(([a], [b]) => rank(a) - rank(b) || a.localeCompare(b));
+}
+
+const keysFor = (groupBy) => (groupBy === "tag" ? (i) => i.tags ?? [] : groupBy === "status" ? (i) => [i.status] : () => []);
+
+// `groupBy` is "status" or "tag"; `statuses` orders the status groups like the board.
+export function toMarkdown(issues, { title = "Issues", groupBy = "status", statuses = [] } = {}) {
+  const out = [`# ${escape(title)}`, `*${plural(issues.length, "issue")}*`];
+  for (const [key, list] of groupIssues(issues, keysFor(groupBy), statuses, groupBy === "tag" ? "Untagged" : "Other")) {
+    out.push("", `## ${escape(key)} (${list.length})`, ...list.map(i => issueLine(i, { showStatus: groupBy === "tag", showTags: groupBy !== "tag" })));
+  }
+  return out.join("\n") + "\n";
+}
+
+// ---- Changelog ----
+
+// When `issue` last reached `status`, or null if it isn't there now. Issues with no recorded
+// move (filed straight into it) count from their creation; without any history, from their
+// last update.
+export function reachedStatusAt(issue, status) {
+  if (issue.status !== status) return null;
+  const moves = (issue.history ?? [])
+    .filter(e => e.type === "change" && e.changes?.some(c => c.field === "status" && c.to === status))
+    .map(e => e.at);
+  if (moves.length) return moves.reduce((a, b) => (Date.parse(b) > Date.parse(a) ? b : a));
+  return (issue.history?.length ? issue.createdAt : issue.updatedAt ?? issue.createdAt) ?? null;
+}
+
+// Local midnight of a "YYYY-MM-DD" day, in ms.
+const dayStart = (day) => new Date(`${day}T00:00`).getTime();
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+export const dayString = (date) => {
+  const d = new Date(date);
+  return `${d.getFullYear()}-${String(d.getMonth() + 1).padStart(2, "0")}-${String(d.getDate()).padStart(2, "0")}`;
+};
+
+// Issues that reached `status` between the days `from` and `to` (inclusive, local time),
+// most recent first.
+export function changelogIssues(issues, { status, from, to }) {
+  const start = dayStart(from);
+  const end = dayStart(to) + DAY_MS;
+  return issues
+    .map(issue => ({ issue, at: Date.parse(reachedStatusAt(issue, status)) }))
+    .filter(({ at }) => at >= start && at < end)
+    .sort((a, b) => b.at - a.at)
+    .map(({ issue }) => issue);
+}
+
+const formatDay = (day, withYear) => new Date(`${day}T00:00`).toLocaleDateString(undefined, { month: "short", day: "numeric", ...(withYear ? { year: "numeric" } : {}) });
+
+// A changelog ready to paste into Discord; `groupBy` is "none" or "tag".
+export function toChangelog(issues, { title = "Fixed this week", status, from, to, groupBy = "none" } = {}) {
+  const list = changelogIssues(issues, { status, from, to });
+  const range = from === to ? formatDay(from, true) : `${formatDay(from, false)} – ${formatDay(to, true)}`;
+  const out = [`## ${escape(title)}`, `*${range} · ${plural(list.length, "issue")}*`];
+  if (!list.length) out.push("", "Nothing this time.");
+  else if (groupBy === "tag") {
+    for (const [tag, group] of groupIssues(list, keysFor("tag"), [], "Other")) out.push("", `**${escape(tag)}**`, ...group.map(i => issueLine(i, { showTags: false })));
+  } else out.push("", ...list.map(i => issueLine(i)));
+  return out.join("\n") + "\n";
+}
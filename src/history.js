@@ -0,0 +1,42 @@
+// Read-side helpers for issue.history (written by server/history.js).
+import { describeLinkChange } from "./links.js";
+
+export function timeAgo(iso, now = Date.now()) {
+  const s = Math.round((now - Date.parse(iso)) / 1000);
+  if (!Number.isFinite(s)) return "";
+  if (s < 45) return "just now";
+  const steps = [[60, "m"], [60 * 60, "h"], [60 * 60 * 24, "d"], [60 * 60 * 24 * 30, "mo"], [60 * 60 * 24 * 365, "y"]];
+  let label = "";
+  for (const [size, unit] of steps) if (s >= size) label = `${Math.floor(s / size)}${unit} ago`;
+  return label || `${s}s ago`;
+}
+
+const show = (v) => (v === null || v === undefined || v === "" ? "none" : String(v));
+
+// One change as a short sentence fragment, e.g. "status Todo → Done".
+export function describeChange({ field, from, to }) {
+  if (field === "description") return "edited the description";
+  if (field === "title") return `renamed it “${show(to)}”`;
+  if (field === "assignee") return to ? `assigned @${to}` : "unassigned it";
+  if (field === "links") return describeLinkChange(from, to);
+  if (field === "tags") {
+    const before = new Set(from ?? []), after = new Set(to ?? []);
+    const added = [...after].filter(t => !before.has(t)).map(t => `+${t}`);
+    const removed = [...before].filter(t => !after.has(t)).map(t => `−${t}`);
+    return `tags ${[...added, ...removed].join(" ") || "reordered"}`;
+  }
+  return `${field} ${show(from)} → ${show(to)}`;
+}
+
+export function describeEntry(entry) {
+  if (entry.type === "created") return "filed it";
+  return (entry.changes ?? []).map(describeChange).join(", ");
+}
+
+// Newest-first entries across all issues, each with its issue attached.
+export function recentActivity(issues, limit = 50) {
+  return issues
+    .flatMap(issue => (issue.history ?? []).map(entry => ({ ...entry, issue })))
+    .sort((a, b) => Date.parse(b.at) - Date.parse(a.at))
+    .slice(0, limit);
+}
@@ -0,0 +1,338 @@
+// Importers for issues exported from other trackers. Each one turns a source text into flat
+// rows keyed by column name; the import dialog then maps columns to board fields and source
+// values to statuses and priorities, and buildIssues produces the issues.
+//
+// Importer = {
+//   id, label,
+//   detect(text, name) -> boolean,         // whether it can read the source
+//   extract(text) -> { columns, rows },     // rows: [{ [column]: string | string[] }]
+//   mapping?: { [field]: column },          // preferred columns (before guessing by name)
+//   passthrough?: true,                     // rows are already board issues; no field mapping
+// }
+// Add one by appending it to IMPORTERS; the first that detects the source is picked.
+
+export const FIELDS = ["id", "title", "description", "status", "priority", "assignee", "tags", "createdAt", "updatedAt"];
+export const FIELD_LABELS = {
+  id: "ID", title: "Title", description: "Description", status: "Status", priority: "Priority",
+  assignee: "Assignee", tags: "Tags", createdAt: "Created", updatedAt: "Updated",
+};
+export const PRIORITIES = ["P0", "P1", "P2", "P3"];
+
+// Column names tried for each field when an importer has no preference, compared without
+// case, spaces or punctuation.
+const FIELD_ALIASES = {
+  id: ["id", "key", "issue key", "issue id", "identifier", "number", "#"],
+  title: ["title", "summary", "name", "subject"],
+  description: ["description", "body", "details", "content"],
+  status: ["status", "state", "column", "stage"],
+  priority: ["priority", "severity", "urgency"],
+  assignee: ["assignee", "assignees", "owner", "assigned to"],
+  tags: ["tags", "labels", "label", "components", "component"],
+  createdAt: ["created", "created at", "date created", "opened"],
+  updatedAt: ["updated", "updated at", "last updated", "modified"],
+};
+const squash = (s) => String(s).toLowerCase().replace(/[^a-z0-9#]/g, "");
+
+// ---- CSV ----
+
+// The columns of the board's CSV export (exporters.js), which the "board-csv" importer reads back.
+export const CSV_COLUMNS = ["id", "title", "status", "priority", "assignee", "tags", "createdAt", "updatedAt", "description"];
+
+// In the board's CSV export, a cell a spreadsheet would run as a formula ("=", "+", "-", "@",
+// tab or CR first) is written with a "'" in front, which spreadsheets show as text. So that
+// it reads back as written, cells that already start with "'" before one of those get one more.
+export const escapeFormula = (s) => (/^'*[=+\-@\t\r]/.test(s) ? `'${s}` : s);
+const unescapeFormula = (s) => (/^'+[=+\-@\t\r]/.test(s) ? s.slice(1) : s);
+
+// RFC 4180 rows: quoted fields may hold the delimiter, newlines and doubled quotes.
+// `formulas` undoes escapeFormula, for the board's own export only; other sources are read as is.
+export function parseCSV(text, delimiter = ",", { formulas = false } = {}) {
+  const cell = formulas ? unescapeFormula : (f) => f;
+  const rows = [];
+  let row = [];
+  let field = "";
+  let quoted = false;
+  for (let i = 0; i < text.length; i++) {
+    const c = text[i];
+    if (quoted) {
+      if (c === '"' && text[i + 1] === '"') { field += '"'; i++; }
+      else if (c === '"') quoted = false;
+      else field += c;
+    } else if (c === '"' && field === "") quoted = true;
+    else if (c === delimiter) { row.push(cell(field)); field = ""; }
+    else if (c === "\n" || c === "\r") {
+      if (c === "\r" && text[i + 1] === "\n") i++;
+      row.push(cell(field)); field = "";
+      if (row.some(f => f !== "")) rows.push(row);
+      row = [];
+    } else field += c;
+  }
+  row.push(cell(field));
+  if (row.some(f => f !== "")) rows.push(row);
+  return rows;
+}
+
+const firstLine = (text) => text.slice(0, text.search(/\r?\n|$/));
+function guessDelimiter(text) {
+  const line = firstLine(text);
+  return [",", ";", "\t"].map(d => [d, line.split(d).length]).sort((a, b) => b[1] - a[1])[0][0];
+}
+
+// Rows keyed by header. A header that repeats (Jira writes one "Labels" column per label)
+// collects its non-empty values into a list.
+function csvTable(text, options) {
+  const [header = [], ...body] = parseCSV(text.replace(/^\uFEFF/, ""), guessDelimiter(text), options);
+  const columns = [...new Set(header.map(h => h.trim()))].filter(Boolean);
+  const repeated = new Set(columns.filter(c => header.filter(h => h.trim() === c).length > 1));
+  const rows = body.map(cells => {
+    const row = {};
+    header.forEach((h, i) => {
+      const key = h.trim();
+      const value = (cells[i] ?? "").trim();
+      if (!key) return;
+      if (repeated.has(key)) row[key] = value ? [...(row[key] ?? []), value] : row[key] ?? [];
+      else row[key] = value;
+    });
+    return row;
+  });
+  return { columns, rows };
+}
+
+const csvHeader = (text) => parseCSV(firstLine(text.replace(/^\uFEFF/, "")), guessDelimiter(text))[0]?.map(h => h.trim()) ?? [];
+const looksLikeJSON = (text) => /^\s*[[{]/.test(text);
+
+function tryJSON(text) {
+  if (!looksLikeJSON(text)) return undefined;
+  try { return JSON.parse(text); } catch { return undefined; }
+}
+function listIn(data, keys) {
+  if (Array.isArray(data)) return data;
+  for (const k of keys) if (Array.isArray(data?.[k])) return data[k];
+  return null;
+}
+const columnsOf = (rows) => [...new Set(rows.flatMap(r => Object.keys(r)))];
+
+// Jira Cloud descriptions are Atlassian Document Format; keep the text, one line per block.
+function adfText(node) {
+  if (!node || typeof node !== "object") return typeof node === "string" ? node : "";
+  if (node.type === "text") return node.text ?? "";
+  if (node.type === "hardBreak") return "\n";
+  const inner = (node.content ?? []).map(adfText).join("");
+  return ["paragraph", "heading", "listItem", "codeBlock", "blockquote"].includes(node.type) ? `${inner}\n` : inner;
+}
+
+// ---- Importers ----
+
+const github = {
+  id: "github",
+  label: "GitHub issues (JSON)",
+  detect: (text) => {
+    const list = listIn(tryJSON(text), ["issues", "items"]);
+    return !!list?.length && list.every(i => i && typeof i.number === "number" && "title" in i);
+  },
+  // REST API (`/repos/:owner/:repo/issues`) and `gh issue list --json` shapes; pull requests are left out.
+  extract: (text) => {
+    const list = listIn(JSON.parse(text), ["issues", "items"]).filter(i => !i.pull_request && !i.pullRequest);
+    const rows = list.map(i => ({
+      Key: `GH-${i.number}`,
+      Title: i.title ?? "",
+      Body: i.body ?? "",
+      State: String(i.state ?? "").toLowerCase(),
+      Labels: (i.labels ?? []).map(l => (typeof l === "string" ? l : l?.name)).filter(Boolean),
+      Assignees: (i.assignees?.length ? i.assignees : [i.assignee]).map(a => a?.login ?? a?.name).filter(Boolean).join(", "),
+      Milestone: i.milestone?.title ?? "",
+      Created: i.created_at ?? i.createdAt ?? "",
+      Updated: i.updated_at ?? i.updatedAt ?? "",
+      URL: i.html_url ?? i.url ?? "",
+    }));
+    return { columns: ["Key", "Title", "Body", "State", "Labels", "Assignees", "Milestone", "Created", "Updated", "URL"], rows };
+  },
+  mapping: { id: "Key", description: "Body", status: "State", assignee: "Assignees" },
+};
+
+const jiraJSON = {
+  id: "jira-json",
+  label: "Jira (JSON)",
+  detect: (text) => {
+    const list = listIn(tryJSON(text), ["issues"]);
+    return !!list?.length && list.every(i => i && typeof i.key === "string" && i.fields && typeof i.fields === "object");
+  },
+  extract: (text) => {
+    const rows = listIn(JSON.parse(text), ["issues"]).map(({ key, fields: f }) => ({
+      Key: key,
+      Summary: f.summary ?? "",
+      Description: (typeof f.description === "string" ? f.description : adfText(f.description)).trim(),
+      Status: f.status?.name ?? "",
+      Priority: f.priority?.name ?? "",
+      Type: f.issuetype?.name ?? "",
+      Assignee: f.assignee?.displayName ?? f.assignee?.name ?? "",
+      Labels: f.labels ?? [],
+      Components: (f.components ?? []).map(c => c?.name).filter(Boolean),
+      Created: f.created ?? "",
+      Updated: f.updated ?? "",
+    }));
+    return { columns: ["Key", "Summary", "Description", "Status", "Priority", "Type", "Assignee", "Labels", "Components", "Created", "Updated"], rows };
+  },
+};
+
+// The board's own export (what 💾 Export writes), plus loose lists of issue-like objects.
+const board = {
+  id: "board",
+  label: "Bugs board JSON",
+  detect: (text) => !!listIn(tryJSON(text), ["issues", "items", "bugs"]),
+  extract: (text) => {
+    // Entries that aren't issues stay, so row n is still entry n (schema.js reports them)
+    const rows = listIn(JSON.parse(text), ["issues", "items", "bugs"]);
+    return { columns: columnsOf(rows.filter(r => r && typeof r === "object")), rows };
+  },
+  passthrough: true,
+};
+
+// What 💾 Export writes as CSV: exactly its columns, with formula-like cells escaped.
+const boardCSV = {
+  id: "board-csv",
+  label: "Bugs board CSV",
+  detect: (text) => !looksLikeJSON(text) && csvHeader(text).join(",") === CSV_COLUMNS.join(","),
+  extract: (text) => csvTable(text, { formulas: true }),
+};
+
+const jiraCSV = {
+  id: "jira-csv",
+  label: "Jira (CSV)",
+  detect: (text) => !looksLikeJSON(text) && ["Issue key", "Summary"].every(h => csvHeader(text).includes(h)),
+  extract: csvTable,
+  mapping: { id: "Issue key", title: "Summary", tags: "Labels" },
+};
+
+const linearCSV = {
+  id: "linear-csv",
+  label: "Linear (CSV)",
+  detect: (text) => !looksLikeJSON(text) && ["ID", "Title", "Status", "Team"].every(h => csvHeader(text).includes(h)),
+  extract: csvTable,
+  mapping: { id: "ID", assignee: "Assignee", tags: "Labels" },
+};
+
+const genericCSV = {
+  id: "csv",
+  label: "CSV (any columns)",
+  detect: (text) => !looksLikeJSON(text) && csvHeader(text).length > 1,
+  extract: csvTable,
+};
+
+export const IMPORTERS = [github, jiraJSON, board, boardCSV, jiraCSV, linearCSV, genericCSV];
+
+export const detectImporter = (text, name = "") => IMPORTERS.find(imp => imp.detect(text, name)) ?? null;
+
+// { field: column } from the importer's preferences, then by column name.
+export function guessMapping(importer, columns) {
+  const mapping = {};
+  for (const field of FIELDS) {
+    const preferred = importer.mapping?.[field];
+    if (preferred && columns.includes(preferred)) { mapping[field] = preferred; continue; }
+    const alias = FIELD_ALIASES[field].find(a => columns.some(c => squash(c) === squash(a)));
+    mapping[field] = alias ? columns.find(c => squash(c) === squash(alias)) : "";
+  }
+  return mapping;
+}
+
+// ---- Values ----
+
+const single = (v) => (Array.isArray(v) ? v.join(", ") : String(v ?? "")).trim();
+const list = (v) => (Array.isArray(v) ? v : String(v ?? "").split(/[,;|]/)).map(s => String(s).trim()).filter(Boolean);
+
+// Distinct source values of `column`, most common first.
+export function distinctValues(rows, column) {
+  if (!column) return [];
+  const counts = new Map();
+  for (const r of rows) {
+    if (!r || typeof r !== "object") continue;
+    const v = single(r[column]);
+    counts.set(v, (counts.get(v) ?? 0) + 1);
+  }
+  return [...counts.entries()].sort((a, b) => b[1] - a[1]).map(([v]) => v);
+}
+
+// Board status for a source status: same name, else by meaning, else the first column.
+const STATUS_MEANINGS = [
+  [/^(backlog|triage|icebox|unscheduled)$/, /backlog/i],
+  [/^(open|new|todo|to ?do|unstarted|selected for development|reopened|ready)$/, /^(todo|to ?do|open|ready)$/i],
+  [/^(in ?progress|started|doing|active|in ?review|review|in development|testing|qa)$/, /progress|doing|review/i],
+  [/^(closed|done|resolved|completed|complete|fixed|shipped|released|merged)$/, /^(done|closed|resolved|complete)/i],
+  [/^(canceled|cancelled|won'?t ?(fix|do)|duplicate|invalid|archived|obsolete|not planned)$/, /archiv|cancel/i],
+];
+export function guessStatus(value, statuses) {
+  const v = value.trim().toLowerCase();
+  const same = statuses.find(s => s.toLowerCase() === v);
+  if (same) return same;
+  for (const [source, target] of STATUS_MEANINGS) {
+    if (!source.test(v)) continue;
+    const hit = statuses.find(s => target.test(s));
+    if (hit) return hit;
+  }
+  return statuses[0] ?? "";
+}
+
+const PRIORITY_MEANINGS = [
+  ["P0", /^(p0|0|1|urgent|critical|blocker|highest|showstopper|sev ?[01])$/],
+  ["P1", /^(p1|2|high|major|sev ?2)$/],
+  ["P2", /^(p2|3|medium|normal|moderate|sev ?3)$/],
+  ["P3", /^(p3|4|5|low|lowest|minor|trivial|sev ?[45])$/],
+];
+// "" means no priority.
+export function guessPriority(value) {
+  const v = value.trim().toLowerCase();
+  return PRIORITY_MEANINGS.find(([, re]) => re.test(v))?.[0] ?? "";
+}
+
+// Jira CSV dates look like "12/Mar/24 3:15 PM"; everything else goes through Date.parse.
+const MONTHS = ["jan", "feb", "mar", "apr", "may", "jun", "jul", "aug", "sep", "oct", "nov", "dec"];
+export function toISODate(value) {
+  const v = single(value);
+  if (!v) return undefined;
+  const jira = /^(\d{1,2})\/([A-Za-z]{3})\/(\d{2}|\d{4}) (\d{1,2}):(\d{2})(?: ?(AM|PM))?$/i.exec(v);
+  if (jira) {
+    const [, d, mon, y, h, min, ampm] = jira;
+    const hour = ampm ? (Number(h) % 12) + (ampm.toUpperCase() === "PM" ? 12 : 0) : Number(h);
+    const month = MONTHS.indexOf(mon.toLowerCase());
+    if (month !== -1) return new Date(Number(y.length === 2 ? `20${y}` : y), month, Number(d), hour, Number(min)).toISOString();
+  }
+  const t = Date.parse(v);
+  return Number.isNaN(t) ? undefined : new Date(t).toISOString();
+}
+
+// Issues from `rows`. `values` maps source values per field: { status: {}, priority: {} }.
+// Issues without an id get none here; the board hands out fresh ones.
+export function buildIssues(importer, rows, mapping, values) {
+  const mapValue = (field, raw) => {
+    const v = single(raw);
+    return values[field]?.[v] ?? (field === "status" ? v : guessPriority(v));
+  };
+  if (importer.passthrough) {
+    return rows.map(r => {
+      if (!r || typeof r !== "object") return r;
+      const status = r.status ?? r.state;
+      const priority = r.priority ?? r.severity;
+      return { ...r, ...(status !== undefined ? { status: mapValue("status", status) } : {}), ...(priority !== undefined ? { priority: mapValue("priority", priority) || undefined } : {}) };
+    });
+  }
+  const get = (r, field) => (mapping[field] ? r[mapping[field]] : undefined);
+  return rows.map(r => {
+    const issue = {
+      title: single(get(r, "title")) || "Untitled",
+      description: single(get(r, "description")),
+      assignee: single(get(r, "assignee")),
+      tags: list(get(r, "tags")),
+    };
+    const status = mapping.status ? mapValue("status", get(r, "status")) : "";
+    if (status) issue.status = status;
+    const id = single(get(r, "id"));
+    if (id) issue.id = id;
+    const priority = mapping.priority ? mapValue("priority", get(r, "priority")) : "";
+    if (priority) issue.priority = priority;
+    const createdAt = toISODate(get(r, "createdAt"));
+    const updatedAt = toISODate(get(r, "updatedAt"));
+    if (createdAt) issue.createdAt = createdAt;
+    if (updatedAt) issue.updatedAt = updatedAt;
+    return issue;
+  });
+}
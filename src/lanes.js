@@ -0,0 +1,47 @@
+// Swimlanes: the board's status columns split into rows by priority, assignee or tag.
+// An issue with several tags shows up in each of its tag lanes.
+
+export const LANE_KEYS = ["none", "priority", "assignee", "tag"];
+export const LANE_LABELS = { none: "No lanes", priority: "Lanes: priority", assignee: "Lanes: assignee", tag: "Lanes: tag" };
+
+const PRIORITIES = ["P0", "P1", "P2", "P3"];
+const EMPTY_LABEL = { priority: "No priority", assignee: "Unassigned", tag: "No tags" };
+
+// Lane values of one issue; "" is the "none" lane.
+function lanesOf(issue, key) {
+  if (key === "priority") return [PRIORITIES.includes(issue.priority) ? issue.priority : ""];
+  if (key === "assignee") return [issue.assignee?.trim() || ""];
+  if (key === "tag") return issue.tags?.length ? issue.tags : [""];
+  return [""];
+}
+
+// [{ value, label, issues }] in display order: priorities P0-P3, assignees by name,
+// tags by how many issues carry them; the "none" lane comes last.
+export function groupLanes(issues, key) {
+  const map = new Map();
+  for (const issue of issues) {
+    for (const value of lanesOf(issue, key)) {
+      if (!map.has(value)) map.set(value, []);
+      map.get(value).push(issue);
+    }
+  }
+  const values = [...map.keys()].filter(Boolean);
+  if (key === "priority") values.sort((a, b) => PRIORITIES.indexOf(a) - PRIORITIES.indexOf(b));
+  else if (key === "tag") values.sort((a, b) => map.get(b).length - map.get(a).length || a.localeCompare(b));
+  else values.sort((a, b) => a.localeCompare(b));
+  if (map.has("")) values.push("");
+  return values.map(value => ({ value, label: value || EMPTY_LABEL[key], issues: map.get(value) }));
+}
+
+// Field change for dragging `issue` from lane `from` to lane `to` ({} when nothing changes).
+// Tags swap the source lane's tag for the target's and keep the others.
+export function lanePatch(issue, key, from, to) {
+  if (from === to) return {};
+  if (key === "priority" || key === "assignee") return { [key]: to };
+  if (key === "tag") {
+    const tags = (issue.tags ?? []).filter(t => t !== from);
+    if (to && !tags.includes(to)) tags.push(to);
+    return { tags };
+  }
+  return {};
+}
@@ -0,0 +1,101 @@
+// Links between issues, stored on the issue that makes the claim:
+//   issue.links = [{ type, id }]   // e.g. { type: "blocks", id: "BUG-004" }
+// The other side is derived (see backlinks and relationIndex), so a link is one write and
+// never goes stale on one end only. Links to an issue are removed when it is deleted
+// (server/issues.js); one that still points nowhere is ignored.
+
+// type -> { label: as read from the issue holding it, reverse: as read from the target,
+// single: an issue holds at most one link of this type }
+export const LINK_TYPES = {
+  blocks: { label: "Blocks", reverse: "Blocked by" },
+  parent: { label: "Part of", reverse: "Sub-issues", single: true },
+  duplicates: { label: "Duplicate of", reverse: "Duplicated by", single: true },
+};
+
+// The links the issue dialog offers to add. A `reverse` one is stored on the other issue.
+export const LINK_CHOICES = [
+  { key: "blocks", label: "Blocks", type: "blocks" },
+  { key: "blocked-by", label: "Blocked by", type: "blocks", reverse: true },
+  { key: "parent", label: "Part of", type: "parent" },
+  { key: "child", label: "Sub-issue", type: "parent", reverse: true },
+];
+
+export const linksOf = (issue, type) => (issue?.links ?? []).filter(l => !type || l.type === type);
+
+export function addLink(links, type, id) {
+  const list = links ?? [];
+  if (list.some(l => l.type === type && l.id === id)) return list;
+  return [...(LINK_TYPES[type]?.single ? list.filter(l => l.type !== type) : list), { type, id }];
+}
+
+export const removeLink = (links, type, id) => (links ?? []).filter(l => !(l.type === type && l.id === id));
+
+// Issues that link to `id`, as [{ type, issue }].
+export const backlinks = (issues, id, type) => issues.flatMap(issue =>
+  linksOf(issue, type).filter(l => l.id === id).map(l => ({ type: l.type, issue })));
+
+// `id` and the issues above it, following "Part of" links.
+function ancestry(issues, id) {
+  const byId = new Map(issues.map(i => [i.id, i]));
+  const chain = [];
+  for (let at = id; at != null && !chain.includes(at); at = linksOf(byId.get(at), "parent")[0]?.id) chain.push(at);
+  return chain;
+}
+
+// Why `holder` can't get a `type` link to `id`, or null.
+export function linkError(issues, holder, type, id) {
+  if (!id) return "Pick an issue";
+  if (id === holder.id) return "An issue can't link to itself";
+  const target = issues.find(i => i.id === id);
+  if (!target) return `#${id} doesn't exist`;
+  if (linksOf(holder, type).some(l => l.id === id)) return "Already linked";
+  if (type === "parent" && ancestry(issues, id).includes(holder.id)) return `#${id} is already under #${holder.id}`;
+  if (type === "blocks" && linksOf(target, "blocks").some(l => l.id === holder.id)) return `#${id} already blocks #${holder.id}`;
+  return null;
+}
+
+// Per issue id, what the board shows about its links (issues, not ids; dangling links left out):
+// { blocks, blockedBy, openBlockers, parent, children, progress: { done, total }?, duplicateOf, duplicatedBy }
+// `isDone(issue)` decides which blockers still block and which sub-issues count as done;
+// progress counts every issue below the parent, not just its direct children.
+export function relationIndex(issues, isDone) {
+  const byId = new Map(issues.map(i => [i.id, i]));
+  const relations = new Map();
+  const of = (id) => {
+    if (!relations.has(id)) relations.set(id, { blocks: [], blockedBy: [], parent: null, children: [], duplicateOf: null, duplicatedBy: [] });
+    return relations.get(id);
+  };
+  for (const issue of issues) {
+    for (const { type, id } of linksOf(issue)) {
+      const target = byId.get(id);
+      if (!target || id === issue.id) continue;
+      if (type === "blocks") { of(issue.id).blocks.push(target); of(id).blockedBy.push(issue); }
+      if (type === "parent" && !of(issue.id).parent) { of(issue.id).parent = target; of(id).children.push(issue); }
+      if (type === "duplicates" && !of(issue.id).duplicateOf) { of(issue.id).duplicateOf = target; of(id).duplicatedBy.push(issue); }
+    }
+  }
+  const below = (id, seen) => (relations.get(id)?.children ?? []).flatMap(c => {
+    if (seen.has(c.id)) return [];
+    seen.add(c.id);
+    return [c, ...below(c.id, seen)];
+  });
+  for (const [id, r] of relations) {
+    r.openBlockers = r.blockedBy.filter(b => !isDone(b));
+    if (r.children.length) {
+      const all = below(id, new Set([id]));
+      r.progress = { done: all.filter(isDone).length, total: all.length };
+    }
+  }
+  return relations;
+}
+
+// "links +blocks #BUG-004 −part of #EPIC-1" for the history timeline.
+export function describeLinkChange(from, to) {
+  const key = (l) => `${l.type}|${l.id}`;
+  const before = new Set((from ?? []).map(key));
+  const after = new Set((to ?? []).map(key));
+  const label = (l) => `${(LINK_TYPES[l.type]?.label ?? l.type).toLowerCase()} #${l.id}`;
+  const added = (to ?? []).filter(l => !before.has(key(l))).map(l => `+${label(l)}`);
+  const removed = (from ?? []).filter(l => !after.has(key(l))).map(l => `−${label(l)}`);
+  return `links ${[...added, ...removed].join(" ") || "reordered"}`;
+}
@@ -0,0 +1,180 @@
+// A small Markdown dialect for descriptions and comments: headings, paragraphs (single
+// newlines are line breaks), fenced code, block quotes, nested lists and task lists, rules,
+// and inline code, bold, italic, strikethrough, links, autolinks, images and @mentions.
+// parseMarkdown only builds a tree; the board renders it with React elements, so raw HTML
+// in the source stays text, and link and image URLs that aren't http(s), mailto or
+// same-site are dropped. That is what keeps rendering safe without an HTML sanitizer.
+//
+// Block = { type: "heading", level, children } | { type: "paragraph", children }
+//       | { type: "code", lang, text } | { type: "quote", blocks } | { type: "hr" }
+//       | { type: "list", ordered, start, items: [{ task: null | boolean, line, blocks }] }
+// Inline = { type: "text" | "code", value } | { type: "strong" | "em" | "del", children }
+//        | { type: "link", href, children } | { type: "image", src, alt } | { type: "br" }
+//        | { type: "mention", handle }
+// `line` is the source line of a list item, for toggleTask.
+
+const FENCE = /^ {0,3}(```|~~~)\s*([\w+#.-]*)/;
+const HEADING = /^ {0,3}(#{1,6})\s+(.*?)(?:\s+#+)?\s*$/;
+const RULE = /^ {0,3}([-*_])(?:\s*\1){2,}\s*$/;
+const QUOTE = /^ {0,3}>/;
+const LIST_ITEM = /^( {0,3})([-*+]|\d{1,9}[.)])(?:\s+(.*))?$/;
+const TASK = /^\[([ xX])\]\s+/;
+
+// Relative targets are resolved the way a browser would ("/\host" and "/<tab>/host" mean
+// "//host") and must stay on this site.
+const SAME_SITE = "https://same-site.invalid";
+
+// Only these survive as link targets and image sources.
+export function safeUrl(url) {
+  const u = String(url ?? "").trim();
+  if (/^(https?:|mailto:)/i.test(u)) return u;
+  if (!/^(\/|#|\.\.?\/)/.test(u)) return null;
+  try { return new URL(u, `${SAME_SITE}/`).origin === SAME_SITE ? u : null; } catch { return null; }
+}
+
+const indentOf = (line) => line.length - line.trimStart().length;
+const startsBlock = (line) => FENCE.test(line) || HEADING.test(line) || RULE.test(line) || QUOTE.test(line) || LIST_ITEM.test(line);
+const isOrdered = (marker) => /\d/.test(marker);
+
+export function parseMarkdown(source) {
+  return parseBlocks(String(source ?? "").replace(/\r\n?/g, "\n").split("\n"), 0);
+}
+
+function parseBlocks(lines, offset) {
+  const blocks = [];
+  let i = 0;
+  while (i < lines.length) {
+    const line = lines[i];
+    if (!line.trim()) { i++; continue; }
+    let m;
+    if ((m = FENCE.exec(line))) {
+      const body = [];
+      for (i++; i < lines.length && !lines[i].trimStart().startsWith(m[1]); i++) body.push(lines[i]);
+      i++;
+      blocks.push({ type: "code", lang: m[2], text: body.join("\n") });
+    } else if ((m = HEADING.exec(line))) {
+      blocks.push({ type: "heading", level: m[1].length, children: parseInline(m[2]) });
+      i++;
+    } else if (RULE.test(line)) {
+      blocks.push({ type: "hr" });
+      i++;
+    } else if (QUOTE.test(line)) {
+      const start = i;
+      const body = [];
+      while (i < lines.length && QUOTE.test(lines[i])) body.push(lines[i++].replace(/^ {0,3}> ?/, ""));
+      blocks.push({ type: "quote", blocks: parseBlocks(body, offset + start) });
+    } else if ((m = LIST_ITEM.exec(line))) {
+      i = parseList(lines, i, offset, blocks);
+    } else {
+      const body = [line];
+      for (i++; i < lines.length && lines[i].trim() && !startsBlock(lines[i]); i++) body.push(lines[i]);
+      blocks.push({ type: "paragraph", children: parseInline(body.map(l => l.trim()).join("\n")) });
+    }
+  }
+  return blocks;
+}
+
+// Items continue on lines indented by two or more spaces (and on unindented text right
+// after them); a blank line ends the list unless another item or indented text follows.
+function parseList(lines, i, offset, blocks) {
+  const ordered = isOrdered(LIST_ITEM.exec(lines[i])[2]);
+  const list = { type: "list", ordered, start: ordered ? parseInt(LIST_ITEM.exec(lines[i])[2], 10) : 1, items: [] };
+  while (i < lines.length) {
+    const m = LIST_ITEM.exec(lines[i]);
+    if (!m || isOrdered(m[2]) !== ordered) break;
+    const width = m[1].length + m[2].length + 1;
+    const start = i;
+    let first = m[3] ?? "";
+    const task = TASK.exec(first);
+    if (task) first = first.slice(task[0].length);
+    const body = [first];
+    for (i++; i < lines.length; i++) {
+      const l = lines[i];
+      if (!l.trim()) {
+        const next = lines[i + 1];
+        if (next === undefined || (indentOf(next) < 2 && !LIST_ITEM.test(next))) break;
+        body.push("");
+      } else if (indentOf(l) >= 2) {
+        body.push(l.slice(Math.min(indentOf(l), width)));
+      } else if (!startsBlock(l) && body[body.length - 1].trim()) {
+        body.push(l);
+      } else break;
+    }
+    while (body.length > 1 && !body[body.length - 1].trim()) body.pop();
+    list.items.push({ task: task ? task[1] !== " " : null, line: offset + start, blocks: parseBlocks(body, offset + start) });
+    if (i < lines.length && !lines[i].trim()) i++;
+  }
+  blocks.push(list);
+  return i;
+}
+
+const INLINE_SPECIAL = /[\\`![<*_~\nh@]/;
+const LINK_TAIL = String.raw`\(\s*<?([^)\s>]*)>?(?:\s+"[^"]*")?\s*\)`;
+const IMAGE = new RegExp(String.raw`^!\[([^\]]*)\]` + LINK_TAIL);
+const LINK = new RegExp(String.raw`^\[((?:\[[^\]]*\]|\\.|[^\][\\])*)\]` + LINK_TAIL);
+
+export function parseInline(src) {
+  const out = [];
+  let text = "";
+  const flush = () => { if (text) out.push({ type: "text", value: text }); text = ""; };
+  const push = (node) => { flush(); out.push(node); };
+  let i = 0;
+  while (i < src.length) {
+    const c = src[i];
+    if (!INLINE_SPECIAL.test(c)) { text += c; i++; continue; }
+    const rest = src.slice(i);
+    const wordBefore = /\w$/.test(text);
+    let m;
+    if (c === "\\" && /^[\\`*_{}[\]()#+\-.!~>|<]/.test(rest[1] ?? "")) { text += rest[1]; i += 2; continue; }
+    if (c === "\n") { text = text.replace(/ +$/, ""); push({ type: "br" }); i++; continue; }
+    if ((m = /^(`+)([\s\S]*?[^`])\1(?!`)/.exec(rest))) {
+      push({ type: "code", value: m[2].replace(/^ (.*) $/s, "$1") });
+    } else if ((m = IMAGE.exec(rest)) && safeUrl(m[2])) {
+      push({ type: "image", src: safeUrl(m[2]), alt: m[1] });
+    } else if ((m = LINK.exec(rest)) && safeUrl(m[2])) {
+      push({ type: "link", href: safeUrl(m[2]), children: parseInline(m[1]) });
+    } else if ((m = /^<((?:https?:\/\/|mailto:)[^>\s]+)>/i.exec(rest))) {
+      push({ type: "link", href: m[1], children: [{ type: "text", value: m[1].replace(/^mailto:/i, "") }] });
+    } else if (!wordBefore && (m = /^https?:\/\/[^\s<]*[^\s<.,:;"')\]!?*_~]/.exec(rest))) {
+      push({ type: "link", href: m[0], children: [{ type: "text", value: m[0] }] });
+    } else if (!wordBefore && (m = /^@(\w(?:[\w.-]*\w)?)/.exec(rest))) {
+      push({ type: "mention", handle: m[1] });
+    } else if ((m = /^(\*\*|__)(?=\S)([\s\S]*?\S)\1/.exec(rest)) && !(c === "_" && wordBefore)) {
+      push({ type: "strong", children: parseInline(m[2]) });
+    } else if ((m = /^~~(?=\S)([\s\S]*?\S)~~/.exec(rest))) {
+      push({ type: "del", children: parseInline(m[1]) });
+    } else if ((m = /^([*_])(?=[^\s*_])([\s\S]*?[^\s*_])\1(?![*_\w])/.exec(rest)) && !(c === "_" && wordBefore)) {
+      push({ type: "em", children: parseInline(m[2]) });
+    } else {
+      text += c;
+      i++;
+      continue;
+    }
+    i += m[0].length;
+  }
+  flush();
+  return out;
+}
+
+// Flips the checkbox of the task list item on `line` of `source`.
+export function toggleTask(source, line) {
+  const lines = String(source ?? "").split("\n");
+  const l = lines[line];
+  if (l === undefined) return source;
+  lines[line] = l.replace(/^(\s*(?:>\s*)*(?:[-*+]|\d{1,9}[.)])\s+)\[([ xX])\]/, (_, lead, mark) => `${lead}[${mark === " " ? "x" : " "}]`);
+  return lines.join("\n");
+}
+
+// Roughly the text a reader sees, for one-line previews (cards, tables).
+export function plainText(source) {
+  return String(source ?? "")
+    .replace(/^ {0,3}(```|~~~).*$/gm, "")
+    .replace(/^ {0,3}([-*_])(?:\s*\1){2,}\s*$/gm, "")
+    .replace(/!\[([^\]]*)\]\([^)]*\)/g, "$1")
+    .replace(/\[([^\]]*)\]\([^)]*\)/g, "$1")
+    .replace(/^ {0,3}(#{1,6}|>|[-*+]\s+\[[ xX]\]|[-*+]|\d{1,9}[.)])\s+/gm, "")
+    .replace(/(\*\*|__|~~|`)/g, "")
+    .replace(/(^|\W)[*_](?=\S)(.*?\S)[*_](?!\w)/g, "$1$2")
+    .replace(/\s+/g, " ")
+    .trim();
+}
@@ -0,0 +1,69 @@
+// Diffing imported issues against the board, and the merge strategies for applying them.
+// Only content fields are compared and written: ids, revs, history and authorship belong to
+// the board, and comments have their own endpoints (see server/comments.js).
+
+export const MERGE_FIELDS = ["title", "description", "status", "priority", "assignee", "tags", "rank", "attachments", "links"];
+
+export const MERGE_STRATEGIES = [
+  { id: "append", label: "Append only", hint: "Add new issues; leave existing ones as they are." },
+  { id: "overwrite", label: "Overwrite", hint: "Add new issues and replace changed fields with the imported values." },
+  { id: "newest", label: "Newest wins", hint: "Take an imported issue only when its updatedAt is later than the board's." },
+  { id: "choose", label: "Choose per issue", hint: "Tick the changed issues to take." },
+];
+
+// "", [] and a missing value all mean "not set".
+const blank = (v) => (v === undefined || v === null || v === "" || (Array.isArray(v) && !v.length) ? null : v);
+const same = (a, b) => JSON.stringify(blank(a)) === JSON.stringify(blank(b));
+
+// The merge fields a raw imported issue actually carries, under the names
+// normalizeIncomingJSON reads, so that a field the source leaves out is never cleared.
+const SOURCE_KEYS = {
+  title: ["title", "summary", "name"], description: ["description"], status: ["status", "state"],
+  priority: ["priority", "severity"], assignee: ["assignee", "owner"], tags: ["tags", "labels"],
+  rank: ["rank"], attachments: ["attachments"], links: ["links"],
+};
+export const sourceFields = (raw) => MERGE_FIELDS.filter(f => SOURCE_KEYS[f].some(k => raw?.[k] !== undefined));
+
+// { added, changed: [{ id, current, incoming, fields: [{ field, from, to }] }], unchanged }
+// `fieldsOf(issue, index)` limits the comparison (all merge fields by default). The first of
+// several incoming issues with the same id wins.
+export function diffImport(existing, incoming, fieldsOf = () => MERGE_FIELDS) {
+  const byId = new Map(existing.map(i => [i.id, i]));
+  const seen = new Set();
+  const diff = { added: [], changed: [], unchanged: [] };
+  for (const [index, issue] of incoming.entries()) {
+    if (seen.has(issue.id)) continue;
+    seen.add(issue.id);
+    const current = byId.get(issue.id);
+    if (!current) { diff.added.push(issue); continue; }
+    const fields = fieldsOf(issue, index)
+      .filter(f => !same(current[f], issue[f]))
+      .map(f => ({ field: f, from: current[f], to: issue[f] }));
+    if (fields.length) diff.changed.push({ id: issue.id, current, incoming: issue, fields });
+    else diff.unchanged.push(issue);
+  }
+  return diff;
+}
+
+const isNewer = ({ current, incoming }) => (Date.parse(incoming.updatedAt) || 0) > (Date.parse(current.updatedAt) || 0);
+
+// Whether `strategy` takes a changed issue; `chosen` is the set of ids ticked for "choose".
+export function takesChange(strategy, change, chosen) {
+  if (strategy === "overwrite") return true;
+  if (strategy === "newest") return isNewer(change);
+  if (strategy === "choose") return chosen.has(change.id);
+  return false;
+}
+
+// What to apply: { added, updates: [{ issue, patch }], kept, unchanged } where `kept` are
+// the changed issues left alone. A patch holds only the fields that differ; cleared fields become null.
+export function planImport(diff, strategy, chosen = new Set()) {
+  const updates = [];
+  const kept = [];
+  for (const change of diff.changed) {
+    if (!takesChange(strategy, change, chosen)) { kept.push(change); continue; }
+    const patch = Object.fromEntries(change.fields.map(({ field, to }) => [field, to ?? null]));
+    updates.push({ issue: change.current, patch });
+  }
+  return { added: diff.added, updates, kept, unchanged: diff.unchanged };
+}
@@ -0,0 +1,215 @@
+import { finishedStatuses } from "./workflow.js";
+
+// Numbers for the dashboard, derived from issue.history, where server/history.js records
+// every status, priority and tag change.
+// An issue without recorded changes (imported, or filed before history existed) counts as
+// having had its current values since it was created. A finished one counts as open until
+// its last update, like reachedStatusAt in exporters.js.
+//
+// Times are ms since the epoch, durations are in days, and weeks start on Monday, local time.
+// `finished` is the set of statuses that count as done (finishedStatuses in workflow.js).
+
+export const DAY_MS = 24 * 60 * 60 * 1000;
+
+const bornAt = (issue) => Date.parse(issue.createdAt) || Date.parse(issue.updatedAt) || 0;
+
+// The recorded changes of `field`, oldest first: [{ at, from, to }]
+function changesOf(issue, field) {
+  return (issue.history ?? [])
+    .filter(e => e.type === "change" && !Number.isNaN(Date.parse(e.at)))
+    .flatMap(e => (e.changes ?? []).filter(c => c.field === field).map(c => ({ at: Date.parse(e.at), from: c.from, to: c.to })))
+    .sort((a, b) => a.at - b.at);
+}
+
+// The value `field` had at `t`, or undefined before the issue existed.
+export function valueAt(issue, field, t) {
+  if (t < bornAt(issue)) return undefined;
+  const changes = changesOf(issue, field);
+  let value = changes.length ? changes[0].from : issue[field];
+  for (const c of changes) {
+    if (c.at > t) break;
+    value = c.to;
+  }
+  return value;
+}
+
+// [{ status, start, end }] from the issue's creation until `now`. `status` is null for the
+// stretch an issue without recorded moves is assumed to have been open.
+export function statusIntervals(issue, finished, now = Date.now()) {
+  const moves = changesOf(issue, "status");
+  let start = bornAt(issue);
+  let status = moves.length ? moves[0].from : issue.status;
+  const intervals = [];
+  if (!moves.length && finished.has(issue.status)) {
+    const closed = Math.max(start, Date.parse(issue.updatedAt) || start);
+    if (closed > start) intervals.push({ status: null, start, end: closed });
+    start = closed;
+  }
+  for (const m of moves) {
+    if (m.at > start) intervals.push({ status, start, end: m.at });
+    status = m.to;
+    start = Math.max(start, m.at);
+  }
+  intervals.push({ status, start, end: Math.max(start, now) });
+  return intervals;
+}
+
+const isOpen = (status, finished) => status === null || !finished.has(status);
+
+// When the issue went from open to finished, each time it did.
+export function closings(intervals, finished) {
+  return intervals.slice(1).filter((iv, n) => !isOpen(iv.status, finished) && isOpen(intervals[n].status, finished)).map(iv => iv.start);
+}
+
+// Monday 00:00 of the last `count` weeks, oldest first.
+export function weekStarts(count, now = Date.now()) {
+  const monday = new Date(now);
+  monday.setHours(0, 0, 0, 0);
+  monday.setDate(monday.getDate() - ((monday.getDay() + 6) % 7));
+  return Array.from({ length: count }, (_, k) => {
+    const d = new Date(monday);
+    d.setDate(monday.getDate() - 7 * (count - 1 - k));
+    return d.getTime();
+  });
+}
+
+const weekEnd = (start) => {
+  const d = new Date(start);
+  d.setDate(d.getDate() + 7);
+  return d.getTime();
+};
+
+// Open issues at the end of each week (or now, for this week), counted per group:
+// [{ at, counts: { [key]: n } }]. `keysOf(issue, t)` names the groups an issue is in at `t`.
+export function openOverTime(issues, finished, weeks, keysOf, now = Date.now()) {
+  const timelines = issues.map(issue => ({ issue, intervals: statusIntervals(issue, finished, now) }));
+  return weeks.map(week => {
+    const at = Math.min(weekEnd(week) - 1, now);
+    const counts = {};
+    for (const { issue, intervals } of timelines) {
+      const current = intervals.find(iv => iv.start <= at && at < iv.end) ?? (at >= now ? intervals[intervals.length - 1] : null);
+      if (!current || !isOpen(current.status, finished)) continue;
+      for (const key of keysOf(issue, at)) counts[key] = (counts[key] ?? 0) + 1;
+    }
+    return { at: week, counts };
+  });
+}
+
+export const priorityAt = (issue, t) => [valueAt(issue, "priority", t) || "None"];
+export const tagsAt = (issue, t) => {
+  const tags = valueAt(issue, "tags", t);
+  return Array.isArray(tags) && tags.length ? tags : ["Untagged"];
+};
+
+// Issues filed and issues finished per week: [{ at, created, closed }]
+export function createdVsClosed(issues, finished, weeks, now = Date.now()) {
+  const rows = weeks.map(at => ({ at, end: weekEnd(at), created: 0, closed: 0 }));
+  const weekOf = (t) => rows.find(r => r.at <= t && t < r.end);
+  for (const issue of issues) {
+    const created = weekOf(bornAt(issue));
+    if (created) created.created++;
+    for (const t of closings(statusIntervals(issue, finished, now), finished)) {
+      const week = weekOf(t);
+      if (week) week.closed++;
+    }
+  }
+  return rows.map(({ at, created, closed }) => ({ at, created, closed }));
+}
+
+const median = (xs) => {
+  if (!xs.length) return null;
+  const s = [...xs].sort((a, b) => a - b);
+  const mid = s.length >> 1;
+  return s.length % 2 ? s[mid] : (s[mid - 1] + s[mid]) / 2;
+};
+
+export function percentile(xs, p) {
+  if (!xs.length) return null;
+  const s = [...xs].sort((a, b) => a - b);
+  return s[Math.min(s.length - 1, Math.ceil((p / 100) * s.length) - 1)];
+}
+
+// Time spent per stay in each status, in days: [{ status, median, total, stays }] in
+// `statuses` order. Stays still going count up to now.
+export function timeInStatus(issues, finished, statuses, now = Date.now()) {
+  const stays = new Map(statuses.map(s => [s, []]));
+  for (const issue of issues) {
+    for (const iv of statusIntervals(issue, finished, now)) {
+      if (iv.status !== null && stays.has(iv.status)) stays.get(iv.status).push((iv.end - iv.start) / DAY_MS);
+    }
+  }
+  return statuses.map(status => {
+    const days = stays.get(status);
+    return { status, median: median(days), total: days.reduce((a, b) => a + b, 0), stays: days.length };
+  });
+}
+
+// Cycle times: from the first time an issue entered `from` to the first time it finished
+// after that, for finished issues only: { items: [{ issue, days, doneAt }], median, p85 }
+export function cycleTimes(issues, finished, from, now = Date.now()) {
+  const items = [];
+  for (const issue of issues) {
+    const intervals = statusIntervals(issue, finished, now);
+    const started = intervals.find(iv => iv.status === from);
+    if (!started || !finished.has(issue.status)) continue;
+    const done = intervals.find(iv => iv.start >= started.start && finished.has(iv.status));
+    if (done) items.push({ issue, days: (done.start - started.start) / DAY_MS, doneAt: done.start });
+  }
+  const days = items.map(i => i.days);
+  return { items, median: median(days), p85: percentile(days, 85) };
+}
+
+export const AGE_BUCKETS = [
+  { label: "Under a week", max: 7 },
+  { label: "1–4 weeks", max: 28 },
+  { label: "1–3 months", max: 90 },
+  { label: "Over 3 months", max: Infinity },
+];
+
+// Issues now in `status`, by how long they have been there: { buckets: [{ label, issues }],
+// oldest: [{ issue, days }] } with the longest waiting first.
+export function aging(issues, finished, status, now = Date.now()) {
+  const waiting = issues
+    .filter(i => i.status === status)
+    .map(issue => {
+      const intervals = statusIntervals(issue, finished, now);
+      return { issue, days: (now - intervals[intervals.length - 1].start) / DAY_MS };
+    })
+    .sort((a, b) => b.days - a.days);
+  const buckets = AGE_BUCKETS.map((b, n) => ({
+    label: b.label,
+    issues: waiting.filter(w => w.days < b.max && (n === 0 || w.days >= AGE_BUCKETS[n - 1].max)).map(w => w.issue),
+  }));
+  return { buckets, oldest: waiting };
+}
+
+const PRIORITY_KEYS = ["P0", "P1", "P2", "P3", "None"];
+const TOP_TAGS = 5;
+
+// [{ key, values }] per group with anything open in the range: priorities in order, or the
+// busiest tags with the rest summed up as "Other tags".
+function seriesOf(points, groupBy) {
+  const total = (key) => points.reduce((n, p) => n + (p.counts[key] ?? 0), 0);
+  const values = (key) => points.map(p => p.counts[key] ?? 0);
+  if (groupBy !== "tag") return PRIORITY_KEYS.filter(k => total(k) > 0).map(key => ({ key, values: values(key) }));
+  const keys = [...new Set(points.flatMap(p => Object.keys(p.counts)))].sort((a, b) => total(b) - total(a) || a.localeCompare(b));
+  const series = keys.slice(0, TOP_TAGS).map(key => ({ key, values: values(key) }));
+  const rest = keys.slice(TOP_TAGS);
+  if (rest.length) series.push({ key: "Other tags", values: points.map(p => rest.reduce((n, k) => n + (p.counts[k] ?? 0), 0)) });
+  return series;
+}
+
+// Everything the dashboard shows, for `issues` over the last `weeks` weeks. `statuses` is the
+// workflow's, in order; `from` starts the cycle time and `waiting` is the status whose aging is shown.
+export function dashboard(issues, statuses, { weeks: count = 12, groupBy = "priority", from, waiting }, now = Date.now()) {
+  const finished = new Set(finishedStatuses(statuses));
+  const weeks = weekStarts(count, now);
+  return {
+    weeks,
+    open: seriesOf(openOverTime(issues, finished, weeks, groupBy === "tag" ? tagsAt : priorityAt, now), groupBy),
+    throughput: createdVsClosed(issues, finished, weeks, now),
+    timeInStatus: timeInStatus(issues, finished, statuses.filter(s => !finished.has(s)), now),
+    cycle: cycleTimes(issues, finished, from, now),
+    aging: aging(issues, finished, waiting, now),
+  };
+}
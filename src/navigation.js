@@ -0,0 +1,57 @@
+// Keyboard navigation over the board. The board is a list of rows (one per swimlane, or a
+// single row without lanes), each with its cards per status:
+//   rows: [{ lane, label, collapsed?, byStatus: { [status]: Issue[] } }]
+// Positions are { row, status, index }. Collapsed rows are skipped.
+
+const column = (rows, row, status) => (rows[row] && !rows[row].collapsed ? rows[row].byStatus[status] ?? [] : []);
+
+// Where focus goes from the card at `pos` for an arrow/Home/End key, or null to stay put.
+// Up/Down continue into the same column of the previous/next lane.
+export function nextFocus(rows, statuses, pos, key) {
+  const len = column(rows, pos.row, pos.status).length;
+  if (key === "Home") return { ...pos, index: 0 };
+  if (key === "End") return { ...pos, index: len - 1 };
+  if (key === "ArrowUp" || key === "ArrowDown") {
+    const step = key === "ArrowUp" ? -1 : 1;
+    const index = pos.index + step;
+    if (index >= 0 && index < len) return { ...pos, index };
+    for (let r = pos.row + step; r >= 0 && r < rows.length; r += step) {
+      const n = column(rows, r, pos.status).length;
+      if (n) return { row: r, status: pos.status, index: step < 0 ? n - 1 : 0 };
+    }
+    return null;
+  }
+  if (key === "ArrowLeft" || key === "ArrowRight") {
+    const step = key === "ArrowLeft" ? -1 : 1;
+    for (let i = statuses.indexOf(pos.status) + step; i >= 0 && i < statuses.length; i += step) {
+      const n = column(rows, pos.row, statuses[i]).length;
+      if (n) return { row: pos.row, status: statuses[i], index: Math.min(pos.index, n - 1) };
+    }
+  }
+  return null;
+}
+
+// Cards of a column without the one being moved.
+export const othersIn = (rows, row, status, movingId) => column(rows, row, status).filter(i => i.id !== movingId);
+
+// Move mode: where the picked-up card would land after `key`. `index` is only tracked when
+// `reorder` (manual sort); then Up/Down change the position and Shift+Up/Down the lane,
+// otherwise Up/Down change the lane.
+export function nextTarget(rows, statuses, target, key, { reorder, movingId, shift }) {
+  const end = (row, status) => (reorder ? othersIn(rows, row, status, movingId).length : null);
+  if (key === "ArrowLeft" || key === "ArrowRight") {
+    const i = statuses.indexOf(target.status) + (key === "ArrowLeft" ? -1 : 1);
+    if (i < 0 || i >= statuses.length) return target;
+    return { ...target, status: statuses[i], index: end(target.row, statuses[i]) };
+  }
+  if (key === "ArrowUp" || key === "ArrowDown") {
+    const step = key === "ArrowUp" ? -1 : 1;
+    if (reorder && !shift) {
+      return { ...target, index: Math.max(0, Math.min(end(target.row, target.status), target.index + step)) };
+    }
+    for (let r = target.row + step; r >= 0 && r < rows.length; r += step) {
+      if (!rows[r].collapsed) return { ...target, row: r, index: end(r, target.status) };
+    }
+  }
+  return target;
+}
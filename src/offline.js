@@ -0,0 +1,187 @@
+// Offline-first support: a local copy of the board and a durable outbox of writes.
+//
+// Both live in IndexedDB (localStorage when it isn't available), so the board opens with
+// the last known issues even without a connection, and edits made offline survive a reload.
+// Every issue write goes through the outbox (see sendWrite in api.js), one at a time and in
+// the order it was made. When the network is down the head entry stays put and is retried
+// on the browser's "online" event and every `retryMs`; an answer from the server, even a
+// refusal, takes it off the queue.
+//
+// Entry = { seq, type, id, base, rev?, ...payload }   // `ids` instead of `id` for an import
+// `base` is the rev the change was made against. When a write lands, later entries for the
+// same issue made against the same base take the new rev, so a chain of offline edits
+// doesn't conflict with itself, and entries for an issue the server renamed on create follow it.
+
+const DB_NAME = "exotics-bugs";
+const STORE = "kv";
+// localStorage fallback keys (the first was the original, never-used issue cache key)
+const LS_KEYS = { board: "exotics-bugs-issues-v1", outbox: "exotics-bugs-outbox-v1" };
+
+function openDatabase() {
+  return new Promise((resolve) => {
+    if (typeof indexedDB === "undefined") { resolve(null); return; }
+    try {
+      const req = indexedDB.open(DB_NAME, 1);
+      req.onupgradeneeded = () => req.result.createObjectStore(STORE);
+      req.onsuccess = () => resolve(req.result);
+      req.onerror = () => resolve(null);
+    } catch { resolve(null); }
+  });
+}
+
+// A small key-value store: get(key) and set(key, value), both async; keys are in LS_KEYS.
+export function createLocalStore() {
+  const db = openDatabase();
+  const transact = async (mode, fn) => {
+    const d = await db;
+    if (!d) return { fallback: true };
+    return new Promise((resolve, reject) => {
+      const tx = d.transaction(STORE, mode);
+      const req = fn(tx.objectStore(STORE));
+      tx.oncomplete = () => resolve({ value: req.result });
+      tx.onerror = () => reject(tx.error);
+    });
+  };
+  return {
+    async get(key) {
+      const { fallback, value } = await transact("readonly", (s) => s.get(key));
+      if (!fallback) return value;
+      try { return JSON.parse(localStorage.getItem(LS_KEYS[key]) ?? "null") ?? undefined; } catch { return undefined; }
+    },
+    async set(key, value) {
+      const { fallback } = await transact("readwrite", (s) => s.put(value, key));
+      if (!fallback) return;
+      try { localStorage.setItem(LS_KEYS[key], JSON.stringify(value)); } catch { /* storage full or disabled */ }
+    },
+  };
+}
+
+// No answer at all (fetch failed), or a proxy saying the API is unreachable.
+export const isNetworkError = (e) => !e?.status || [502, 503, 504].includes(e.status);
+
+const touches = (entry, id) => entry.id === id || !!entry.ids?.includes(id);
+
+// `send(entry)` performs a write and resolves with the server's answer.
+// `onReplayed(entry, error, result)` reports entries restored from an earlier visit, which
+// have nobody waiting on them; `onChange({ pending, offline })` reports the queue state and
+// `onDrained()` fires whenever the queue empties after sending something.
+export function createOutbox({ store, send, onReplayed, onChange, onDrained, retryMs = 15000 }) {
+  let entries = [];
+  let seq = 0;
+  let offline = false;
+  let draining = false;
+  let retryTimer = null;
+  const waiting = new Map(); // seq -> { resolve, reject } for entries made in this visit
+  const acked = new Map(); // id -> { base, rev } of its last landed write, for late enqueues
+  let loaded;
+
+  // Nothing is saved or sent before start() has read what an earlier visit left.
+  const persist = () => loaded && store.set("outbox", entries).catch(e => console.warn("Couldn't save the outbox", e));
+  const notify = () => onChange?.({ pending: entries.length, offline });
+
+  // Later entries for the issue(s) `entry` wrote follow its new rev (and id).
+  function rebase(entry, result) {
+    const saved = entry.type === "import" ? result?.issues ?? [] : entry.type === "create" ? [result] : [{ id: entry.id, rev: result?.rev }];
+    for (const s of saved) {
+      if (!s) continue;
+      const localId = entry.type === "create" ? entry.id : s.id;
+      if (s.rev != null) acked.set(s.id, { base: entry.type === "patch" ? entry.base : undefined, rev: s.rev });
+      for (const later of entries) {
+        if (!touches(later, localId)) continue;
+        if (later.id === localId && s.id !== localId) later.id = s.id;
+        if (s.rev != null && later.base === (entry.type === "patch" ? entry.base : undefined)) later.rev = s.rev;
+      }
+    }
+  }
+
+  function settle(entry, error, result) {
+    const w = waiting.get(entry.seq);
+    waiting.delete(entry.seq);
+    if (w) { if (error) w.reject(error); else w.resolve(result); }
+    else onReplayed?.(entry, error, result);
+  }
+
+  function scheduleRetry() {
+    clearTimeout(retryTimer);
+    retryTimer = setTimeout(drain, retryMs);
+  }
+
+  async function drain() {
+    if (!loaded) return;
+    await loaded;
+    if (draining || !entries.length) return;
+    draining = true;
+    clearTimeout(retryTimer);
+    let sent = false;
+    try {
+      while (entries.length) {
+        const entry = entries[0];
+        let result, error;
+        try { result = await send(entry); }
+        catch (e) {
+          if (isNetworkError(e)) {
+            if (!offline) { offline = true; notify(); }
+            scheduleRetry();
+            return;
+          }
+          error = e;
+        }
+        entries.shift();
+        if (!error) rebase(entry, result);
+        offline = false;
+        sent = true;
+        persist();
+        notify();
+        settle(entry, error, result);
+      }
+    } finally {
+      draining = false;
+      if (sent && !entries.length) onDrained?.();
+    }
+  }
+
+  return {
+    // Restores entries left from an earlier visit (once, ahead of anything queued meanwhile)
+    // and sends them. Writes queued meanwhile were numbered from 1, so they are renumbered
+    // after the restored ones, and whoever waits on them along with them.
+    start() {
+      loaded ??= store.get("outbox").then(saved => {
+        const restored = Array.isArray(saved) ? saved : [];
+        const queued = entries.map(e => [e, waiting.get(e.seq)]);
+        for (const [e] of queued) waiting.delete(e.seq);
+        seq = Math.max(0, ...restored.map(e => e.seq));
+        for (const [e, w] of queued) {
+          e.seq = ++seq;
+          if (w) waiting.set(e.seq, w);
+        }
+        entries = [...restored, ...entries];
+        if (queued.length) persist();
+        notify();
+      }).catch(e => console.warn("Couldn't read the outbox", e));
+      window.addEventListener("online", drain);
+      loaded.then(drain);
+      return loaded;
+    },
+    stop() {
+      window.removeEventListener("online", drain);
+      clearTimeout(retryTimer);
+    },
+    // Queues a write; resolves with the server's answer once it lands, or rejects when refused.
+    enqueue(write) {
+      const entry = { ...write, seq: ++seq };
+      const known = entry.id != null && acked.get(entry.id);
+      if (known && entry.base === known.base) entry.rev = known.rev;
+      entries.push(entry);
+      persist();
+      notify();
+      const answer = new Promise((resolve, reject) => waiting.set(entry.seq, { resolve, reject }));
+      drain();
+      return answer;
+    },
+    drain,
+    // True while a write for `id` hasn't landed; a refetch must not overwrite the local copy.
+    has: (id) => entries.some(e => touches(e, id)),
+    get pending() { return entries.length; },
+    get offline() { return offline; },
+  };
+}
@@ -0,0 +1,247 @@
+// Search query language for the board's search box, e.g.
+//   priority:P0..P1 tag:Auth -tag:UX assignee:me status:"In Progress" updated:<7d "double-submit"
+//
+// - Bare words and "quoted phrases" match title, description, id, tags, assignee and comments.
+// - field:value filters; comma separated values are alternatives (tag:Auth,UX).
+// - A leading "-" negates a term.
+// - priority takes P0-P3 with ranges (P0..P1) and comparisons (<=P1).
+// - created/updated take dates (2025-08-17, >=2025-08-01, 2025-08-01..2025-08-31) or ages:
+//   updated:<7d means changed within the last 7 days, updated:>30d means not for 30 days.
+// All clauses must match (AND).
+
+const PRIORITIES = ["P0", "P1", "P2", "P3"];
+
+// field -> kind
+export const QUERY_FIELDS = {
+  title: "text",
+  description: "text",
+  comment: "text",
+  author: "list",
+  tag: "list",
+  status: "list",
+  assignee: "list",
+  id: "list",
+  priority: "priority",
+  created: "date",
+  updated: "date",
+};
+
+const ALIASES = { p: "priority", tags: "tag", label: "tag", labels: "tag", desc: "description", comments: "comment", by: "author", reporter: "author", state: "status", owner: "assignee" };
+
+const UNIT_MS = { h: 3600e3, d: 86400e3, w: 7 * 86400e3, m: 30 * 86400e3, y: 365 * 86400e3 };
+
+// ---- Tokenizer ----
+
+function readQuoted(text, i) {
+  // text[i] === '"'
+  const close = text.indexOf('"', i + 1);
+  if (close === -1) return { value: text.slice(i + 1), end: text.length, unclosed: true };
+  return { value: text.slice(i + 1, close), end: close + 1 };
+}
+
+function tokenize(text) {
+  const tokens = [];
+  let i = 0;
+  while (i < text.length) {
+    if (/\s/.test(text[i])) { i++; continue; }
+    const start = i;
+    let neg = false;
+    if (text[i] === "-" && i + 1 < text.length && !/\s/.test(text[i + 1])) { neg = true; i++; }
+    if (text[i] === '"') {
+      const q = readQuoted(text, i);
+      tokens.push({ start, end: q.end, neg, field: null, raw: q.value, quoted: true, unclosed: q.unclosed });
+      i = q.end;
+      continue;
+    }
+    const m = /^([a-z]+):/i.exec(text.slice(i));
+    if (m) {
+      i += m[0].length;
+      let value = "", unclosed = false;
+      if (text[i] === '"' || /^(>=|<=|>|<)"/.test(text.slice(i))) {
+        const op = /^(>=|<=|>|<)/.exec(text.slice(i))?.[0] ?? "";
+        const q = readQuoted(text, i + op.length);
+        value = op + q.value; unclosed = !!q.unclosed; i = q.end;
+      } else {
+        while (i < text.length && !/\s/.test(text[i])) value += text[i++];
+      }
+      tokens.push({ start, end: i, neg, field: m[1].toLowerCase(), raw: value, unclosed });
+      continue;
+    }
+    let word = "";
+    while (i < text.length && !/\s/.test(text[i])) word += text[i++];
+    tokens.push({ start, end: i, neg, field: null, raw: word });
+  }
+  return tokens;
+}
+
+// ---- Value parsers (return a predicate input or throw a message) ----
+
+function parsePriority(s) {
+  const m = /^p?([0-3])$/i.exec(s.trim());
+  if (!m) throw `"${s}" is not a priority (P0-P3)`;
+  return Number(m[1]);
+}
+
+function parseDateBound(s, now) {
+  const rel = /^(\d+)([hdwmy])$/i.exec(s);
+  if (rel) return { kind: "age", ms: Number(rel[1]) * UNIT_MS[rel[2].toLowerCase()], at: now - Number(rel[1]) * UNIT_MS[rel[2].toLowerCase()] };
+  const abs = /^(\d{4})-(\d{2})-(\d{2})$/.exec(s);
+  if (abs) {
+    const [y, m, d] = abs.slice(1).map(Number);
+    const day = new Date(y, m - 1, d);
+    // Date rolls 2025-02-31 over into March; a day that doesn't exist is an error
+    if (day.getFullYear() !== y || day.getMonth() !== m - 1 || day.getDate() !== d) throw `"${s}" is not a valid date`;
+    return { kind: "day", from: day.getTime(), to: new Date(y, m - 1, d + 1).getTime() };
+  }
+  throw `"${s}" is not a date (YYYY-MM-DD) or an age like 7d`;
+}
+
+function splitOp(raw) {
+  const m = /^(>=|<=|>|<)/.exec(raw);
+  return m ? [m[1], raw.slice(m[1].length)] : ["", raw];
+}
+
+// Builds test(value) for one field clause.
+function compileClause(field, raw, now) {
+  const kind = QUERY_FIELDS[field];
+  if (!raw) throw `${field}: needs a value`;
+  if (kind === "text") {
+    const needle = raw.toLowerCase();
+    return (v) => v.some(x => x.toLowerCase().includes(needle));
+  }
+  if (kind === "list") {
+    const wanted = raw.split(",").map(s => s.trim().toLowerCase()).filter(Boolean);
+    return (v, ctx) => wanted.some(w => {
+      if (field === "assignee" && w === "me") return !!ctx.me && v.some(x => x.toLowerCase() === ctx.me.toLowerCase());
+      if (w === "none") return v.length === 0 || v.every(x => !x);
+      return v.some(x => x.toLowerCase() === w);
+    });
+  }
+  if (kind === "priority") {
+    const [op, rest] = splitOp(raw);
+    let test;
+    if (rest.includes("..")) {
+      const [a, b] = rest.split("..").map(parsePriority);
+      test = (p) => p >= Math.min(a, b) && p <= Math.max(a, b);
+    } else if (op) {
+      const n = parsePriority(rest);
+      test = { ">": p => p > n, ">=": p => p >= n, "<": p => p < n, "<=": p => p <= n }[op];
+    } else {
+      const set = new Set(rest.split(",").map(parsePriority));
+      test = (p) => set.has(p);
+    }
+    return (v) => v.some(x => x !== undefined && test(x));
+  }
+  if (kind === "date") {
+    const [op, rest] = splitOp(raw);
+    let test;
+    if (rest.includes("..")) {
+      const [a, b] = rest.split("..").map(s => parseDateBound(s, now));
+      if (a.kind !== "day" || b.kind !== "day") throw `${field}: ranges take dates, e.g. 2025-08-01..2025-08-31`;
+      test = (t) => t >= Math.min(a.from, b.from) && t < Math.max(a.to, b.to);
+    } else {
+      const d = parseDateBound(rest, now);
+      if (d.kind === "age") {
+        // ages: "<7d" = newer than 7 days, ">7d" = older than 7 days; a bare age means "<"
+        test = op.startsWith(">") ? (t) => t <= d.at : (t) => t >= d.at;
+      } else {
+        test = {
+          "": t => t >= d.from && t < d.to,
+          ">": t => t >= d.to,
+          ">=": t => t >= d.from,
+          "<": t => t < d.from,
+          "<=": t => t < d.to,
+        }[op];
+      }
+    }
+    return (v) => v.some(x => Number.isFinite(x) && test(x));
+  }
+  throw `Unknown field "${field}"`;
+}
+
+// ---- Public API ----
+
+// { clauses: [{ field|null, neg, test, start, end }], errors: [{ message, start, end }] }
+export function parseQuery(text, now = Date.now()) {
+  const clauses = [];
+  const errors = [];
+  for (const t of tokenize(text ?? "")) {
+    if (t.unclosed) errors.push({ message: "Missing closing quote", start: t.start, end: t.end });
+    if (!t.field) {
+      if (!t.raw) continue;
+      const needle = t.raw.toLowerCase();
+      clauses.push({ field: null, neg: t.neg, start: t.start, end: t.end, test: (v) => v.some(x => x.toLowerCase().includes(needle)), needle });
+      continue;
+    }
+    const field = ALIASES[t.field] ?? t.field;
+    if (!QUERY_FIELDS[field]) {
+      errors.push({ message: `Unknown field "${t.field}". Try ${Object.keys(QUERY_FIELDS).join(", ")}`, start: t.start, end: t.end });
+      continue;
+    }
+    try {
+      clauses.push({ field, neg: t.neg, start: t.start, end: t.end, test: compileClause(field, t.raw, now) });
+    } catch (message) {
+      errors.push({ message: typeof message === "string" ? message : String(message), start: t.start, end: t.end });
+    }
+  }
+  return { clauses, errors };
+}
+
+function valuesOf(issue, field) {
+  const comments = (issue.comments ?? []).map(c => c.body ?? "");
+  switch (field) {
+    case "title": return [issue.title ?? ""];
+    case "description": return [issue.description ?? ""];
+    case "comment": return comments;
+    case "author": return [issue.createdBy?.name ?? ""];
+    case "tag": return issue.tags ?? [];
+    case "status": return [issue.status ?? ""];
+    case "assignee": return [issue.assignee ?? ""];
+    case "id": return [String(issue.id)];
+    case "priority": return [PRIORITIES.indexOf(issue.priority)].filter(n => n >= 0);
+    case "created": return [Date.parse(issue.createdAt)];
+    case "updated": return [Date.parse(issue.updatedAt ?? issue.createdAt)];
+    default: return [issue.title ?? "", issue.description ?? "", String(issue.id), issue.assignee ?? "", ...(issue.tags ?? []), ...comments];
+  }
+}
+
+// ctx: { me?: string } — the current visitor's name for assignee:me
+export function matchIssue(issue, clauses, ctx = {}) {
+  return clauses.every(c => {
+    // A bare P0..P3 still finds that priority, as the old search did
+    const hit = c.test(valuesOf(issue, c.field), ctx) || (c.field === null && /^p[0-3]$/.test(c.needle) && issue.priority?.toLowerCase() === c.needle);
+    return c.neg ? !hit : hit;
+  });
+}
+
+const quoteIfNeeded = (v) => (/[\s,"]/.test(v) ? `"${v.replace(/"/g, "")}"` : v);
+
+// Autocomplete for the token under the cursor.
+// known: { [field]: string[] } values to offer per field.
+// Returns { start, end, items: [{ label, insert }] } where insert replaces text[start..end).
+export function suggest(text, cursor, known = {}) {
+  let start = cursor;
+  while (start > 0 && !/\s/.test(text[start - 1])) start--;
+  let end = cursor;
+  while (end < text.length && !/\s/.test(text[end])) end++;
+  const token = text.slice(start, cursor);
+  const neg = token.startsWith("-") ? "-" : "";
+  const body = token.slice(neg.length);
+  const colon = body.indexOf(":");
+  let items;
+  if (colon === -1) {
+    const prefix = body.toLowerCase();
+    if (!prefix) return { start, end, items: [] };
+    items = Object.keys(QUERY_FIELDS)
+      .filter(f => f.startsWith(prefix) && f !== prefix)
+      .map(f => ({ label: `${f}:`, insert: `${neg}${f}:` }));
+  } else {
+    const field = ALIASES[body.slice(0, colon).toLowerCase()] ?? body.slice(0, colon).toLowerCase();
+    const partial = body.slice(colon + 1).replace(/^"/, "").toLowerCase();
+    items = (known[field] ?? [])
+      .filter(v => v && v.toLowerCase().startsWith(partial) && v.toLowerCase() !== partial)
+      .slice(0, 12)
+      .map(v => ({ label: v, insert: `${neg}${body.slice(0, colon)}:${quoteIfNeeded(v)} ` }));
+  }
+  return { start, end, items };
+}
@@ -0,0 +1,49 @@
+// Fractional indexing for the manual card order: ranks are base-36 strings compared as plain
+// strings, and there is always room for another key between two of them, so moving a card
+// only rewrites that card's rank.
+
+const DIGITS = "0123456789abcdefghijklmnopqrstuvwxyz";
+
+// Valid keys use only DIGITS and never end in "0" (so something can always go before them).
+export const isRank = (r) => typeof r === "string" && /^[0-9a-z]+$/.test(r) && !r.endsWith("0");
+
+function midpoint(a, b) {
+  if (b !== null) {
+    let n = 0;
+    while ((a[n] || "0") === b[n]) n++;
+    if (n > 0) return b.slice(0, n) + midpoint(a.slice(n), b.slice(n));
+  }
+  const digitA = a ? DIGITS.indexOf(a[0]) : 0;
+  const digitB = b !== null ? DIGITS.indexOf(b[0]) : DIGITS.length;
+  if (digitB - digitA > 1) return DIGITS[Math.round((digitA + digitB) / 2)];
+  if (b && b.length > 1) return b.slice(0, 1);
+  return DIGITS[digitA] + midpoint(a.slice(1), null);
+}
+
+// A rank after `a` and before `b`; either may be null (or invalid) for an open end.
+export function rankBetween(a, b) {
+  const lo = isRank(a) ? a : "";
+  const hi = isRank(b) && b > lo ? b : null;
+  return midpoint(lo, hi);
+}
+
+// Ranked issues first in rank order; the rest keep their relative order.
+export const compareRank = (a, b) => {
+  const ra = isRank(a.rank), rb = isRank(b.rank);
+  if (ra && rb) return a.rank < b.rank ? -1 : a.rank > b.rank ? 1 : 0;
+  return ra ? -1 : rb ? 1 : 0;
+};
+
+// Ranks for dropping a card at `index` of `column` (display order, without the card).
+// Unranked cards above the drop point get ranks too, or the card couldn't land among them.
+// Returns { fill: [[id, rank]], rank }.
+export function placeAt(column, index) {
+  const fill = [];
+  let prev = null;
+  for (const it of column.slice(0, index)) {
+    if (isRank(it.rank)) { prev = it.rank; continue; }
+    prev = rankBetween(prev, null);
+    fill.push([it.id, prev]);
+  }
+  return { fill, rank: rankBetween(prev, column[index]?.rank ?? null) };
+}
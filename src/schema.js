@@ -0,0 +1,219 @@
+// The issue schema, shared by the board (import dialog, Raw JSON panel) and the server
+// (server/issues.js). validateIssue lists what is wrong with one issue, validateIssues adds
+// duplicate ids across a list, and repairIssues fixes what it can into a valid list along
+// with the changes it made, for review before they are applied.
+//
+// Problem = { index?, id?, field, message, line? }
+// Repair  = { index, id, field, from, to }   // to === undefined: the field (or issue) was dropped
+//
+// Optional fields may be null (cleared). Server-owned fields (rev, history) and authorship
+// aren't checked here.
+import { PRIORITIES, guessPriority, toISODate } from "./importers.js";
+import { LINK_TYPES } from "./links.js";
+
+const ISO_DATE = /^\d{4}-\d{2}-\d{2}T\d{2}:\d{2}(:\d{2}(\.\d{1,9})?)?(Z|[+-]\d{2}:?\d{2})$/;
+export const isISODate = (v) => typeof v === "string" && ISO_DATE.test(v) && !Number.isNaN(Date.parse(v));
+
+const isObject = (v) => !!v && typeof v === "object" && !Array.isArray(v);
+const isText = (v) => typeof v === "string";
+const optional = (check) => (v) => v === null || check(v);
+
+// field -> [check, message]
+const RULES = {
+  id: [(v) => isText(v) && v.trim() !== "", "id must be a non-empty string"],
+  title: [isText, "title must be a string"],
+  description: [optional(isText), "description must be a string"],
+  status: [(v) => isText(v) && v.trim() !== "", "status must be a non-empty string"],
+  priority: [optional((v) => PRIORITIES.includes(v)), `priority must be one of ${PRIORITIES.join(", ")}`],
+  assignee: [optional(isText), "assignee must be a string"],
+  tags: [optional((v) => Array.isArray(v) && v.every(isText)), "tags must be a list of strings"],
+  createdAt: [isISODate, "createdAt must be an ISO 8601 date (like 2024-03-12T15:15:00Z)"],
+  updatedAt: [isISODate, "updatedAt must be an ISO 8601 date (like 2024-03-12T15:15:00Z)"],
+  rank: [optional(isText), "rank must be a string"],
+  attachments: [optional((v) => Array.isArray(v) && v.every(a => isObject(a) && isText(a.url))), "attachments must be a list of { url, … } objects"],
+  createdBy: [optional((v) => isObject(v) && isText(v.id)), "createdBy must be a person ({ id, name })"],
+  links: [optional((v) => Array.isArray(v) && v.every(l => isObject(l) && Object.hasOwn(LINK_TYPES, l.type) && isText(l.id) && l.id !== "")),
+    `links must be a list of { type, id } with type ${Object.keys(LINK_TYPES).join(", ")}`],
+};
+const REQUIRED = ["id", "title", "status"];
+
+function commentProblem(c) {
+  if (!isObject(c)) return "must be an object with a body, not a bare value";
+  if (!isText(c.body)) return "needs a string body";
+  if (c.id !== undefined && !isText(c.id)) return "id must be a string";
+  if (c.createdAt !== undefined && !isISODate(c.createdAt)) return "createdAt must be an ISO 8601 date";
+  return null;
+}
+
+// Problems with one issue. `partial` (a PATCH) checks only the fields present; `idOptional`
+// lets a new issue leave its id to the server or the board.
+export function validateIssue(raw, { partial = false, idOptional = false } = {}) {
+  if (!isObject(raw)) return [{ field: null, message: "Expected an issue object" }];
+  const problems = [];
+  for (const [field, [check, message]] of Object.entries(RULES)) {
+    if (raw[field] === undefined) {
+      if (!partial && REQUIRED.includes(field) && !(field === "id" && idOptional)) problems.push({ field, message: `${field} is required` });
+    } else if (!check(raw[field])) problems.push({ field, message });
+  }
+  if (Array.isArray(raw.links) && raw.id !== undefined && raw.links.some(l => l?.id === raw.id)) problems.push({ field: "links", message: "An issue can't link to itself" });
+  if (raw.comments !== undefined && raw.comments !== null) {
+    if (!Array.isArray(raw.comments)) problems.push({ field: "comments", message: "comments must be a list" });
+    else raw.comments.forEach((c, n) => {
+      const problem = commentProblem(c);
+      if (problem) problems.push({ field: "comments", message: `comment ${n + 1} ${problem}` });
+    });
+  }
+  return problems;
+}
+
+// Problems across a list, one entry per problem, tagged with the issue's index and id.
+// `lines` (from issueLines) adds the source line of the field or the issue.
+export function validateIssues(list, { idOptional = false, lines = null } = {}) {
+  const problems = [];
+  const firstIndex = new Map();
+  list.forEach((raw, index) => {
+    const id = isObject(raw) && raw.id !== undefined ? String(raw.id) : undefined;
+    const found = validateIssue(raw, { idOptional });
+    if (id !== undefined && firstIndex.has(id)) found.push({ field: "id", message: `Duplicate id (also issue ${firstIndex.get(id) + 1})` });
+    else if (id !== undefined) firstIndex.set(id, index);
+    const at = lines?.[index];
+    for (const p of found) problems.push({ index, id, ...p, ...(at ? { line: at.fields[p.field] ?? at.line } : {}) });
+  });
+  return problems;
+}
+
+// A valid list: issues that aren't objects are dropped, duplicate or missing ids get the next
+// free ISSUE-n (after `existing`), bad dates are read leniently (or fall back to the other
+// date, then now), unknown priorities are matched by meaning or dropped, and other values
+// are coerced to their type. Fields the schema doesn't know are left alone.
+export function repairIssues(list, { existing = [], fallbackStatus = "Backlog", idOptional = false } = {}) {
+  const changes = [];
+  const taken = new Set(existing.map(i => i.id));
+  let next = Math.max(0, ...[...existing, ...list.filter(isObject)].map(i => Number(String(i.id).split("-").pop()) || 0)) + 1;
+  const now = new Date().toISOString();
+  const issues = [];
+  const seen = new Set();
+  list.forEach((raw, index) => {
+    if (!isObject(raw)) { changes.push({ index, field: null, from: raw, to: undefined }); return; }
+    const issue = { ...raw };
+    const change = (field, to) => {
+      changes.push({ index, id: issue.id ?? raw.id, field, from: raw[field], to });
+      if (to === undefined) delete issue[field]; else issue[field] = to;
+    };
+
+    const id = typeof raw.id === "number" ? String(raw.id) : raw.id;
+    const leftToBoard = id === undefined && idOptional;
+    if (!leftToBoard && (!RULES.id[0](id) || seen.has(id))) {
+      let fresh;
+      do fresh = `ISSUE-${next++}`; while (taken.has(fresh) || seen.has(fresh));
+      change("id", fresh);
+    } else if (id !== raw.id) change("id", id);
+    if (issue.id !== undefined) seen.add(issue.id);
+
+    if (!isText(raw.title)) change("title", raw.title == null || raw.title === "" ? "Untitled" : String(raw.title));
+    if (!RULES.status[0](raw.status)) change("status", raw.status == null || String(raw.status).trim() === "" ? fallbackStatus : String(raw.status));
+    for (const field of ["description", "assignee", "rank"]) {
+      if (raw[field] !== undefined && !RULES[field][0](raw[field])) change(field, typeof raw[field] === "object" ? undefined : String(raw[field]));
+    }
+    if (raw.priority !== undefined && !RULES.priority[0](raw.priority)) change("priority", guessPriority(String(raw.priority)) || undefined);
+    if (raw.tags !== undefined && !RULES.tags[0](raw.tags)) {
+      const tags = Array.isArray(raw.tags) ? raw.tags : typeof raw.tags === "string" ? raw.tags.split(",") : [];
+      change("tags", tags.filter(t => t != null && typeof t !== "object").map(t => String(t).trim()).filter(Boolean));
+    }
+    if (raw.attachments !== undefined && !RULES.attachments[0](raw.attachments)) {
+      change("attachments", Array.isArray(raw.attachments) ? raw.attachments.filter(a => isObject(a) && isText(a.url)) : undefined);
+    }
+    if (raw.createdBy !== undefined && !RULES.createdBy[0](raw.createdBy)) change("createdBy", undefined);
+    if (raw.links !== undefined && (!RULES.links[0](raw.links) || raw.links?.some(l => l?.id === issue.id))) {
+      change("links", Array.isArray(raw.links) ? raw.links.filter(l => RULES.links[0]([l]) && l.id !== issue.id) : undefined);
+    }
+
+    const created = isISODate(raw.createdAt) ? raw.createdAt : toISODate(raw.createdAt);
+    const updated = isISODate(raw.updatedAt) ? raw.updatedAt : toISODate(raw.updatedAt);
+    if (raw.createdAt !== undefined && !isISODate(raw.createdAt)) change("createdAt", created ?? updated ?? now);
+    if (raw.updatedAt !== undefined && !isISODate(raw.updatedAt)) change("updatedAt", updated ?? issue.createdAt ?? now);
+
+    if (raw.comments !== undefined && raw.comments !== null && (!Array.isArray(raw.comments) || raw.comments.some(commentProblem))) {
+      const comments = Array.isArray(raw.comments) ? raw.comments : [];
+      change("comments", comments.filter(c => c != null).map((c, n) => {
+        if (!commentProblem(c)) return c;
+        const comment = isObject(c) ? { ...c } : { body: String(c) };
+        comment.body = isText(comment.body) ? comment.body : String(comment.body ?? comment.text ?? "");
+        if (!isText(comment.id)) comment.id = comment.id != null ? String(comment.id) : `c-${index + 1}-${n + 1}`;
+        if (comment.createdAt !== undefined && !isISODate(comment.createdAt)) comment.createdAt = toISODate(comment.createdAt) ?? issue.createdAt;
+        if (comment.author === undefined) comment.author = "";
+        return comment;
+      }));
+    }
+    issues.push(issue);
+  });
+  return { issues, changes };
+}
+
+// The list of issues in a parsed document, as normalizeIncomingJSON reads it, or null.
+export const issueList = (data) => (Array.isArray(data) ? data : ["issues", "items", "bugs"].map(k => data?.[k]).find(Array.isArray) ?? null);
+
+// ---- Source lines ----
+
+// Where each issue of a JSON document starts, and where its fields are:
+// [{ line, fields: { [key]: line } }], for the list normalizeIncomingJSON would read.
+// `text` must already parse; null when it holds no list of issues.
+export function issueLines(text) {
+  const src = String(text);
+  let pos = 0;
+  let line = 1;
+  const space = () => {
+    while (pos < src.length && /\s/.test(src[pos])) { if (src[pos] === "\n") line++; pos++; }
+  };
+  const string = () => {
+    let s = "";
+    for (pos++; pos < src.length && src[pos] !== '"'; pos++) {
+      if (src[pos] === "\\") pos++;
+      s += src[pos];
+    }
+    pos++;
+    return s;
+  };
+  const value = () => {
+    space();
+    const at = line;
+    if (src[pos] === "{") {
+      const node = { line: at, keys: {}, values: {} };
+      for (pos++, space(); src[pos] !== "}"; space()) {
+        if (src[pos] === ",") { pos++; space(); }
+        const keyLine = line;
+        const key = string();
+        space();
+        pos++; // ':'
+        node.keys[key] = keyLine;
+        node.values[key] = value();
+      }
+      pos++;
+      return node;
+    }
+    if (src[pos] === "[") {
+      const node = { line: at, items: [] };
+      for (pos++, space(); src[pos] !== "]"; space()) {
+        if (src[pos] === ",") { pos++; continue; }
+        node.items.push(value());
+      }
+      pos++;
+      return node;
+    }
+    if (src[pos] === '"') string();
+    else while (pos < src.length && !/[\s,\]}]/.test(src[pos])) pos++;
+    return { line: at };
+  };
+  const root = value();
+  // Same lookup as issueList, on the located tree
+  const list = root.items ? root : ["issues", "items", "bugs"].map(k => root.values?.[k]).find(v => v?.items);
+  return list ? list.items.map(n => ({ line: n.line, fields: n.keys ?? {} })) : null;
+}
+
+// The line a JSON.parse error points at, when the engine says where it stopped.
+export function jsonErrorLine(text, error) {
+  const m = /line (\d+)/.exec(error?.message ?? "");
+  if (m) return Number(m[1]);
+  const p = /position (\d+)/.exec(error?.message ?? "");
+  return p ? String(text).slice(0, Number(p[1])).split("\n").length : null;
+}
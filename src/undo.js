@@ -0,0 +1,80 @@
+import { useCallback, useEffect, useRef, useState } from "react";
+
+// Session-level undo/redo for board mutations. Entries are plain descriptions of what
+// happened; `apply(entry, "undo" | "redo")` (supplied by the board) performs the inverse
+// or the repeat through the normal write path, so undoing syncs like any other edit.
+//
+// Entry kinds used by App:
+//   { kind: "patch", id, before, after, label }   field edits and moves
+//   { kind: "delete", issues, label }             deleted issues (restored on undo)
+//   { kind: "create", issues, label }             new or imported issues (deleted on undo)
+//   { kind: "batch", entries, created?, label }   several patch entries undone as one step (bulk edits),
+//                                                 plus the issues an import created, if any
+
+const LIMIT = 100;
+// Rapid edits to the same field(s) of the same issue (typing) fold into one undo step.
+const COALESCE_MS = 1500;
+
+const sameKeys = (a, b) => Object.keys(a).sort().join() === Object.keys(b).sort().join();
+
+function canMerge(last, entry, now) {
+  return last?.kind === "patch" && entry.kind === "patch" && last.id === entry.id
+    && sameKeys(last.after, entry.after) && now - last.at < COALESCE_MS;
+}
+
+export function useUndoStack(apply) {
+  const [stack, setStack] = useState({ past: [], future: [] });
+  const stackRef = useRef(stack);
+  const applyRef = useRef(apply);
+  useEffect(() => { applyRef.current = apply; });
+
+  const commit = (next) => { stackRef.current = next; setStack(next); };
+
+  const record = useCallback((entry) => {
+    const { past } = stackRef.current;
+    const now = Date.now();
+    const last = past[past.length - 1];
+    const nextPast = canMerge(last, entry, now)
+      ? [...past.slice(0, -1), { ...last, after: entry.after, at: now }]
+      : [...past, { ...entry, at: now }].slice(-LIMIT);
+    commit({ past: nextPast, future: [] });
+  }, []);
+
+  const undo = useCallback(() => {
+    const { past, future } = stackRef.current;
+    const entry = past[past.length - 1];
+    if (!entry) return;
+    commit({ past: past.slice(0, -1), future: [entry, ...future] });
+    applyRef.current(entry, "undo");
+  }, []);
+
+  const redo = useCallback(() => {
+    const { past, future } = stackRef.current;
+    const [entry, ...rest] = future;
+    if (!entry) return;
+    commit({ past: [...past, entry], future: rest });
+    applyRef.current(entry, "redo");
+  }, []);
+
+  // Ctrl/Cmd+Z and Ctrl/Cmd+Shift+Z (or Ctrl+Y); text fields keep their native undo.
+  useEffect(() => {
+    const onKey = (e) => {
+      if (!(e.ctrlKey || e.metaKey) || e.altKey) return;
+      const t = e.target;
+      if (t instanceof HTMLElement && (t.isContentEditable || /^(INPUT|TEXTAREA|SELECT)$/.test(t.tagName))) return;
+      const key = e.key.toLowerCase();
+      if (key === "z" && !e.shiftKey) { e.preventDefault(); undo(); }
+      else if ((key === "z" && e.shiftKey) || key === "y") { e.preventDefault(); redo(); }
+    };
+    window.addEventListener("keydown", onKey);
+    return () => window.removeEventListener("keydown", onKey);
+  }, [undo, redo]);
+
+  return {
+    record, undo, redo,
+    canUndo: stack.past.length > 0,
+    canRedo: stack.future.length > 0,
+    undoLabel: stack.past[stack.past.length - 1]?.label,
+    redoLabel: stack.future[0]?.label,
+  };
+}
@@ -0,0 +1,54 @@
+import { LANE_KEYS } from "./lanes.js";
+
+// Board view state in the URL (?q=&tag=&sort=&lanes=&view=#ISSUE-ID) and saved views.
+// Saved views belong to the visitor identity (/bugsapi/visitors/me/views); anonymous
+// guests keep theirs in localStorage until they pick a name.
+
+export const SORT_KEYS = ["priority", "createdAt", "title", "manual"];
+export const DEFAULT_SORT = "priority";
+export const VIEW_MODES = ["board", "table", "dashboard"];
+const LOCAL_VIEWS_KEY = "exotics-bugs-views";
+
+export function readLocation(loc = window.location) {
+  const params = new URLSearchParams(loc.search);
+  const sort = params.get("sort");
+  const lanes = params.get("lanes");
+  const view = params.get("view");
+  let issue = null;
+  try { issue = decodeURIComponent(loc.hash.slice(1)) || null; } catch { /* malformed hash */ }
+  return {
+    q: params.get("q") ?? "",
+    tag: params.get("tag") ?? "",
+    sort: SORT_KEYS.includes(sort) ? sort : DEFAULT_SORT,
+    lanes: LANE_KEYS.includes(lanes) ? lanes : "none",
+    view: VIEW_MODES.includes(view) ? view : "board",
+    issue,
+  };
+}
+
+// Other query parameters are left alone.
+export function locationFor({ q, tag, sort, lanes, view, issue }, loc = window.location) {
+  const params = new URLSearchParams(loc.search);
+  for (const [key, value] of [["q", q], ["tag", tag], ["sort", sort === DEFAULT_SORT ? "" : sort], ["lanes", lanes === "none" ? "" : lanes], ["view", view === "board" ? "" : view]]) {
+    if (value) params.set(key, value);
+    else params.delete(key);
+  }
+  const search = params.toString();
+  return `${loc.pathname}${search ? `?${search}` : ""}${issue ? `#${encodeURIComponent(issue)}` : ""}`;
+}
+
+export const sameView = (a, b) => (a.q ?? "") === (b.q ?? "") && (a.tag ?? "") === (b.tag ?? "") && (a.sort || DEFAULT_SORT) === (b.sort || DEFAULT_SORT);
+
+export function loadLocalViews() {
+  try {
+    const views = JSON.parse(localStorage.getItem(LOCAL_VIEWS_KEY) || "[]");
+    return Array.isArray(views) ? views : [];
+  } catch { return []; }
+}
+
+export function saveLocalViews(views) {
+  try {
+    if (views.length) localStorage.setItem(LOCAL_VIEWS_KEY, JSON.stringify(views));
+    else localStorage.removeItem(LOCAL_VIEWS_KEY);
+  } catch { /* storage disabled */ }
+}
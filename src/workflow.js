@@ -0,0 +1,86 @@
+// Board workflow: ordered statuses with a colour and an optional WIP limit, plus rules for
+// who may move an issue from one status to another. It is stored with the issues
+// (`{ issues, workflow }`) and shared by the board and the server (server/workflow.js):
+// the board explains a refused move, the server has the final say.
+//
+// Workflow = {
+//   statuses: [{ name, color, wipLimit? }],            // column order
+//   transitions: [{ from, to, roles: ['maintainer' | 'reporter'] }],
+// }                                                     // from/to: a status name or '*'
+// A move is allowed when some rule matches both ends and lists the caller's role.
+// "reporter" is whoever filed the issue; other visitors can't edit it at all.
+
+export const STATUS_COLORS = ["slate", "sky", "cyan", "emerald", "amber", "rose", "violet", "zinc"];
+export const TRANSITION_ROLES = ["maintainer", "reporter"];
+
+export const DEFAULT_WORKFLOW = {
+  statuses: [
+    { name: "Backlog", color: "slate" },
+    { name: "Todo", color: "sky" },
+    { name: "In Progress", color: "amber" },
+    { name: "Done", color: "emerald" },
+    { name: "Archived", color: "zinc" },
+  ],
+  transitions: [{ from: "*", to: "*", roles: ["maintainer", "reporter"] }],
+};
+
+// Returns { workflow, errors }; `workflow` falls back to the default when `raw` is unusable.
+export function normalizeWorkflow(raw) {
+  if (raw == null) return { workflow: DEFAULT_WORKFLOW, errors: [] };
+  const errors = [];
+  const statuses = [];
+  if (!Array.isArray(raw.statuses) || raw.statuses.length === 0) errors.push("statuses must be a non-empty list");
+  for (const [i, s] of (Array.isArray(raw.statuses) ? raw.statuses : []).entries()) {
+    const name = typeof s?.name === "string" ? s.name.trim() : "";
+    if (!name || name.length > 40) { errors.push(`statuses[${i}].name must be 1-40 characters`); continue; }
+    if (name === "*") { errors.push(`statuses[${i}].name can't be "*"`); continue; }
+    if (statuses.some(x => x.name === name)) { errors.push(`Status "${name}" is listed twice`); continue; }
+    const wip = s.wipLimit === undefined || s.wipLimit === null || s.wipLimit === "" ? undefined : Number(s.wipLimit);
+    if (wip !== undefined && (!Number.isInteger(wip) || wip < 1)) errors.push(`WIP limit of "${name}" must be a positive whole number`);
+    statuses.push({ name, color: STATUS_COLORS.includes(s.color) ? s.color : "slate", ...(wip ? { wipLimit: wip } : {}) });
+  }
+  const names = new Set(statuses.map(s => s.name));
+  const transitions = [];
+  if (!Array.isArray(raw.transitions)) errors.push("transitions must be a list");
+  for (const [i, t] of (Array.isArray(raw.transitions) ? raw.transitions : []).entries()) {
+    const ends = [t?.from, t?.to];
+    if (ends.some(e => e !== "*" && !names.has(e))) { errors.push(`transitions[${i}] refers to an unknown status`); continue; }
+    const roles = Array.isArray(t.roles) ? TRANSITION_ROLES.filter(r => t.roles.includes(r)) : [];
+    if (!roles.length) { errors.push(`transitions[${i}] needs at least one role`); continue; }
+    transitions.push({ from: t.from, to: t.to, roles });
+  }
+  return errors.length ? { workflow: DEFAULT_WORKFLOW, errors } : { workflow: { statuses, transitions }, errors };
+}
+
+const endMatches = (end, status) => end === "*" || end === status;
+const plural = (role) => (role === "reporter" ? "the reporter" : `${role}s`);
+
+// Why `role` may not move an issue from `from` to `to`, or null when the move is fine.
+// `counts` maps status -> issues currently in it, for WIP limits. `from` is null for new issues.
+export function transitionError(workflow, from, to, role, counts = {}) {
+  if (from === to) return null;
+  const target = workflow.statuses.find(s => s.name === to);
+  if (!target) return `"${to}" is not a status on this board`;
+  const rules = workflow.transitions.filter(t => (from == null ? t.from === "*" : endMatches(t.from, from)) && endMatches(t.to, to));
+  if (!rules.length) return from == null ? `New issues can't start in ${to}` : `Issues can't move from ${from} to ${to}`;
+  if (!rules.some(t => t.roles.includes(role))) {
+    const allowed = [...new Set(rules.flatMap(t => t.roles))].map(plural).join(" and ");
+    return `Only ${allowed} can move issues to ${to}${from == null ? "" : ` from ${from}`}`;
+  }
+  if (target.wipLimit && (counts[to] ?? 0) >= target.wipLimit) return `${to} is at its WIP limit (${target.wipLimit})`;
+  return null;
+}
+
+// Where finished work goes, e.g. an issue closed as a duplicate: the first status named like
+// Done, else the last one.
+export const closedStatus = (statuses) => statuses.find(s => /^(done|closed|resolved|fixed)/i.test(s)) ?? statuses[statuses.length - 1];
+
+// The closed status and the ones after it (Done and Archived by default) count as finished,
+// e.g. for blockers and sub-issue progress.
+export const finishedStatuses = (statuses) => statuses.slice(Math.max(0, statuses.indexOf(closedStatus(statuses))));
+
+export function statusCounts(issues) {
+  const counts = {};
+  for (const i of issues) counts[i.status] = (counts[i.status] ?? 0) + 1;
+  return counts;
+}
@@ -4,4 +4,10 @@ import react from '@vitejs/plugin-react'
 // https://vite.dev/config/
 export default defineConfig({
   plugins: [react()],
+  // Forward API calls to the bundled server (npm run server) so dev runs same-origin.
+  server: {
+    proxy: {
+      '/bugsapi': `http://localhost:${process.env.PORT || 33123}`,
+    },
+  },
 })